@@ -0,0 +1,62 @@
+/*
+Trash retention job:
+Removes (purges) the soft-deleted employees after a configurable number of days.
+
+Environment variables (.env):
+- TRASH_RETENTION_DAYS => the number of days a deleted employee stays in the trash (default: 30)
+    > 0 => the deleted employees are purged at every run of the job
+- TRASH_PURGE_INTERVAL_HOURS => how often the job runs (default: every 24 hours)
+    > Set it to 0 to turn off the job (the trash can still be purged with DELETE /api/employees/trash)
+*/
+
+// Import the Employee model
+import Employee from '../models/Employee.js';
+
+// Import the logger of the application
+import logger from '../utils/logger.js';
+
+// Read a whole number (0 or more) from an environment variable (so TRASH_RETENTION_DAYS=0 is accepted)
+function readNumber(name, defaultValue) {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : defaultValue;
+}
+
+// The number of days a deleted employee stays in the trash (also used by DELETE /api/employees/trash)
+export function getRetentionDays() {
+    return readNumber('TRASH_RETENTION_DAYS', 30);
+}
+
+// Run the purge once and log the result
+async function purgeTrash(days) {
+    try {
+        const result = await Employee.purgeDeleted(days);
+        if (result.deletedCount > 0) {
+            logger.info('Trash retention: deleted employees purged', { purged: result.deletedCount, days });
+        }
+    } catch (err) {
+        logger.error('Trash retention error', { error: err });
+    }
+}
+
+// Start the job (it runs once now, then every "interval" hours)
+export function startTrashRetentionJob() {
+    const days = getRetentionDays();
+    const hours = process.env.TRASH_PURGE_INTERVAL_HOURS === undefined
+        ? 24
+        : Number(process.env.TRASH_PURGE_INTERVAL_HOURS);
+
+    if (!hours || hours < 0) {
+        return null;
+    }
+
+    purgeTrash(days);
+
+    /*
+    setInterval() repeats the function, and unref() means that the timer alone
+    doesn't keep the Node.js process running
+    Link: https://nodejs.org/api/timers.html#timeoutunref
+    */
+    const timer = setInterval(() => purgeTrash(days), hours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+}
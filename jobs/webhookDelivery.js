@@ -0,0 +1,32 @@
+/*
+Webhook delivery job:
+Sends the webhook deliveries that are due (the retries of the failed deliveries,
+and the new deliveries that were not sent right away, like after a restart of the app).
+
+Environment variables (.env):
+- WEBHOOK_POLL_INTERVAL_SECONDS => how often the job runs (default: every 10 seconds)
+    > Set it to 0 to turn off the job (the new deliveries are still sent right away, but never retried)
+
+Please review the file "utils/webhooks.js" for more details
+*/
+
+// Import the function that sends the due deliveries
+import { processDueDeliveries } from '../utils/webhooks.js';
+
+// Start the job (it runs once now, then every "interval" seconds)
+export function startWebhookDeliveryJob() {
+    const seconds = process.env.WEBHOOK_POLL_INTERVAL_SECONDS === undefined
+        ? 10
+        : Number(process.env.WEBHOOK_POLL_INTERVAL_SECONDS);
+
+    if (!seconds || seconds < 0) {
+        return null;
+    }
+
+    processDueDeliveries();
+
+    // unref() => the timer alone doesn't keep the Node.js process running (like jobs/trashRetention.js)
+    const timer = setInterval(() => processDueDeliveries(), seconds * 1000);
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,248 @@
+/*
+API versioning middleware:
+A change of the response format (like renaming a field) would break the existing clients,
+so the clients choose the version of the API they were written for:
+
+- In the URL => /api/v1/employees, /api/v2/employees
+- With a header, on the unversioned path => GET /api/employees with "Accept-Version: 2" (or "v2")
+- Neither => the default version (1), so /api/employees keeps working like before (an alias of /api/v1/employees)
+When the URL has a version, the header is ignored.
+
+Every response has the "API-Version" header (the version that was used).
+An old version also has the headers that announce its end (the version keeps working after these dates,
+remove it from the list of versions to turn it off):
+- Deprecation: @1792368000 => the date (in seconds) when the version was deprecated
+- Sunset: Tue, 19 Oct 2027 00:00:00 GMT => the date when the version will be removed
+- Link: <http://localhost:3000/api/v2/employees>; rel="successor-version" => the same URL with the latest version
+
+How the versions work:
+The routes are written once and always answer in the format of the first version.
+Every newer version transforms the responses of the version before it (renaming fields, changing the list envelope, ...),
+so version 3 would run the transforms of version 2, then its own:
+routes => v1 response => transforms of v2 => v2 response => transforms of v3 => v3 response
+
+The request bodies are the same in every version (only the responses are transformed),
+so a version 2 client can't send "id" (422, like "_id" in version 1: it's set by the server).
+
+The OpenAPI document (/api/docs) describes every version: the transforms also change the JSON Schema of the responses
+(the "schema" function of a transform, please review utils/openapi.js)
+
+NOTE:
+- Only the JSON responses are transformed (res.json()), not the errors ("problem+json", the same in every version),
+  the file exports and the live changes (Server-Sent Events)
+- The versioned URL is rewritten to the unversioned one (req.url), so the same routers handle all the versions,
+  while req.originalUrl keeps the version (so the "next" and "prev" links of the lists keep it too)
+
+Link: https://datatracker.ietf.org/doc/html/rfc9745 (the "Deprecation" header)
+Link: https://datatracker.ietf.org/doc/html/rfc8594 (the "Sunset" header)
+Link: https://expressjs.com/en/guide/writing-middleware.html
+*/
+
+// Import the custom error class (the errors are sent by the error-handling middleware)
+import HttpError from '../utils/httpError.js';
+
+// The request header of the version (when the URL doesn't have one)
+const VERSION_HEADER = 'Accept-Version';
+
+// Call the function for every object of a JSON value (the children first)
+function mapObjects(value, mapper) {
+    if (Array.isArray(value)) {
+        return value.map((item) => mapObjects(item, mapper));
+    }
+    if (value && typeof value === 'object') {
+        return mapper(Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapObjects(item, mapper)])));
+    }
+    return value;
+}
+
+// Call the function for every object schema of a JSON Schema (the ones with "properties", the children first)
+function mapObjectSchemas(schema, mapper) {
+    if (Array.isArray(schema)) {
+        return schema.map((item) => mapObjectSchemas(item, mapper));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    const result = Object.fromEntries(Object.entries(schema).map(([key, item]) => [key, mapObjectSchemas(item, mapper)]));
+    return result.properties ? mapper(result) : result;
+}
+
+/*
+Transform: rename fields in every object of the response
+renameFields({ _id: 'id' }) => { _id: '66f1...', name: 'Alice' } => { id: '66f1...', name: 'Alice' }
+*/
+export function renameFields(names) {
+    const rename = (key) => (Object.hasOwn(names, key) ? names[key] : key);
+    const transform = (body) => mapObjects(body, (object) => Object.fromEntries(
+        Object.entries(object).map(([key, value]) => [rename(key), value])
+    ));
+    // The same change in the JSON Schema of the responses (for the OpenAPI document)
+    transform.schema = (schema) => mapObjectSchemas(schema, (objectSchema) => ({
+        ...objectSchema,
+        properties: Object.fromEntries(Object.entries(objectSchema.properties).map(([key, value]) => [rename(key), value])),
+        ...(objectSchema.required && { required: objectSchema.required.map(rename) }),
+    }));
+    return transform;
+}
+
+// Transform: remove fields from every object of the response => omitFields(['__v'])
+export function omitFields(fields) {
+    const transform = (body) => mapObjects(body, (object) => Object.fromEntries(
+        Object.entries(object).filter(([key]) => !fields.includes(key))
+    ));
+    transform.schema = (schema) => mapObjectSchemas(schema, (objectSchema) => ({
+        ...objectSchema,
+        properties: Object.fromEntries(Object.entries(objectSchema.properties).filter(([key]) => !fields.includes(key))),
+        ...(objectSchema.required && { required: objectSchema.required.filter((key) => !fields.includes(key)) }),
+    }));
+    return transform;
+}
+
+/*
+Transform: change the envelope of the lists (please review findPage() in utils/listQuery.js)
+{ data, meta: { total, limit, page, pages }, links: { self, next, prev } }
+=> { items, pagination: { total, limit, page, pages, next, prev } }
+The other responses are returned as they are
+*/
+export function itemsEnvelope(body) {
+    if (!body || !Array.isArray(body.data) || !body.meta || !body.links) {
+        return body;
+    }
+    const { data, meta, links, ...rest } = body;
+    return { ...rest, items: data, pagination: { ...meta, next: links.next, prev: links.prev } };
+}
+
+itemsEnvelope.schema = (schema) => {
+    const properties = schema?.properties;
+    if (!properties?.data || !properties.meta || !properties.links) {
+        return schema;
+    }
+    const { data, meta, links, ...rest } = properties;
+    return {
+        ...schema,
+        properties: {
+            ...rest,
+            items: data,
+            pagination: {
+                type: 'object',
+                properties: { ...meta.properties, next: links.properties.next, prev: links.properties.prev },
+            },
+        },
+    };
+};
+
+/*
+The versions of the employee API (the keys are in ascending order, the first one is the format of the routes):
+- deprecated, sunset => the dates of the "Deprecation" and "Sunset" headers (optional)
+- transforms => the functions that transform the responses of the version before (optional),
+  with a "schema" function that makes the same change in the JSON Schema of the responses (for the OpenAPI document)
+- description => what changed in this version (shown in the OpenAPI document)
+*/
+export const EMPLOYEE_API_VERSIONS = {
+    1: {
+        deprecated: '2026-10-19',
+        sunset: '2027-10-19',
+        description: 'Version 1 is deprecated and will be removed on 2027-10-19, please use version 2.',
+    },
+    2: {
+        // "id" instead of the MongoDB "_id", no "__v" (the version is in the "ETag" header), and the "items" envelope
+        transforms: [renameFields({ _id: 'id' }), omitFields(['__v']), itemsEnvelope],
+        description: 'Version 2: "id" instead of "_id", no "__v" (the version is in the ETag header), '
+            + 'and the lists are { items, pagination }. The request bodies are the same as in version 1 '
+            + '("id" can\'t be sent, like "_id" it\'s set by the server).',
+    },
+};
+
+// The path of a version => versionedPath('/api/employees', '2') => '/api/v2/employees'
+export function versionedPath(path, version) {
+    const [, prefix, resource] = path.match(/^(\/[^/]+)(\/.*)$/);
+    return `${prefix}/v${version}${resource}`;
+}
+
+// The transforms from the format of the routes to a version (the ones of every version after the first one, up to it)
+export function getTransforms(versions, version) {
+    const names = Object.keys(versions);
+    return names.slice(1, names.indexOf(version) + 1).flatMap((name) => versions[name].transforms || []);
+}
+
+// Escape the special characters of a path for a RegExp
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace res.json() with a function that runs the transforms before sending the response
+function transformResponses(req, res, transforms) {
+    const json = res.json;
+    res.json = function transformedJson(body) {
+        if (res.statusCode >= 400 || body === undefined) {
+            return json.call(this, body);
+        }
+        // Converted to plain JSON first (the Mongoose documents, the dates, ...), like the response would be
+        const plain = JSON.parse(JSON.stringify(body));
+        return json.call(this, transforms.reduce((value, transform) => transform(value, req), plain));
+    };
+}
+
+/*
+Middleware factory (added in app.js BEFORE the routes of the path):
+apiVersion('/api/employees', EMPLOYEE_API_VERSIONS)
+- handles /api/employees/... and /api/v<number>/employees/... (the version goes after the first part of the path)
+- sets req.apiVersion => '1', '2', ...
+- an unknown version => 404 in the URL (the path doesn't exist), 400 in the header
+*/
+export function apiVersion(path, versions, { defaultVersion = Object.keys(versions)[0] } = {}) {
+    const names = Object.keys(versions);
+    const latest = names[names.length - 1];
+    const [, prefix, resource] = path.match(/^(\/[^/]+)(\/.*)$/);
+    const versionedPattern = new RegExp(`^${escapeRegExp(prefix)}/v(\\d+)${escapeRegExp(resource)}(?=[/?]|$)`);
+    const unversionedPattern = new RegExp(`^${escapeRegExp(path)}(?=[/?]|$)`);
+    const supported_versions = names.map((name) => `v${name}`);
+
+    return (req, res, next) => {
+        // The start of the URL before the app (like "/hr" when the app is mounted, please review createApp() in app.js)
+        const mountPath = req.originalUrl.slice(0, req.originalUrl.length - req.url.length);
+        let version;
+        let rest;
+
+        const versioned = req.url.match(versionedPattern);
+        if (versioned) {
+            version = versioned[1];
+            rest = req.url.slice(versioned[0].length);
+            if (!Object.hasOwn(versions, version)) {
+                return next(new HttpError(404, `The API version "v${version}" doesn't exist`, { supported_versions }));
+            }
+            req.url = path + rest;
+        } else if (unversionedPattern.test(req.url)) {
+            rest = req.url.slice(path.length);
+            // The response depends on the header, so the caches must keep one copy per version
+            res.vary(VERSION_HEADER);
+            const header = req.get(VERSION_HEADER);
+            version = header ? header.trim().replace(/^v/i, '') : defaultVersion;
+            if (!Object.hasOwn(versions, version)) {
+                return next(new HttpError(400, `The API version "${header}" doesn't exist`, { supported_versions }));
+            }
+        } else {
+            return next();
+        }
+
+        req.apiVersion = version;
+        res.set('API-Version', version);
+
+        const { deprecated, sunset } = versions[version];
+        if (deprecated) {
+            res.set('Deprecation', `@${Math.floor(new Date(deprecated).getTime() / 1000)}`);
+        }
+        if (sunset) {
+            res.set('Sunset', new Date(sunset).toUTCString());
+        }
+        if (version !== latest) {
+            res.append('Link', `<${mountPath}${versionedPath(path, latest)}${rest}>; rel="successor-version"`);
+        }
+
+        const transforms = getTransforms(versions, version);
+        if (transforms.length > 0) {
+            transformResponses(req, res, transforms);
+        }
+        next();
+    };
+}
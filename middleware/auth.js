@@ -0,0 +1,108 @@
+/*
+Authentication and authorization middleware:
+
+- authenticate => WHO is calling?
+    > Reads the access token (Authorization: Bearer <token>) or the API key (X-API-Key: <key>)
+    > Adds the caller to the request: req.user = { id, username, role, type }
+    > Responds with 401 (Unauthorized) if there are no valid credentials
+
+- authorize(...roles) => is the caller ALLOWED to do this?
+    > Responds with 403 (Forbidden) if the role of the caller is not in the list
+
+- authorizeByMethod(policy) => the same as authorize(), but the roles depend on the HTTP method
+
+Link: https://expressjs.com/en/guide/writing-middleware.html
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/401
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/403
+*/
+
+// Import the ApiKey model and its hashing function
+import ApiKey, { hashApiKey } from '../models/ApiKey.js';
+
+// Import the helper function for verifying the access tokens
+import { verifyToken } from '../utils/tokens.js';
+
+// Import the custom error class (the errors are sent by the error-handling middleware)
+import HttpError from '../utils/httpError.js';
+
+/*
+The default access policy of the employee routes:
+- Everyone (with a valid token or key) can read
+- admin and hr_editor can create and update
+- Only admin can delete
+*/
+export const EMPLOYEE_POLICY = {
+    GET: ['admin', 'hr_editor', 'viewer'],
+    HEAD: ['admin', 'hr_editor', 'viewer'],
+    POST: ['admin', 'hr_editor'],
+    PUT: ['admin', 'hr_editor'],
+    PATCH: ['admin', 'hr_editor'],
+    DELETE: ['admin'],
+};
+
+// Fail with 401 and the "WWW-Authenticate" header (tells the client which type of credentials is expected)
+function unauthorized(res, next, message) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(new HttpError(401, message));
+}
+
+// Middleware: find the caller from the access token or the API key
+export async function authenticate(req, res, next) {
+    try {
+        const header = req.get('Authorization');
+        const key = req.get('X-API-Key');
+
+        // 1. Access token (users)
+        if (header) {
+            const [scheme, token] = header.split(' ');
+            if (scheme !== 'Bearer' || !token) {
+                return unauthorized(res, next, 'The Authorization header must be: Bearer <token>');
+            }
+            try {
+                const payload = verifyToken(token, 'access');
+                req.user = { id: payload.sub, username: payload.username, role: payload.role, type: 'user' };
+            } catch (error) {
+                // jsonwebtoken throws "TokenExpiredError" or "JsonWebTokenError"
+                return unauthorized(res, next, error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+            }
+            return next();
+        }
+
+        // 2. API key (services)
+        if (key) {
+            const apiKey = await ApiKey.findOne({ key_hash: hashApiKey(key), revoked_at: null });
+            if (!apiKey) {
+                return unauthorized(res, next, 'Invalid API key');
+            }
+            req.user = { id: String(apiKey._id), username: `api-key:${apiKey.name}`, role: apiKey.role, type: 'api_key' };
+
+            // Save when the key was used (we don't wait for it, the request continues)
+            ApiKey.updateOne({ _id: apiKey._id }, { last_used_at: new Date() }).catch((err) => {
+                req.log.error('Failed to update the API key usage', { error: err });
+            });
+            return next();
+        }
+
+        return unauthorized(res, next, 'Authentication required');
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Middleware factory: only allow the listed roles => authorize('admin')
+export function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return unauthorized(res, next, 'Authentication required');
+        }
+        if (!roles.includes(req.user.role)) {
+            return next(new HttpError(403, `This action requires one of the roles: ${roles.join(', ')}`));
+        }
+        next();
+    };
+}
+
+// Middleware factory: the allowed roles depend on the HTTP method => authorizeByMethod(EMPLOYEE_POLICY)
+export function authorizeByMethod(policy) {
+    return (req, res, next) => authorize(...(policy[req.method] || []))(req, res, next);
+}
@@ -0,0 +1,134 @@
+/*
+The central error-handling middleware.
+Instead of every route deciding how to respond to an error, the routes pass the error to next(error),
+and this middleware converts it into a "Problem Details" response (RFC 7807):
+
+HTTP/1.1 422 Unprocessable Entity
+Content-Type: application/problem+json
+{
+    "type": "about:blank",
+    "title": "Unprocessable Entity",
+    "status": 422,
+    "detail": "Validation failed",
+    "instance": "/api/employees",
+    "message": "Validation failed",
+    "request_id": "0b6f2c7e-...",
+    "errors": { "email": "Please use a valid email address" }
+}
+
+NOTE:
+"message" is the same as "detail", it's kept so the clients that read "message" keep working
+"request_id" is the id of the request in the logs (and in the "X-Request-Id" header), please review middleware/requestLogger.js
+
+How the errors are converted:
+- Mongoose ValidationError => 422 with the message of every invalid field (the custom messages from the schema)
+- MongoDB duplicate key error (code 11000) => 409 with the name of the conflicting field
+- Mongoose CastError (like "abc" for a number) => 400
+- Mongoose VersionError (the document was changed by another request while saving) => 412
+- HttpError => its status (a 5xx status too, like 503 when the database is not available)
+- Any other error with a 4xx "status" property (like invalid JSON) => that status
+- Anything else => 500 (the real error is only logged, never sent to the client)
+
+Link: https://www.rfc-editor.org/rfc/rfc7807
+Link: https://expressjs.com/en/guide/error-handling.html
+*/
+
+// Import mongoose for checking the types of the errors
+import mongoose from 'mongoose';
+
+// STATUS_CODES contains the standard title of every HTTP status code (like 404 => "Not Found")
+import { STATUS_CODES } from 'node:http';
+
+// Import the id of the request (the same id as in the logs)
+import { getRequestId } from './requestLogger.js';
+
+// Import the logger of the application
+import logger from '../utils/logger.js';
+
+// Import the custom error class (its message is written by us, so it's always safe to send)
+import HttpError from '../utils/httpError.js';
+
+// Convert a Mongoose ValidationError into { field: message }
+export function getValidationErrors(error) {
+    const errors = {};
+    for (const [field, fieldError] of Object.entries(error.errors || {})) {
+        errors[field] = fieldError.message;
+    }
+    return errors;
+}
+
+/*
+Find the field of a duplicate key error (code 11000):
+MongoDB adds "keyValue" (like { email: 'm.smith@men-demo.com' }) to the error,
+older versions only have the index name inside the message ("index: email_1 dup key")
+*/
+export function getDuplicateField(error) {
+    const details = error.err || error;
+    return Object.keys(details.keyValue || details.keyPattern || {})[0]
+        || (/index: (\w+?)_\d+/.exec(details.errmsg || details.message || '') || [])[1]
+        || 'unknown';
+}
+
+// Convert any error into { status, detail, extra members } (also used for the errors of the GraphQL API, routes/graphql.js)
+export function toProblem(error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+        return { status: 422, detail: 'Validation failed', errors: getValidationErrors(error) };
+    }
+
+    if (error.code === 11000) {
+        const field = getDuplicateField(error);
+        return { status: 409, detail: `The value of ${field} already exists, it must be unique`, field };
+    }
+
+    if (error instanceof mongoose.Error.VersionError) {
+        return { status: 412, detail: 'The document has been changed by another request, please read it again and retry' };
+    }
+
+    if (error instanceof mongoose.Error.CastError) {
+        return { status: 400, detail: `Invalid value for ${error.path}: ${JSON.stringify(error.value)}`, field: error.path };
+    }
+
+    // Our own errors keep their status code, even a server error (like 503 when the database is not available)
+    if (error instanceof HttpError) {
+        return { status: error.status, detail: error.message, ...error.details };
+    }
+
+    /*
+    Errors with a status code between 400 and 499 are "client errors", so the message is safe to send
+    (our HttpError, and the errors of the body parsers like invalid JSON or a too large body)
+    */
+    const status = error.status || error.statusCode;
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        return { status, detail: error.message, ...error.details };
+    }
+
+    return { status: 500, detail: 'An unexpected error occurred' };
+}
+
+// The error-handling middleware (Express recognizes it by its 4 parameters)
+export function errorHandler(error, req, res, next) {
+    const { status, detail, ...members } = toProblem(error);
+
+    if (status >= 500) {
+        // Log the real error (with the stack trace) on the server only
+        (req.log || logger).error('Unexpected error', { method: req.method, path: req.originalUrl.split('?')[0], error });
+    }
+
+    // If the response has already started (like a streamed export), we can only close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    res.status(status)
+        .type('application/problem+json')
+        .json({
+            type: 'about:blank',
+            title: STATUS_CODES[status],
+            status,
+            detail,
+            instance: req.originalUrl,
+            message: detail,
+            request_id: getRequestId(req),
+            ...members,
+        });
+}
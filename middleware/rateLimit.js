@@ -0,0 +1,153 @@
+/*
+Rate limiting middleware (abuse protection):
+Every client can only send a number of requests in a time window (like 60 writes per minute),
+the next requests are refused with 429 (Too Many Requests) until the window ends.
+
+- The reads (GET, HEAD, OPTIONS) and the writes (POST, PUT, PATCH, DELETE) have separate budgets,
+  so a client that reads a lot can still save its changes (and a buggy script can't create thousands of employees)
+- The clients are recognized by a "key": the IP address (before the authentication),
+  or the API key / user (after the authentication)
+- The counters are kept in a "store" (in memory by default), please review utils/rateLimitStores.js
+
+Every response has the standard headers (the values of the limit that is closest to be reached):
+- RateLimit-Limit: 60 => the number of requests allowed in the window
+- RateLimit-Remaining: 12 => the number of requests left
+- RateLimit-Reset: 25 => the number of seconds until the window ends
+- RateLimit-Policy: 60;w=60 => the limit and the window (in seconds)
+A 429 response also has the "Retry-After" header (the number of seconds to wait)
+
+Configuration (.env file):
+- RATE_LIMIT_WINDOW_SECONDS=60
+- RATE_LIMIT_IP_READ=600, RATE_LIMIT_IP_WRITE=120 => per IP address
+- RATE_LIMIT_CLIENT_READ=300, RATE_LIMIT_CLIENT_WRITE=60 => per API key or user
+- RATE_LIMIT_STORE=memory (or mongo, to share the counters between the instances of the API)
+A limit of 0 means "no limit"
+
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/429
+Link: https://datatracker.ietf.org/doc/draft-ietf-httpapi-ratelimit-headers/
+*/
+
+// Import the custom error class (the errors are sent by the error-handling middleware)
+import HttpError from '../utils/httpError.js';
+
+// The methods that only read data (the other methods are writes)
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The default limits (number of requests per window)
+const DEFAULT_LIMITS = {
+    ip: { read: 600, write: 120 },
+    client: { read: 300, write: 60 },
+};
+
+// Read a number (0 or more) from an environment variable
+function readNumber(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a whole number (0 or more)`);
+    }
+    return number;
+}
+
+/*
+Set the RateLimit-* headers.
+The IP limiter and the client limiter both run for the same request,
+so we only keep the values of the limit with the fewest remaining requests
+*/
+function setRateLimitHeaders(res, { limit, remaining, reset, windowSeconds }) {
+    const current = res.locals.rateLimit;
+    const policies = [...(current ? current.policies : []), `${limit};w=${windowSeconds}`];
+
+    if (!current || remaining < current.remaining) {
+        res.locals.rateLimit = { remaining, policies };
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(remaining));
+        res.set('RateLimit-Reset', String(reset));
+    } else {
+        current.policies = policies;
+    }
+    res.set('RateLimit-Policy', policies.join(', '));
+}
+
+/*
+Middleware factory:
+rateLimit({
+    name: 'ip',                         => the name of the limiter (part of the keys in the store)
+    windowMs: 60 * 1000,                => the length of the time window
+    limits: { read: 600, write: 120 },  => the number of requests per window (0 => no limit)
+    keyGenerator: (req) => req.ip,      => who is the client (no key => the request is not limited)
+    store: new MemoryStore(),           => where the counters are kept
+})
+*/
+export function rateLimit({ name, windowMs, limits, keyGenerator, store }) {
+    const windowSeconds = Math.round(windowMs / 1000);
+
+    return async (req, res, next) => {
+        const type = READ_METHODS.includes(req.method) ? 'read' : 'write';
+        const limit = limits[type];
+        const key = keyGenerator(req);
+        if (!limit || !key) {
+            return next();
+        }
+
+        let counter;
+        try {
+            counter = await store.increment(`${name}:${type}:${key}`, windowMs);
+        } catch (error) {
+            /*
+            If the store is not available (like a database error), the request is NOT refused:
+            it's better to serve the requests without a limit for a while than to stop the whole API
+            */
+            req.log.error('Rate limit store error', { error });
+            return next();
+        }
+
+        const remaining = Math.max(limit - counter.count, 0);
+        const reset = Math.max(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000), 0);
+        setRateLimitHeaders(res, { limit, remaining, reset, windowSeconds });
+
+        if (counter.count > limit) {
+            const retryAfter = Math.max(reset, 1);
+            res.set('Retry-After', String(retryAfter));
+            return next(new HttpError(
+                429,
+                `Too many ${type} requests, the limit is ${limit} per ${windowSeconds} seconds. Please retry in ${retryAfter} second(s)`,
+                { retry_after: retryAfter }
+            ));
+        }
+        next();
+    };
+}
+
+/*
+Create a limiter from the environment variables:
+rateLimitFromEnv('client', { store, keyGenerator }) => reads RATE_LIMIT_CLIENT_READ and RATE_LIMIT_CLIENT_WRITE
+
+NOTE:
+This function must be called after dotenv.config() in server.js (so the .env file is loaded)
+*/
+export function rateLimitFromEnv(name, { store, keyGenerator }) {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    const defaults = DEFAULT_LIMITS[name] || { read: 0, write: 0 };
+    const windowSeconds = readNumber('RATE_LIMIT_WINDOW_SECONDS', 60);
+    if (windowSeconds < 1) {
+        throw new Error('RATE_LIMIT_WINDOW_SECONDS must be at least 1');
+    }
+    return rateLimit({
+        name,
+        windowMs: windowSeconds * 1000,
+        limits: {
+            read: readNumber(`${prefix}_READ`, defaults.read),
+            write: readNumber(`${prefix}_WRITE`, defaults.write),
+        },
+        keyGenerator,
+        store,
+    });
+}
+
+// The keys of the clients: the IP address, or the API key / user found by the "authenticate" middleware
+export const byIp = (req) => req.ip;
+export const byClient = (req) => req.user && `${req.user.type}:${req.user.id}`;
@@ -0,0 +1,95 @@
+/*
+Request logging middleware:
+
+1. Every request gets an id (the "request id"):
+    > the "X-Request-Id" header sent by the client (or by a proxy / another service), if it's valid
+    > otherwise a new random id
+   The id is sent back in the "X-Request-Id" response header, it's saved in the history entries,
+   and it's added to the error responses, so a log line can be found from a response (and the other way around)
+
+2. req.log => a logger with the request id (please review utils/logger.js)
+   req.log.info('Something happened', { employee_id }) => {"msg":"Something happened","request_id":"...",...}
+
+3. When the response is sent, one line is logged:
+   {"level":"info","msg":"Request completed","request_id":"...","method":"GET","route":"/api/employees/:employee_id",
+    "path":"/api/employees/emp123","status":200,"duration_ms":12.3,"actor":"admin"}
+   The level is "warn" for the client errors (4xx) and "error" for the server errors (5xx)
+   (the health checks are called every few seconds by the platform, so they are only logged with LOG_LEVEL=debug)
+
+NOTE:
+The query string is not logged (it can contain personal data like ?email=...)
+
+Link: https://expressjs.com/en/guide/writing-middleware.html
+*/
+
+// "randomUUID()" creates a random unique id (used when the request has no valid "X-Request-Id" header)
+import { randomUUID } from 'node:crypto';
+
+// Import the logger of the application
+import logger from '../utils/logger.js';
+
+// A valid incoming request id: letters, digits and . _ : - (up to 128 characters)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The requests that are only logged at the "debug" level
+const QUIET_PATHS = ['/health'];
+
+// The id of the request (the "X-Request-Id" header, or a new random id kept for the whole request)
+export function getRequestId(req) {
+    if (!req.requestId) {
+        const header = req.get('X-Request-Id');
+        req.requestId = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+    }
+    return req.requestId;
+}
+
+/*
+The route that handled the request, with its parameters => /api/employees/:employee_id
+(req.route only has the path inside the router => /:employee_id, so we add the start of the URL)
+*/
+function getRoute(req) {
+    if (!req.route || typeof req.route.path !== 'string') {
+        return undefined;
+    }
+    const routeParts = req.route.path.split('/').filter(Boolean);
+    const pathParts = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    return `/${[...pathParts.slice(0, pathParts.length - routeParts.length), ...routeParts].join('/')}`;
+}
+
+// The middleware (added first in app.js, so every request is logged)
+export function requestLogger(req, res, next) {
+    const start = process.hrtime.bigint();
+    const request_id = getRequestId(req);
+    // The path where the app is mounted (like "/hr", please review createApp() in app.js), empty by default
+    const mountPath = req.app.path();
+
+    res.set('X-Request-Id', request_id);
+    req.log = logger.child({ request_id });
+
+    function logRequest(msg) {
+        const status = res.statusCode;
+        const path = req.originalUrl.split('?')[0];
+        let level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+        const appPath = path.slice(mountPath.length);
+        if (QUIET_PATHS.some((quietPath) => appPath === quietPath || appPath.startsWith(`${quietPath}/`))) {
+            level = 'debug';
+        }
+        req.log[level](msg, {
+            method: req.method,
+            route: getRoute(req),
+            path,
+            status,
+            duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+            actor: req.user ? req.user.username : undefined,
+        });
+    }
+
+    // "finish" => the response was sent, "close" without "finish" => the client closed the connection before
+    res.on('finish', () => logRequest('Request completed'));
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            logRequest('Request aborted');
+        }
+    });
+    next();
+}
@@ -0,0 +1,100 @@
+/*
+In this file, we define our Mongoose schema for the API keys.
+API keys are used for "service-to-service" calls (like another system calling our API),
+where there is no user to log in with a username and a password.
+
+The key is sent in the "X-API-Key" request header.
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Using the built-in "crypto" module for creating and hashing the keys
+import { createHash, randomBytes } from 'node:crypto';
+
+// Import the list of the roles
+import { ROLES } from './User.js';
+
+const apiKeySchema = new mongoose.Schema({
+    // A name that describes the service using the key (like "payroll-system")
+    name: {
+        type: String,
+        required: [true, 'API key name is required'],
+        trim: true,
+    },
+    /*
+    Like passwords, we only store the "hash" of the key (SHA-256).
+    The key itself is shown only once, when it's created.
+    */
+    key_hash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // The first characters of the key, so we can recognize it in the list (like "emp_a1b2c3")
+    prefix: {
+        type: String,
+        required: true,
+    },
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        enum: ROLES,
+        default: 'viewer',
+    },
+    created_by: {
+        type: String,
+    },
+    created_at: {
+        type: Date,
+        default: Date.now,
+    },
+    last_used_at: {
+        type: Date,
+        default: null,
+    },
+    revoked_at: {
+        type: Date,
+        default: null,
+    },
+});
+
+/*
+SHA-256 is enough for API keys (unlike passwords), because the keys are long random values
+that can't be guessed
+Link: https://nodejs.org/api/crypto.html#cryptocreatehashalgorithm-options
+*/
+export function hashApiKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+// Static method for creating a new key: returns { apiKey, key } (the key is only available here)
+apiKeySchema.statics.generate = async function ({ name, role, created_by }) {
+    const key = `emp_${randomBytes(32).toString('base64url')}`;
+    const apiKey = await this.create({
+        name,
+        role,
+        created_by,
+        key_hash: hashApiKey(key),
+        prefix: key.slice(0, 10),
+    });
+    return { apiKey, key };
+};
+
+// Never send the hash to the client
+apiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.key_hash;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+// Create the Model (with a custom collection name => api_keys)
+const ApiKey = defineModel('ApiKey', apiKeySchema, 'api_keys');
+
+// Export the ApiKey model so that it can be used in other files
+export default ApiKey;
@@ -0,0 +1,49 @@
+/*
+In this file, we define the Mongoose schema for the Department resource (an organisational unit).
+Every employee can belong to one department => the "department" field in models/Employee.js
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Import the function that creates a request validator from a model
+import { createValidator } from '../utils/validation.js';
+
+/*
+The schema of a department:
+- name:
+    > required + unique (two departments can't have the same name)
+- description:
+    > optional text
+
+NOTE:
+The departments are identified by their MongoDB "_id" (unlike the employees that use "employee_id"),
+so the routes use the standard findById() method => /api/departments/:id
+*/
+const departmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Department name is required'],
+        minlength: [2, 'Department name must be at least 2 characters long'],
+        unique: true,
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Department description must be at most 500 characters long'],
+    },
+});
+
+// Create the Model (Department => departments collection)
+const Department = defineModel('Department', departmentSchema);
+
+/*
+The validator of the request data (used by the POST and PUT routes)
+Please review the file "utils/validation.js" for more details
+*/
+export const validateDepartment = createValidator(Department);
+
+// Export the Department model so that it can be used in other files
+export default Department;
@@ -6,6 +6,18 @@ The schema defines the structure of the data that we will store in our MongoDB d
 // Import mongoose to define the schema and model
 import mongoose from 'mongoose';
 
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Import the function that creates a request validator from a model
+import { createValidator } from '../utils/validation.js';
+
+// Import the Department model (to check that the department of an employee exists)
+import Department from './Department.js';
+
+// Import the JobTitle model (to check that the job title of an employee exists)
+import JobTitle from './JobTitle.js';
+
 /*
 Mongoose is an ODM (Object Data Modeling) library for MongoDB and Node.js.
 It provides a higher-level abstraction for interacting with MongoDB, 
@@ -32,6 +44,8 @@ Some of the main features in the following schema fields:
 - job_title:
     > "enum" for adding a predefined set of job titles using array structure (optional)
     [It must be one of the predefined job titles from the "enum" array]
+    > Now replaced by the "jobtitles" collection (models/JobTitle.js), 
+    so the job titles can be managed without changing the code
 
 Link: https://mongoosejs.com/docs/schematypes.html
 Link: https://mongoosejs.com/docs/validation.html#built-in-validators
@@ -97,7 +111,7 @@ const employeeSchema = new mongoose.Schema({
     employee_id: {
         type: String,
         required: [true, 'Employee ID is required'], // employee_id must be provided
-        unique: true,
+        // unique: true, => replaced by the "partial" unique index below (to support soft delete)
     },
     name: {
         type: String,
@@ -108,13 +122,20 @@ const employeeSchema = new mongoose.Schema({
     email: {
         type: String,
         match: [/\S+@\S+\.\S+/, 'Please use a valid email address'],
-        unique: true, // Optional (if email uniqueness is needed)
+        // unique: true, => replaced by the "partial" unique index below (to support soft delete)
     },
     job_title: {
         type: String,
         required: [true, 'Job title is required'],
         // Optional:  Enum to ensure the title is within these listed values:
-        enum: ['Software Developer', 'Product Manager', 'Graphic Designer', 'HR'],
+        // enum: ['Software Developer', 'Product Manager', 'Graphic Designer', 'HR'],
+        // => replaced by the "jobtitles" collection, please review the function "checkJobTitle()" below
+        validate: {
+            validator: async function (title) {
+                await checkJobTitle(this, title);
+                return true;
+            },
+        },
     },
     age: {
         type: Number,
@@ -132,19 +153,270 @@ const employeeSchema = new mongoose.Schema({
         // again, just simple validation without adding a custom message (we should):
         required: true,
     },
+    /* 
+    Reference to another collection:
+    ********************************
+    "department" stores the _id of a document in the "departments" collection (models/Department.js)
+    - ref: 'Department' => tells Mongoose which model to use with populate()
+        > Employee.findOne().populate('department') replaces the _id with the whole department
+    - The validator checks that the department exists (an "async" validator, it runs with save())
+
+    Link: https://mongoosejs.com/docs/populate.html
+    Link: https://mongoosejs.com/docs/validation.html#async-custom-validators
+    */
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        validate: {
+            validator: async (id) => Boolean(await Department.exists({ _id: id })),
+            message: 'Department not found',
+        },
+    },
+    /* 
+    Reporting line (the manager of the employee):
+    *********************************************
+    "manager_id" stores the "employee_id" of another employee (not the MongoDB _id),
+    the employees without a manager are at the top of the organisation chart.
+
+    The validator rejects:
+    - an employee that manages himself/herself
+    - a manager that doesn't exist (or is deleted)
+    - a "cycle" (A manages B, B manages C, and C manages A)
+    Please review the function "checkManager()" below
+    */
+    manager_id: {
+        type: String,
+        validate: {
+            validator: async function (managerId) {
+                /*
+                "this" is the document when saving (save(), insertMany()),
+                and the query when updating (findOneAndUpdate() with runValidators: true)
+                */
+                const employeeId = this instanceof mongoose.Query ? this.getFilter().employee_id : this.employee_id;
+                await checkManager(employeeId, managerId);
+                return true;
+            },
+        },
+    },
+    /* 
+    Soft Delete:
+    ************
+    Instead of removing the document from the database, the DELETE route sets the date of deletion.
+    - null => the employee is active
+    - a date => the employee is deleted (in the "trash"), and can be restored later
+    */
+    deleted_at: {
+        type: Date,
+        default: null,
+    },
+}, {
+    /* 
+    Optimistic Concurrency:
+    ***********************
+    By default, Mongoose only increases the version "__v" when an array is changed.
+    With this option, every save() increases "__v" and only succeeds if the version in the database
+    is still the version that was read (otherwise a "VersionError" is thrown).
+    The version is also used as the ETag of the employee (please review utils/concurrency.js)
+    Link: https://mongoosejs.com/docs/guide.html#optimisticConcurrency
+    */
+    optimisticConcurrency: true,
+
+    /* 
+    Timestamps:
+    ***********
+    Mongoose adds and updates these two dates automatically (save, findOneAndUpdate, updateMany, insertMany, ...):
+    - created_at => when the employee was created (never changed after that)
+    - updated_at => when the employee was changed for the last time
+    They are used for the "Last-Modified" header and the "?updated_since=" parameter (routes/readEmployee.js)
+
+    NOTE:
+    The employees that were created before adding the timestamps don't have these dates,
+    until they are changed for the first time
+    Link: https://mongoosejs.com/docs/timestamps.html
+    */
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
 });
 
+/* 
+Unique Indexes with Soft Delete:
+********************************
+A deleted employee is still stored in the collection,
+so a normal unique index would stop us from creating a new employee with the same employee_id or email.
+
+Using a "partial index", the uniqueness is only checked for the active employees (deleted_at is null)
+Link: https://www.mongodb.com/docs/manual/core/index-partial/
+Link: https://mongoosejs.com/docs/guide.html#indexes
+
+NOTE:
+- "$type: 'null'" does not match a missing field, 
+so the documents that were created before adding "deleted_at" should be updated once:
+db.employees.updateMany({ deleted_at: { $exists: false } }, { $set: { deleted_at: null } })
+- The old unique indexes (employee_id_1 and email_1) have to be replaced, 
+this is done by Employee.syncIndexes() when the app starts (app.js)
+*/
+const activeOnly = { partialFilterExpression: { deleted_at: { $type: 'null' } } };
+employeeSchema.index({ employee_id: 1 }, { unique: true, ...activeOnly });
+employeeSchema.index({ email: 1 }, { unique: true, ...activeOnly });
+
+/* 
+Text Index (for the search route => /api/employees/search?q=...):
+*****************************************************************
+A "text" index splits the values into words, so the $text operator can find the employees by any word.
+The weights make a match in the name more relevant than a match in the email or the job title.
+NOTE: a collection can only have one text index
+Link: https://www.mongodb.com/docs/manual/core/indexes/index-types/index-text/
+*/
+employeeSchema.index(
+    { name: 'text', email: 'text', job_title: 'text' },
+    { name: 'employee_text_search', weights: { name: 10, email: 5, job_title: 2 } }
+);
+
+// For the "?updated_since=" parameter and the "Last-Modified" header of the list (the latest change)
+employeeSchema.index({ updated_at: 1 });
+
+/* 
+Hiding the deleted employees:
+*****************************
+Using a "query middleware" (pre hook) that runs before every query,
+we add the condition { deleted_at: null } to the filter, so all the routes (read, update, delete)
+only see the active employees without changing every query.
+
+If a query already has a condition on "deleted_at" (like the trash routes), we don't change it.
+Link: https://mongoosejs.com/docs/middleware.html#pre
+*/
+function excludeDeleted() {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted_at')) {
+        this.where({ deleted_at: null });
+    }
+}
+
+employeeSchema.pre(
+    ['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete',
+        'countDocuments', 'distinct', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'],
+    excludeDeleted
+);
+
+/* 
+Find the management chain of an employee (the manager, the manager's manager, ... up to the top)
+using the "$graphLookup" aggregation stage, which follows manager_id => employee_id recursively:
+Employee.getManagementChain('emp003') => [{ employee_id: 'emp002', level: 0 }, { employee_id: 'emp001', level: 1 }]
+
+NOTE:
+The "pre" hooks above don't run for aggregate(), so we add { deleted_at: null } ourselves
+Link: https://www.mongodb.com/docs/manual/reference/operator/aggregation/graphLookup/
+*/
+employeeSchema.statics.getManagementChain = async function (employee_id) {
+    const [employee] = await this.aggregate([
+        { $match: { employee_id, deleted_at: null } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$manager_id',
+                connectFromField: 'manager_id',
+                connectToField: 'employee_id',
+                as: 'chain',
+                depthField: 'level',
+                restrictSearchWithMatch: { deleted_at: null },
+            },
+        },
+    ]);
+    if (!employee) {
+        return null;
+    }
+    // $graphLookup doesn't keep the order, so we sort by the level (the direct manager first)
+    return employee.chain.sort((a, b) => a.level - b.level);
+};
+
+/* 
+Check the manager of an employee (used by the validator of "manager_id"),
+the error messages are used as the validation messages (422)
+*/
+async function checkManager(employeeId, managerId) {
+    if (managerId === employeeId) {
+        throw new Error('An employee can not be their own manager');
+    }
+
+    const chain = await Employee.getManagementChain(managerId);
+    if (!chain) {
+        throw new Error(`Manager ${managerId} not found`);
+    }
+
+    // If the employee is already above the new manager, the reporting line would be a cycle
+    if (chain.some((manager) => manager.employee_id === employeeId)) {
+        throw new Error(`Manager ${managerId} reports to ${employeeId}, this would create a cycle`);
+    }
+}
+
+/* 
+Check the job title of an employee (used by the validator of "job_title"):
+- the title must exist in the "jobtitles" collection
+- a retired title is refused, unless the employee already had it (the old records can still be updated)
+
+"source" is the document when saving, or the query when updating (findOneAndUpdate() with runValidators: true)
+*/
+async function checkJobTitle(source, title) {
+    const jobTitle = await JobTitle.findOne({ name: title });
+    if (!jobTitle) {
+        throw new Error(`\`${title}\` is not a valid job title`);
+    }
+    if (!jobTitle.retired) {
+        return;
+    }
+
+    let keepsTitle;
+    if (source instanceof mongoose.Query) {
+        const current = await Employee.findOne(source.getFilter(), 'job_title');
+        keepsTitle = current !== null && current.job_title === title;
+    } else {
+        keepsTitle = !source.isNew && !source.isModified('job_title');
+    }
+
+    if (!keepsTitle) {
+        throw new Error(`The job title \`${title}\` is retired and can not be given to an employee`);
+    }
+}
+
+/* 
+Static method for the "hard" delete (purge) of the employees that are in the trash:
+Employee.purgeDeleted(30) => removes the employees that were deleted more than 30 days ago
+Link: https://mongoosejs.com/docs/guide.html#statics
+*/
+employeeSchema.statics.purgeDeleted = function (olderThanDays) {
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+    return this.deleteMany({ deleted_at: { $ne: null, $lte: cutoff } });
+};
+
+/* 
+Static method for the date of the latest change of all the employees (or null if there are none):
+Employee.getLastModified() => 2024-03-01T10:15:00.000Z
+
+NOTE:
+The deleted employees are included on purpose (the "pre" hooks don't run for aggregate()),
+since deleting an employee is also a change of the list
+*/
+employeeSchema.statics.getLastModified = async function () {
+    const [latest] = await this.aggregate([
+        { $match: { updated_at: { $type: 'date' } } },
+        { $sort: { updated_at: -1 } },
+        { $limit: 1 },
+        { $project: { updated_at: 1 } },
+    ]);
+    return latest ? latest.updated_at : null;
+};
+
 /* 
 A Mongoose model => mongoose.model()
 - a constructor function that allows us to interact with a specific MongoDB collection
 - Is used to define "Models"
 - The model gives us access to various methods (save, find, findById, etc.) to interact with the MongoDB database.
 
-In this example, we define the model 'Employee' using the schema 'employeeSchema':
+In this example, we define the model 'Employee' using the schema 'employeeSchema'.
+defineModel() creates it with mongoose.model(), and also lets an app use it on its own connection
+(please review utils/database.js)
 */
 
 // Create the Model (with the standard collection name behavior => employees):
-const Employee = mongoose.model('Employee', employeeSchema);
+const Employee = defineModel('Employee', employeeSchema);
 /* 
 To review:
 **********
@@ -161,8 +433,16 @@ Mongoose will:
 - Collection name: employees (automatically pluralized by Mongoose)
 
 In case we need to use different name:
-const Employee = mongoose.model('Employee', employeeSchema, 'abc-employees');
+const Employee = defineModel('Employee', employeeSchema, 'abc-employees');
+*/
+
+/* 
+The validator of the request data (used by the POST, PUT and PATCH routes):
+validateEmployee(req.body) => the converted values, or an HttpError 422 with all the invalid fields
+"deleted_at" is only set by the delete/restore routes, and the timestamps by Mongoose, so the client can't send them
+Please review the file "utils/validation.js" for more details
 */
+export const validateEmployee = createValidator(Employee, { managedFields: ['deleted_at', 'created_at', 'updated_at'] });
 
 // Export the Employee model so that it can be used in other files (in routes/controllers)
 export default Employee;
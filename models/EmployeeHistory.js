@@ -0,0 +1,79 @@
+/*
+In this file, we define our Mongoose schema for the history (audit trail) of the employees.
+Every create, update, delete, restore, and revert made through our routes adds one "history entry",
+so we always know who changed an employee, when, and what the previous values were.
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+/*
+The "employeeHistorySchema" defines the structure of a history entry:
+
+- employee_id: the employee that was changed
+- version: 1 for the first entry of an employee, then 2, 3, ...
+- action: what happened (create, update, delete, restore, revert)
+- changes: the field-level "diff" => [{ field: 'age', before: 40, after: 41 }]
+- snapshot: all the employee's values AFTER the change (used for reverting to this version)
+- actor: who made the change
+- request_id: the id of the HTTP request that made the change
+- timestamp: when the change was made
+
+NOTE:
+"Mixed" is a schema type that accepts any value (the values of different fields have different types)
+Link: https://mongoosejs.com/docs/schematypes.html#mixed
+*/
+const employeeHistorySchema = new mongoose.Schema({
+    employee_id: {
+        type: String,
+        required: true,
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'update', 'delete', 'restore', 'revert'],
+    },
+    changes: [
+        {
+            _id: false, // no _id for the items of the array
+            field: { type: String, required: true },
+            before: mongoose.Schema.Types.Mixed,
+            after: mongoose.Schema.Types.Mixed,
+        },
+    ],
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    actor: {
+        type: String,
+        required: true,
+    },
+    request_id: {
+        type: String,
+    },
+    // For a "revert" entry: the version that the employee was reverted to
+    reverted_to: {
+        type: Number,
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Every employee has only one entry for each version number
+employeeHistorySchema.index({ employee_id: 1, version: 1 }, { unique: true });
+
+// Create the Model (with a custom collection name => employee_history)
+const EmployeeHistory = defineModel('EmployeeHistory', employeeHistorySchema, 'employee_history');
+
+// Export the EmployeeHistory model so that it can be used in other files
+export default EmployeeHistory;
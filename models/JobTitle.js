@@ -0,0 +1,63 @@
+/*
+In this file, we define the Mongoose schema for the JobTitle resource.
+
+The job titles used to be a fixed "enum" in models/Employee.js,
+so adding a new role needed a code change. Now they are stored in the "jobtitles" collection
+and managed with the /api/job-titles routes.
+
+Retiring a job title:
+- A retired title can't be given to a new employee (or to an employee that had another title)
+- The employees that already have it keep it (the old records stay readable and can still be updated)
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Import the function that creates a request validator from a model
+import { createValidator } from '../utils/validation.js';
+
+// The job titles of the old "enum" (created when the collection is empty, so the existing employees stay valid)
+export const DEFAULT_JOB_TITLES = ['Software Developer', 'Product Manager', 'Graphic Designer', 'HR'];
+
+const jobTitleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Job title name is required'],
+        minlength: [2, 'Job title name must be at least 2 characters long'],
+        unique: true,
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Job title description must be at most 500 characters long'],
+    },
+    retired: {
+        type: Boolean,
+        default: false,
+    },
+});
+
+/*
+Create the default job titles if there are no job titles yet (called once when the app starts)
+Link: https://mongoosejs.com/docs/guide.html#statics
+*/
+jobTitleSchema.statics.ensureDefaults = async function () {
+    if (await this.exists({})) {
+        return [];
+    }
+    return this.insertMany(DEFAULT_JOB_TITLES.map((name) => ({ name })));
+};
+
+// Create the Model (JobTitle => jobtitles collection)
+const JobTitle = defineModel('JobTitle', jobTitleSchema);
+
+/*
+The validator of the request data (used by the POST and PUT routes)
+Please review the file "utils/validation.js" for more details
+*/
+export const validateJobTitle = createValidator(JobTitle);
+
+// Export the JobTitle model so that it can be used in other files
+export default JobTitle;
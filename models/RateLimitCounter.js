@@ -0,0 +1,47 @@
+/*
+In this file, we define our Mongoose schema for the counters of the rate limiter (middleware/rateLimit.js).
+The counters are only used by the "MongoStore" (utils/rateLimitStores.js), which shares the counters
+between all the instances of the API (the default "MemoryStore" keeps them in the memory of one instance)
+
+Every document counts the requests of one client in one time window:
+{ key: 'ip:write:203.0.113.7', window_start: 2024-03-05T10:15:00Z, count: 12, expires_at: 2024-03-05T10:16:00Z }
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    window_start: {
+        type: Date,
+        required: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    expires_at: {
+        type: Date,
+        required: true,
+    },
+});
+
+// One counter per client and time window
+rateLimitCounterSchema.index({ key: 1, window_start: 1 }, { unique: true });
+
+/*
+TTL Index:
+MongoDB removes the old counters by itself (about once a minute) after their "expires_at" date
+Link: https://www.mongodb.com/docs/manual/core/index-ttl/
+*/
+rateLimitCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = defineModel('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,125 @@
+/*
+In this file, we define our Mongoose schema for the users of the API.
+A user logs in with a username and a password, and receives a JWT (JSON Web Token)
+that is sent with every request to the employee routes.
+
+Roles:
+- admin => full access (including DELETE)
+- hr_editor => read, create, and update employees
+- viewer => read only
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Using the built-in "crypto" module for hashing passwords (no extra package is needed)
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+// scrypt() uses a callback, promisify() converts it to a function that returns a Promise
+const scryptAsync = promisify(scrypt);
+
+// The list of the roles (exported so the auth middleware and routes can use it)
+export const ROLES = ['admin', 'hr_editor', 'viewer'];
+
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        unique: true,
+        trim: true,
+        minlength: [3, 'Username must be at least 3 characters long'],
+    },
+    /*
+    IMPORTANT:
+    We NEVER store the password itself, only its "hash" (a one-way transformation of the password).
+    The value looks like: "salt:hash" (both in hex)
+    */
+    password_hash: {
+        type: String,
+        required: true,
+    },
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        enum: ROLES,
+        default: 'viewer',
+    },
+    /*
+    Increasing this number makes all the refresh tokens of the user invalid
+    (on logout, after changing the password, or by an admin, please review routes/auth.js)
+    */
+    token_version: {
+        type: Number,
+        default: 0,
+    },
+    created_at: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+/*
+Hashing Passwords with "scrypt":
+********************************
+- A random "salt" is added to every password, so two users with the same password have different hashes
+- scrypt is slow on purpose, which makes guessing passwords (brute force) very expensive
+Link: https://nodejs.org/api/crypto.html#cryptoscryptpassword-salt-keylen-options-callback
+*/
+const KEY_LENGTH = 64;
+
+// The minimum length of a password (checked by setPassword(), and by the routes before, for a 422 response)
+export const PASSWORD_MIN_LENGTH = 8;
+
+// Instance method: user.setPassword('secret')
+userSchema.methods.setPassword = async function (password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        throw new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+    }
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    this.password_hash = `${salt}:${hash.toString('hex')}`;
+};
+
+// Instance method: await user.checkPassword('secret') => true or false
+userSchema.methods.checkPassword = async function (password) {
+    if (typeof password !== 'string' || !this.password_hash) {
+        return false;
+    }
+    const [salt, storedHash] = this.password_hash.split(':');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    // timingSafeEqual() compares in constant time (so the response time doesn't leak information)
+    return timingSafeEqual(hash, Buffer.from(storedHash, 'hex'));
+};
+
+// Never send the password hash to the client
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password_hash;
+        delete ret.token_version;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+/*
+Static method for creating the first admin user when the app starts
+(if the ADMIN_USERNAME and ADMIN_PASSWORD environment variables are set and there is no admin yet)
+*/
+userSchema.statics.ensureAdmin = async function (username, password) {
+    if (!username || !password || await this.exists({ role: 'admin' })) {
+        return null;
+    }
+    const admin = new this({ username, role: 'admin' });
+    await admin.setPassword(password);
+    return admin.save();
+};
+
+// Create the Model (collection name => users)
+const User = defineModel('User', userSchema);
+
+// Export the User model so that it can be used in other files
+export default User;
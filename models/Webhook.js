@@ -0,0 +1,121 @@
+/*
+In this file, we define our Mongoose schema for the webhook subscriptions.
+A webhook subscription tells our API to call another system (like the payroll or the IT provisioning system)
+every time an employee is created, updated or deleted.
+
+Every call ("delivery") is a POST request with a JSON body, signed with the secret of the subscription,
+please review the file "utils/webhooks.js" for the format of the deliveries and their signature.
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Using the built-in "crypto" module for creating the secrets
+import { randomBytes } from 'node:crypto';
+
+// Import the validator of the request data
+import { createValidator } from '../utils/validation.js';
+
+// Import the check of the webhook URLs (no private or reserved addresses, please review utils/webhookUrl.js)
+import { checkWebhookUrl } from '../utils/webhookUrl.js';
+
+// The events that can be subscribed to
+export const WEBHOOK_EVENTS = ['employee.created', 'employee.updated', 'employee.deleted'];
+
+// The URL of a subscription must be an "http" or "https" URL
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/*
+The URL of a subscription must not point to our own network (the host is resolved, so this validator is async)
+NOTE: validateSync() skips the async validators, so this one runs when the subscription is saved
+Link: https://mongoosejs.com/docs/validation.html#async-custom-validators
+*/
+async function isPublicUrl(value) {
+    // An invalid URL is reported by isHttpUrl()
+    if (!isHttpUrl(value)) {
+        return true;
+    }
+    const reason = await checkWebhookUrl(value);
+    if (reason) {
+        throw new Error(reason);
+    }
+    return true;
+}
+
+const webhookSchema = new mongoose.Schema({
+    // The URL that receives the deliveries (like "https://payroll.example.com/hooks/employees")
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        validate: [
+            { validator: isHttpUrl, message: 'Webhook URL must be a valid http or https URL' },
+            { validator: isPublicUrl },
+        ],
+    },
+    // The event filter: the events that are sent to this URL (all the events by default)
+    events: {
+        type: [{ type: String, enum: { values: WEBHOOK_EVENTS, message: '`{VALUE}` is not a valid webhook event' } }],
+        default: () => [...WEBHOOK_EVENTS],
+        validate: {
+            validator: (events) => events.length > 0,
+            message: 'Webhook events must contain at least one event',
+        },
+    },
+    /*
+    The secret that signs the deliveries (HMAC-SHA256), shared with the receiver.
+    Unlike the API keys, we have to store the secret itself (not a hash), since it's needed for every signature.
+    It's never sent back to the client after the creation of the subscription (see "toJSON" below),
+    and it can't be used in the filters or the sorting of the list (queryable: false, please review utils/listQuery.js)
+    */
+    secret: {
+        type: String,
+        queryable: false,
+        minlength: [16, 'Webhook secret must be at least 16 characters long'],
+        default: () => `whsec_${randomBytes(24).toString('base64url')}`,
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Webhook description must be at most 500 characters long'],
+    },
+    // An inactive subscription receives no new deliveries (like while the receiver is under maintenance)
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    created_by: {
+        type: String,
+    },
+    created_at: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Never send the secret to the client (it's only returned once, by the POST route)
+webhookSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.secret;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+const Webhook = defineModel('Webhook', webhookSchema);
+
+/*
+The validator of the request data (used by the POST and PUT routes)
+Please review the file "utils/validation.js" for more details
+*/
+export const validateWebhook = createValidator(Webhook, { managedFields: ['created_by', 'created_at'] });
+
+export default Webhook;
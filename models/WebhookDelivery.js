@@ -0,0 +1,135 @@
+/*
+In this file, we define our Mongoose schema for the webhook deliveries (the delivery log).
+Every event sent to a webhook subscription (models/Webhook.js) is one delivery:
+
+{
+    webhook: ObjectId('...'), event: 'employee.updated', event_id: '4f7c...',
+    payload: { ... the JSON body that is sent ... },
+    status: 'failed', attempts: 2, next_attempt_at: 2024-03-05T10:15:40Z,
+    last_error: 'HTTP 503', response_status: 503,
+    attempt_log: [{ at: ..., response_status: 500, error: 'HTTP 500', duration_ms: 120 }, ...]
+}
+
+The status of a delivery:
+- pending => waiting for its first attempt
+- failed => the last attempt failed, it's retried at "next_attempt_at" (exponential backoff)
+- succeeded => the receiver answered with a 2xx status code
+- dead => all the attempts failed, the delivery is in the "dead-letter" list (it can be retried by hand)
+
+Please review the file "utils/webhooks.js" for more details
+*/
+
+// Import mongoose to define the schema and model
+import mongoose from 'mongoose';
+
+// Import the function that defines a model (it follows the connection of the app, please review utils/database.js)
+import { defineModel } from '../utils/database.js';
+
+// Import the events of the subscriptions
+import { WEBHOOK_EVENTS } from './Webhook.js';
+
+export const DELIVERY_STATUSES = ['pending', 'failed', 'succeeded', 'dead'];
+
+// How long the successful deliveries stay in the log (the failed and dead ones are kept)
+const SUCCEEDED_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    event: {
+        type: String,
+        enum: WEBHOOK_EVENTS,
+        required: true,
+    },
+    // The id of the event (the same for every subscription that receives it), so the receiver can skip duplicates
+    event_id: {
+        type: String,
+        required: true,
+    },
+    // The JSON body of the request (the same for every attempt, so the signature can be checked)
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    // When the delivery should be tried (again)
+    next_attempt_at: {
+        type: Date,
+        default: Date.now,
+    },
+    /*
+    While an attempt is running, the delivery is "locked" until this date,
+    so two instances of the API (or the job and the route) don't send it at the same time
+    */
+    locked_until: {
+        type: Date,
+        default: null,
+    },
+    last_error: {
+        type: String,
+        default: null,
+    },
+    response_status: {
+        type: Number,
+        default: null,
+    },
+    // Every attempt (the newest last)
+    attempt_log: [
+        {
+            _id: false, // no _id for the items of the array
+            at: Date,
+            response_status: Number,
+            error: String,
+            duration_ms: Number,
+        },
+    ],
+    created_at: {
+        type: Date,
+        default: Date.now,
+    },
+    completed_at: {
+        type: Date,
+        default: null,
+    },
+});
+
+// The deliveries that are waiting for an attempt (used by the delivery job)
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+// The delivery log of a subscription (newest first)
+webhookDeliverySchema.index({ webhook: 1, created_at: -1 });
+
+/*
+TTL Index (only for the successful deliveries, with a "partial" index):
+MongoDB removes them by itself 30 days after "completed_at", the failed and dead deliveries are kept
+Link: https://www.mongodb.com/docs/manual/core/index-ttl/
+*/
+webhookDeliverySchema.index(
+    { completed_at: 1 },
+    { expireAfterSeconds: SUCCEEDED_RETENTION_SECONDS, partialFilterExpression: { status: 'succeeded' } }
+);
+
+// The lock is an internal detail of the delivery job
+webhookDeliverySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.locked_until;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+// Create the Model (with a custom collection name => webhook_deliveries)
+const WebhookDelivery = defineModel('WebhookDelivery', webhookDeliverySchema, 'webhook_deliveries');
+
+export default WebhookDelivery;
@@ -0,0 +1,257 @@
+/*
+Routes for authentication (logging in) and for managing the users and the API keys:
+
+Public routes:
+- POST /api/auth/login      => { username, password } => { access_token, refresh_token, ... }
+- POST /api/auth/refresh    => { refresh_token } => a new access token (and a new refresh token)
+
+Routes for the logged in users:
+- GET  /api/auth/me         => the current user (or API key)
+- POST /api/auth/logout     => revoke all the refresh tokens of the current user
+- POST /api/auth/password   => { current_password, new_password } => change the password (and revoke the refresh tokens)
+
+Routes for the admins only:
+- POST   /api/auth/users            => create a user { username, password, role }
+- GET    /api/auth/users            => list the users
+- POST   /api/auth/users/:id/revoke-tokens => revoke all the refresh tokens of a user (like a stolen laptop)
+- POST   /api/auth/api-keys         => create an API key { name, role } (the key is only shown once!)
+- GET    /api/auth/api-keys         => list the API keys (without the keys themselves)
+- DELETE /api/auth/api-keys/:id     => revoke an API key
+
+Example (using the access token in Postman):
+Authorization tab => Type: "Bearer Token" => paste the access_token
+*/
+
+// Import express and the models
+import express from 'express';
+import User, { PASSWORD_MIN_LENGTH } from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+
+// Import the authentication middleware and the token helpers
+import { authenticate, authorize } from '../middleware/auth.js';
+import { signAccessToken, signRefreshToken, verifyToken } from '../utils/tokens.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// Check a new password before setPassword() => 422 with the field error (like the validation of the models)
+function checkNewPassword(password, field = 'password') {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        throw new HttpError(422, 'Validation failed', {
+            errors: { [field]: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long` },
+        });
+    }
+}
+
+/*
+Revoke all the refresh tokens of a user: the "token_version" in the tokens doesn't match anymore
+(the access tokens are not checked against the database, they stay valid until they expire, 15 minutes by default)
+*/
+function revokeTokens(userId) {
+    return User.findByIdAndUpdate(userId, { $inc: { token_version: 1 } }, { new: true });
+}
+
+// The logout and the password change are for the users only (an API key has no refresh token and no password)
+function requireUser(req) {
+    if (req.user.type !== 'user') {
+        throw new HttpError(403, 'This action is only available to users, not to API keys');
+    }
+}
+
+// Create both tokens for a user (the response of the login and refresh routes)
+function tokenResponse(user) {
+    return {
+        token_type: 'Bearer',
+        access_token: signAccessToken(user),
+        refresh_token: signRefreshToken(user),
+        expires_in: process.env.JWT_EXPIRES_IN || '15m',
+        user,
+    };
+}
+
+// POST route for logging in with a username and a password
+router.post('/login', async (req, res, next) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new HttpError(400, 'username and password are required');
+        }
+
+        const user = await User.findOne({ username });
+
+        /*
+        NOTE:
+        We send the same message when the username doesn't exist and when the password is wrong,
+        so the response doesn't tell an attacker which usernames exist
+        */
+        if (!user || !(await user.checkPassword(password))) {
+            throw new HttpError(401, 'Invalid username or password');
+        }
+
+        res.status(200).json(tokenResponse(user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST route for getting a new access token with a refresh token
+router.post('/refresh', async (req, res, next) => {
+    try {
+        const { refresh_token } = req.body || {};
+
+        if (typeof refresh_token !== 'string') {
+            throw new HttpError(400, 'refresh_token is required');
+        }
+
+        let payload;
+        try {
+            payload = verifyToken(refresh_token, 'refresh');
+        } catch {
+            throw new HttpError(401, 'Invalid or expired refresh token');
+        }
+
+        // The user must still exist, and the token must not be revoked (token_version)
+        const user = await User.findById(payload.sub);
+        if (!user || user.token_version !== payload.ver) {
+            throw new HttpError(401, 'Invalid or expired refresh token');
+        }
+
+        res.status(200).json(tokenResponse(user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for the current user (or API key)
+router.get('/me', authenticate, (req, res) => {
+    res.status(200).json(req.user);
+});
+
+// POST route for logging out: all the refresh tokens of the user are revoked (on every device)
+router.post('/logout', authenticate, async (req, res, next) => {
+    try {
+        requireUser(req);
+        await revokeTokens(req.user.id);
+        res.status(200).json({ message: 'Logged out, all the refresh tokens are revoked' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+POST route for changing the password of the current user:
+The old refresh tokens are revoked (like the ones of a stolen device),
+so the response has new tokens for the current session
+*/
+router.post('/password', authenticate, async (req, res, next) => {
+    try {
+        requireUser(req);
+        const { current_password, new_password } = req.body || {};
+
+        const user = await User.findById(req.user.id);
+        if (!user || !(await user.checkPassword(current_password))) {
+            throw new HttpError(401, 'The current password is wrong');
+        }
+        checkNewPassword(new_password, 'new_password');
+
+        await user.setPassword(new_password);
+        user.token_version += 1;
+        await user.save();
+
+        res.status(200).json(tokenResponse(user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST route for creating a user (admins only)
+router.post('/users', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const { username, password, role } = req.body || {};
+
+        checkNewPassword(password);
+        const user = new User({ username, role });
+        await user.setPassword(password);
+        const savedUser = await user.save();
+
+        res.status(201).json(savedUser);
+    } catch (error) {
+        // A duplicate username (error code 11000) is converted to 409 by the error-handling middleware
+        next(error);
+    }
+});
+
+// GET route for listing the users (admins only)
+router.get('/users', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const users = await User.find().sort({ username: 1 });
+        res.status(200).json(users);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST route for revoking all the refresh tokens of a user (admins only)
+router.post('/users/:id/revoke-tokens', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const user = await revokeTokens(req.params.id);
+
+        if (!user) {
+            throw new HttpError(404, `User with ID ${req.params.id} not found`);
+        }
+
+        res.status(200).json({ message: `The refresh tokens of ${user.username} are revoked` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST route for creating an API key (admins only)
+router.post('/api-keys', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const { name, role } = req.body || {};
+
+        const { apiKey, key } = await ApiKey.generate({ name, role, created_by: req.user.username });
+
+        // The key itself is only returned now (only its hash is saved in the database)
+        res.status(201).json({ ...apiKey.toJSON(), key });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for listing the API keys (admins only)
+router.get('/api-keys', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const apiKeys = await ApiKey.find().sort({ created_at: -1 });
+        res.status(200).json(apiKeys);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE route for revoking an API key (admins only)
+router.delete('/api-keys/:id', authenticate, authorize('admin'), async (req, res, next) => {
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revoked_at: null },
+            { revoked_at: new Date() },
+            { new: true }
+        );
+
+        if (!apiKey) {
+            throw new HttpError(404, `API key with ID ${req.params.id} not found`);
+        }
+
+        res.status(200).json({ message: `API key ${apiKey.prefix}... revoked successfully` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
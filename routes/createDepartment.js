@@ -0,0 +1,32 @@
+/*
+POST route for adding a new Department to the database.
+Route: /api/departments
+
+Example body:
+{ "name": "Engineering", "description": "Software development and IT" }
+*/
+
+// Import express and the Department model (with the validator of the request data)
+import express from 'express';
+import Department, { validateDepartment } from '../models/Department.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// POST route for creating a new department
+router.post('/', async (req, res, next) => {
+    try {
+        // Validate the request data (422 with all the invalid fields)
+        const values = validateDepartment(req.body);
+
+        // Create and save the new department (a duplicate name is converted to 409 by the error-handling middleware)
+        const savedDepartment = await new Department(values).save();
+
+        res.status(201).json(savedDepartment);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -7,7 +7,17 @@ This route will handle POST requests to create a new employee document in MongoD
 import express from 'express';
 
 // Import Employee model (Mongoose model defined in models/Employee.js)
-import Employee from '../models/Employee.js';
+// and the validator of the request data (built from the Employee schema)
+import Employee, { validateEmployee } from '../models/Employee.js';
+
+// Import the helper function for recording the employee's history (audit trail)
+import { recordHistory } from '../utils/history.js';
+
+// Import the helper function for sending the webhook events (please review utils/webhooks.js)
+import { emitEmployeeEvent } from '../utils/webhooks.js';
+
+// Import the helper function for the "ETag" header (the version of the employee)
+import { setETag } from '../utils/concurrency.js';
 
 // Routing with Express: 
 /* 
@@ -59,11 +69,15 @@ For these two main reasons:
      (which typically would be handled with a parameterized route like /api/employees/:id for individual employee actions like GET, PUT, or DELETE)
 */
 // POST route for creating a new employee:
-router.post('/', async (req, res) => {
+router.post('/', async (req, res, next) => {
     try {
-        // just for testing:
-        // Logs the incoming data to check if it's correct
-        console.log(req.body);
+        /* 
+        NOTE:
+        We don't log the request body (like console.log(req.body)), since it contains personal data
+        (email, age, ...). Every request is already logged without its body by middleware/requestLogger.js,
+        to check the incoming data while testing, use a debug log (the personal fields are redacted):
+        req.log.debug('New employee', { body: req.body });
+        */
 
         // Extracting Request Data:
         /*
@@ -76,22 +90,24 @@ router.post('/', async (req, res) => {
         Link: https://expressjs.com/en/5x/api.html#req.body
          */
         // Extracting data from the request body
-        const { employee_id, name, email, job_title, age, date_hired } = req.body;
+        // const { employee_id, name, email, job_title, age, date_hired } = req.body;
 
-        // Validate that all required fields are present [Extra Optional & Advanced Step]:
+        // Validate the request data [Extra Optional & Advanced Step]:
         // Ensuring that the client has provided all necessary data for creating an employee
-        if (!employee_id || !name || !email || !job_title || !age || !date_hired) {
-            /*
-            NOTE:
-            The client must provide all required data for creating an employee, 
-            otherwise, it's not valid!
-            If any required field is missing, 
-            we return a 400 status (Bad Request) with a helpful error message.
-          
-            Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/400
-            */
-            return res.status(400).json({ message: 'All fields are required.' });
-        }
+        /*
+        NOTE:
+        The old check => if (!employee_id || !name || !email || !job_title || !age || !date_hired)
+        treated every "falsy" value as missing (so age: 0 was "missing"), 
+        and it silently ignored the unknown fields.
+
+        validateEmployee() is built from the Employee schema:
+        - converts the values into the right types ("30" => 30, "2024-03-01" => Date)
+        - rejects the unknown fields
+        - responds with 422 (Unprocessable Entity) and ALL the invalid fields at once
+      
+        Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/422
+        */
+        const { employee_id, name, email, job_title, age, date_hired, department, manager_id } = validateEmployee(req.body);
 
         // Create a new employee document
         // The Employee model is used here to create a new instance with the extracted data.
@@ -109,6 +125,8 @@ router.post('/', async (req, res) => {
             job_title,
             age,
             date_hired,
+            department,
+            manager_id,
         });
 
         // Save the new employee to the database
@@ -135,10 +153,17 @@ router.post('/', async (req, res) => {
         when the employee document has been successfully saved to the MongoDB database
         */
 
+        // Record the "create" entry in the employee's history
+        await recordHistory(req, { action: 'create', before: null, after: savedEmployee });
+
+        // Tell the webhook subscribers (like the payroll system)
+        await emitEmployeeEvent(req, 'employee.created', { after: savedEmployee });
+
         // Return the saved employee data in the response
         // After successfully saving, we respond with the saved employee data
         // We also send a 201 HTTP status code (Created) as a successful creation response
         // Return the saved employee data with a 201 status
+        setETag(res, savedEmployee);
         res.status(201).json(savedEmployee);
         /* 
         res.status(201) => Setting the HTTP status code to 201:
@@ -153,11 +178,12 @@ router.post('/', async (req, res) => {
         Handle any errors during the creation process, common errors:
         - Invalid data format (ex: wrong data type for a field)
         - MongoDB connection errors
-        - Missing required fields (this is handled earlier in the code)
+        - Missing required fields or invalid values (this is handled earlier by validateEmployee())
         */
         // If there is an error (like: invalid data, MongoDB issues), we catch the error here
-        // Sending or returning a 400 status code (Bad Request) and include the error message in the response.
-        res.status(400).json({ message: error.message });
+        // Passing the error to the error-handling middleware (middleware/errorHandler.js),
+        // it responds with the right status code (like 422 for invalid data or 409 for a duplicate email)
+        next(error);
     }
 });
 
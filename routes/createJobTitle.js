@@ -0,0 +1,32 @@
+/*
+POST route for adding a new JobTitle to the database.
+Route: /api/job-titles
+
+Example body:
+{ "name": "Data Analyst", "description": "Reports and dashboards" }
+*/
+
+// Import express and the JobTitle model (with the validator of the request data)
+import express from 'express';
+import JobTitle, { validateJobTitle } from '../models/JobTitle.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// POST route for creating a new job title
+router.post('/', async (req, res, next) => {
+    try {
+        // Validate the request data (422 with all the invalid fields)
+        const values = validateJobTitle(req.body);
+
+        // Create and save the new job title (a duplicate name is converted to 409 by the error-handling middleware)
+        const savedJobTitle = await new JobTitle(values).save();
+
+        res.status(201).json(savedJobTitle);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
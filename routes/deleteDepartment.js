@@ -0,0 +1,49 @@
+/*
+DELETE route for deleting a department by its _id.
+Route: /api/departments/:id
+
+NOTE:
+A department can only be deleted when no employee belongs to it anymore,
+otherwise the employees would refer to a department that doesn't exist.
+The employees must be moved to another department (or removed from it) first => 409 (Conflict)
+(the employees in the trash count too, since they can be restored)
+*/
+
+// Import express and the models
+import express from 'express';
+import Department from '../models/Department.js';
+import Employee from '../models/Employee.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// DELETE route to remove a department
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const department = await Department.findById(req.params.id);
+
+        if (!department) {
+            throw new HttpError(404, `Department with ID ${req.params.id} not found`);
+        }
+
+        // The active employees, then the employees in the trash (they can be restored)
+        const employees = await Employee.countDocuments({ department: department._id })
+            + await Employee.countDocuments({ department: department._id, deleted_at: { $ne: null } });
+
+        if (employees > 0) {
+            throw new HttpError(409, `Department ${department.name} still has ${employees} employee(s), please move them to another department first`, { employees });
+        }
+
+        await department.deleteOne();
+
+        res.status(200).json({ message: `Department ${department.name} deleted successfully` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -1,12 +1,31 @@
 /*  
 DELETE route for deleting an employee from the database.
 This route handles DELETE requests to remove an employee by their ID.
+
+NOTE:
+The employee is "soft deleted": the document stays in the database with a "deleted_at" date,
+so it can be listed in the trash and restored later (please review routes/trashEmployees.js)
+
+A manager can only be deleted when nobody reports to them anymore => 409 (Conflict),
+otherwise their reports would point to a deleted manager (and the "manager_id" validation would reject every change of them)
 */
 
 // Import express and the Employee model
 import express from 'express';
 import Employee from '../models/Employee.js';
 
+// Import the helper function for recording the employee's history (audit trail)
+import { recordHistory } from '../utils/history.js';
+
+// Import the helper function for sending the webhook events (please review utils/webhooks.js)
+import { emitEmployeeEvent } from '../utils/webhooks.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Import the helper functions for the If-Match header (optimistic concurrency control)
+import { checkIfMatch, preconditionFailed } from '../utils/concurrency.js';
+
 // Create an Express Router instance (this helps keep our routes organized)
 const router = express.Router();
 
@@ -24,7 +43,7 @@ We can also use ':id' in the route refers to a dynamic parameter,
 But only depends on our Schema
 */
 /* DELETE route to remove an employee by employee_id */
-router.delete('/:employee_id', async (req, res) => {
+router.delete('/:employee_id', async (req, res, next) => {
     try {
         // Extract the employee ID from the request parameters
         /* 
@@ -45,24 +64,54 @@ router.delete('/:employee_id', async (req, res) => {
 
         // Attempt to find and delete the employee with the given ID
         // Mongoose's findByIdAndDelete() method deletes the employee if found
-        // Attempt to find and delete the employee with the given employee_id
-        const deletedEmployee = await Employee.findOneAndDelete({ employee_id });
+        // const deletedEmployee = await Employee.findOneAndDelete({ employee_id });
         /* 
         Link: https://mongoosejs.com/docs/api/model.html#Model.findOneAndDelete()
         */
 
+        // Find the (active) employee with the given employee_id
+        // The "pre" hook in models/Employee.js makes sure that an employee that is already deleted is not found
+        const employee = await Employee.findOne({ employee_id });
+
         // If the employee is not found, respond with a 404 error and a message
-        if (!deletedEmployee) {
-            return res.status(404).json({ message: `Employee with employee_id ${employee_id} not found` });
+        if (!employee) {
+            throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
             // return res.status(404).json({ message: `Employee with ID ${id} not found` });
         }
 
+        // The "If-Match" header must match the current version (412 Precondition Failed otherwise)
+        checkIfMatch(req, employee, `Employee ${employee_id}`);
+
+        // The active employees that report to this employee must get another manager first
+        const reports = await Employee.countDocuments({ manager_id: employee_id });
+        if (reports > 0) {
+            throw new HttpError(409, `Employee ${employee_id} still manages ${reports} employee(s), please give them another manager first`, { reports });
+        }
+
+        // Soft delete: set the deletion date (only if the employee has not been changed in the meantime)
+        // (new: false => returns the employee before the update, so we can record the history)
+        const deleted_at = new Date();
+        const deletedEmployee = await Employee.findOneAndUpdate(
+            { employee_id, __v: employee.__v },
+            { deleted_at, $inc: { __v: 1 } },
+            { new: false }
+        );
+
+        if (!deletedEmployee) {
+            throw preconditionFailed(`Employee ${employee_id}`);
+        }
+
+        // Record the "delete" entry in the employee's history, and tell the webhook subscribers
+        const after = { ...deletedEmployee.toObject(), deleted_at };
+        await recordHistory(req, { action: 'delete', before: deletedEmployee, after });
+        await emitEmployeeEvent(req, 'employee.deleted', { before: deletedEmployee, after });
+
         // If the employee was successfully deleted, return a success message:
         res.status(200).json({ message: `Employee with employee_id ${employee_id} deleted successfully` });
         // res.status(200).json({ message: `Employee with ID ${id} deleted successfully` });
     } catch (error) {
         // If an error occurs (like: invalid ID format, database issue), return a 400 error
-        res.status(400).json({ message: error.message });
+        next(error);
     }
 });
 
@@ -75,7 +124,9 @@ Key Points:
 - This route uses the Express Router to handle DELETE requests to the "/employee/:id" URL.
 - The ':id' is a dynamic URL parameter that represents the unique ID of the employee we want to delete.
 - We use Mongoose method "findByIdAndDelete()" to find and delete the employee document in one step.
+- In our code, we use "findOneAndUpdate()" to set "deleted_at" instead (soft delete), 
+  the deleted employees can be restored or purged using the trash routes.
 - If the employee with the specified ID is not found, the server responds with a 404 status and a message saying the employee was not found.
 - If the deletion is successful, the server responds with a 200 status and a success message.
-- The error handling ensures that any issues (like an invalid ID format or database errors) are caught and a 400 status is returned with the error message.
+- The error handling ensures that any issues (like an invalid ID format or database errors) are caught and passed to the error-handling middleware with next(error).
 */
@@ -0,0 +1,47 @@
+/*
+DELETE route for deleting a job title by its _id.
+Route: /api/job-titles/:id
+
+NOTE:
+A job title can only be deleted when no employee has it (active or in the trash) => 409 (Conflict),
+to stop using a job title that is still in use, retire it instead (PUT with "retired": true)
+*/
+
+// Import express and the models
+import express from 'express';
+import JobTitle from '../models/JobTitle.js';
+import Employee from '../models/Employee.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// DELETE route to remove a job title
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const jobTitle = await JobTitle.findById(req.params.id);
+
+        if (!jobTitle) {
+            throw new HttpError(404, `Job title with ID ${req.params.id} not found`);
+        }
+
+        // The active employees, then the employees in the trash (they can be restored)
+        const employees = await Employee.countDocuments({ job_title: jobTitle.name })
+            + await Employee.countDocuments({ job_title: jobTitle.name, deleted_at: { $ne: null } });
+
+        if (employees > 0) {
+            throw new HttpError(409, `The job title ${jobTitle.name} is used by ${employees} employee(s), please retire it instead`, { employees });
+        }
+
+        await jobTitle.deleteOne();
+
+        res.status(200).json({ message: `Job title ${jobTitle.name} deleted successfully` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
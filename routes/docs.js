@@ -0,0 +1,112 @@
+/*
+Routes for the API documentation:
+
+- GET /api/openapi.json => the OpenAPI 3.1 document (generated from the models and the registered routes)
+- GET /api/docs         => the interactive documentation (Swagger UI), where we can also try the routes
+- GET /api/docs/assets/* => the files of Swagger UI (served from the "swagger-ui-dist" package, not from a CDN)
+
+Both routes are public (no token is needed to read the documentation),
+to try the protected routes, click "Authorize" in Swagger UI and paste the access token or the API key
+
+Please review the file "utils/openapi.js" for more details
+Link: https://swagger.io/tools/swagger-ui/
+*/
+
+// Import express and the models of the documented resources
+import express from 'express';
+import Employee from '../models/Employee.js';
+import Department from '../models/Department.js';
+import JobTitle from '../models/JobTitle.js';
+import Webhook from '../models/Webhook.js';
+
+// "readFileSync" is used for reading the name and the version of the app from package.json
+import { readFileSync } from 'node:fs';
+
+// Import the helper function that generates the OpenAPI document
+import { buildOpenApiDocument } from '../utils/openapi.js';
+
+/*
+The folder of the "swagger-ui-dist" package (the built files of Swagger UI)
+NOTE: we import "absolute-path.js" only, the main file of the package also loads the whole bundle into Node.js
+Link: https://www.npmjs.com/package/swagger-ui-dist
+*/
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+
+// Import the versions of the employee API (every version has its own paths in the document)
+import { EMPLOYEE_API_VERSIONS } from '../middleware/apiVersion.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+const packageInfo = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// The resources that follow the REST conventions (their schemas are generated from the models)
+const RESOURCES = [
+    { path: '/api/employees', name: 'Employee', model: Employee, managedFields: ['deleted_at', 'created_at', 'updated_at'], concurrency: true, versions: EMPLOYEE_API_VERSIONS },
+    { path: '/api/departments', name: 'Department', model: Department },
+    { path: '/api/job-titles', name: 'JobTitle', model: JobTitle },
+    { path: '/api/webhooks', name: 'Webhook', model: Webhook, managedFields: ['created_by', 'created_at'] },
+];
+
+/*
+The document is generated on the first request (all the routes are registered by then),
+then it's kept in memory since the routes don't change while the app is running
+(in app.locals, since every app created by createApp() has its own routes, please review app.js)
+*/
+// GET route for the OpenAPI document
+router.get('/openapi.json', (req, res) => {
+    if (!req.app.locals.openApiDocument) {
+        const document = buildOpenApiDocument(req.app, {
+            info: {
+                title: 'Employees API',
+                version: packageInfo.version,
+                description: packageInfo.description,
+            },
+            resources: RESOURCES,
+        });
+        /*
+        When the app is mounted under a path (like "/hr"), the paths of the document start after it,
+        so the "servers" list gives the start of the URLs
+        Link: https://spec.openapis.org/oas/v3.1.0#server-object
+        */
+        const mountPath = req.app.path();
+        req.app.locals.openApiDocument = mountPath ? { ...document, servers: [{ url: mountPath }] } : document;
+    }
+    res.status(200).json(req.app.locals.openApiDocument);
+});
+
+/*
+The files of Swagger UI are served by our app, with the version installed by npm (package.json),
+so the browser never runs a script from a CDN that could be changed or compromised
+Link: https://expressjs.com/en/starter/static-files.html
+*/
+router.use('/docs/assets', express.static(getSwaggerUiPath(), { index: false }));
+
+/*
+GET route for the interactive documentation:
+A simple HTML page that loads Swagger UI (from the route above) and points it to our OpenAPI document
+Link: https://swagger.io/docs/open-source-tools/swagger-ui/usage/installation/#unpkg
+*/
+router.get('/docs', (req, res) => {
+    res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Employees API - Documentation</title>
+    <link rel="stylesheet" href="${req.baseUrl}/docs/assets/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${req.baseUrl}/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+        window.onload = () => {
+            window.ui = SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui' });
+        };
+    </script>
+</body>
+</html>`);
+});
+
+// Export the router so it can be used in the main app
+export default router;
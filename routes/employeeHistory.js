@@ -0,0 +1,112 @@
+/*
+Routes for the history (audit trail) of an employee:
+
+- GET  /api/employees/:employee_id/history                   => list the history entries (newest first)
+- POST /api/employees/:employee_id/history/:version/revert   => revert the employee to the values of a version
+
+Every entry contains the field-level changes (before/after), the actor, the request id and the timestamp.
+Please review the file "models/EmployeeHistory.js" for more details
+*/
+
+// Import express and the models
+import express from 'express';
+import Employee from '../models/Employee.js';
+import EmployeeHistory from '../models/EmployeeHistory.js';
+
+// Import the helper that converts the query string into a paginated Mongoose query
+import { findPage } from '../utils/listQuery.js';
+
+// Import the helper functions for recording the employee's history
+import { recordHistory, toSnapshot } from '../utils/history.js';
+
+// Import the helper function for sending the webhook events (please review utils/webhooks.js)
+import { emitEmployeeEvent } from '../utils/webhooks.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Import the helper functions for the If-Match header (optimistic concurrency control)
+import { checkIfMatch, setETag } from '../utils/concurrency.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The fields that are not changed when reverting (managed by MongoDB/Mongoose or by the delete/restore routes)
+const PROTECTED_FIELDS = ['_id', '__v', 'employee_id', 'deleted_at'];
+
+// "GET" route for listing the history of an employee
+// Example: /api/employees/emp001/history?action=update&limit=10
+router.get('/:employee_id/history', async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+
+        /*
+        The history is kept even after the employee is deleted (or purged),
+        so we don't check if the employee exists, we just return its entries
+        */
+        const result = await findPage(EmployeeHistory, req, { filter: { employee_id }, defaultSort: '-version' });
+
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "POST" route for reverting an employee to the values of a history version
+router.post('/:employee_id/history/:version/revert', async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+        const version = Number(req.params.version);
+
+        if (!Number.isInteger(version) || version < 1) {
+            throw new HttpError(400, 'The version must be a positive integer');
+        }
+
+        // Find the history entry of the requested version
+        const entry = await EmployeeHistory.findOne({ employee_id, version });
+
+        if (!entry) {
+            throw new HttpError(404, `Version ${version} of employee ${employee_id} not found`);
+        }
+        if (!entry.snapshot || entry.action === 'delete') {
+            throw new HttpError(400, `Version ${version} is a "delete" entry, please choose another version`);
+        }
+
+        // Find the (active) employee, a deleted employee must be restored first
+        const employee = await Employee.findOne({ employee_id });
+
+        if (!employee) {
+            throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
+        }
+
+        // The "If-Match" header must match the current version (412 Precondition Failed otherwise)
+        checkIfMatch(req, employee, `Employee ${employee_id}`);
+
+        const before = toSnapshot(employee);
+
+        // The values of the chosen version (without the protected fields)
+        const values = { ...entry.snapshot };
+        PROTECTED_FIELDS.forEach((field) => delete values[field]);
+
+        /*
+        Replace the employee's values with the values of the chosen version, then save the document
+        (save() runs the schema validators, in case the schema has changed since that version)
+        */
+        employee.overwrite({ ...values, employee_id, deleted_at: employee.deleted_at });
+        const revertedEmployee = await employee.save();
+
+        // Record the "revert" entry (a revert is a new version, so the history is never rewritten)
+        await recordHistory(req, { action: 'revert', before, after: revertedEmployee, reverted_to: version });
+
+        // For the webhook subscribers, a revert is an update
+        await emitEmployeeEvent(req, 'employee.updated', { before, after: revertedEmployee });
+
+        setETag(res, revertedEmployee);
+        res.status(200).json(revertedEmployee);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,290 @@
+/*
+Routes for the workforce analytics (built with the MongoDB aggregation pipeline):
+
+- GET /api/employees/stats                      => all the statistics below at once
+- GET /api/employees/stats/headcount            => number of employees by job title (?group_by=department)
+- GET /api/employees/stats/age-bands            => number of employees by age band (?bands=18,25,35,45,55,65)
+- GET /api/employees/stats/hires                => number of hires per month (?interval=year)
+- GET /api/employees/stats/tenure               => average and median tenure (in years)
+- GET /api/employees/stats/turnover             => hires vs leaves per month (?interval=year)
+
+Common query parameters:
+- ?from=2023-01-01&to=2023-12-31 => the date range (on "date_hired", and on "deleted_at" for the leaves)
+- The same filters as the list route => ?job_title=HR&age[gte]=30 (please review utils/listQuery.js)
+
+NOTE:
+An employee "leaves" when it's deleted (the "deleted_at" date of the soft delete),
+so the leaves are counted from the employees in the trash (purged employees are not counted anymore)
+
+Link: https://www.mongodb.com/docs/manual/aggregation/
+Link: https://mongoosejs.com/docs/api/aggregate.html
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee from '../models/Employee.js';
+
+// Import the helper that builds the filter from the query string
+import { buildFilter, RESERVED_PARAMS } from '../utils/listQuery.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The query parameters of these routes are not filters
+const STATS_RESERVED_PARAMS = [...RESERVED_PARAMS, 'from', 'to', 'interval', 'bands', 'group_by'];
+
+// The fields that can be used with ?group_by= for the headcount
+const GROUP_BY_FIELDS = ['job_title', 'department', 'manager_id'];
+
+// The default age bands: 18-24, 25-34, 35-44, 45-54, 55-64, 65+
+const DEFAULT_AGE_BANDS = [18, 25, 35, 45, 55, 65];
+
+// The date formats of the periods ($dateToString)
+const INTERVAL_FORMATS = { month: '%Y-%m', year: '%Y' };
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Read an optional ISO date from the query string
+function parseDate(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        throw new HttpError(400, `"${name}" must be a date in the ISO 8601 format (like 2024-03-01)`);
+    }
+    return date;
+}
+
+// Build a MongoDB date range condition => { $gte: from, $lte: to }
+function dateRange(from, to) {
+    const range = {};
+    if (from) {
+        range.$gte = from;
+    }
+    if (to) {
+        range.$lte = to;
+    }
+    return Object.keys(range).length > 0 ? range : undefined;
+}
+
+/*
+Read the common query parameters:
+- match => the $match stage for the active employees (filters + hire date range)
+- hiredMatch => the same, but also with the deleted employees (they were hired too)
+- filter => the filters only (used for the leaves, which need the deleted employees)
+*/
+function parseStatsQuery(query) {
+    const from = parseDate(query.from, 'from');
+    const to = parseDate(query.to, 'to');
+    if (from && to && from > to) {
+        throw new HttpError(400, '"from" must be before "to"');
+    }
+
+    /*
+    The aggregation pipeline doesn't "cast" the values like Model.find() does ('30' => 30),
+    so we cast the filter with the schema first
+    Link: https://mongoosejs.com/docs/api/query.html#Query.prototype.cast()
+    */
+    const filter = Employee.find().cast(Employee, buildFilter(query, Employee, STATS_RESERVED_PARAMS));
+
+    const hired = dateRange(from, to);
+    const hiredMatch = { ...filter, ...(hired && { date_hired: { ...filter.date_hired, ...hired } }) };
+    return {
+        from,
+        to,
+        filter,
+        hiredMatch,
+        // The "pre" hooks don't run for aggregate(), so we add { deleted_at: null } ourselves
+        match: { ...hiredMatch, deleted_at: null },
+    };
+}
+
+// Read the ?interval= parameter (month by default)
+function parseInterval(value) {
+    const interval = value ?? 'month';
+    if (!INTERVAL_FORMATS[interval]) {
+        throw new HttpError(400, '"interval" must be "month" or "year"');
+    }
+    return interval;
+}
+
+// Headcount by a field: [{ job_title: 'HR', count: 3 }, ...] (the biggest group first)
+async function getHeadcount(match, groupBy = 'job_title') {
+    if (!GROUP_BY_FIELDS.includes(groupBy)) {
+        throw new HttpError(400, `"group_by" must be one of: ${GROUP_BY_FIELDS.join(', ')}`);
+    }
+    const groups = await Employee.aggregate([
+        { $match: match },
+        { $group: { _id: `$${groupBy}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+    ]);
+    const data = groups.map(({ _id, count }) => ({ [groupBy]: _id ?? null, count }));
+    return { group_by: groupBy, total: data.reduce((sum, { count }) => sum + count, 0), data };
+}
+
+/*
+Age bands with the "$bucket" stage:
+bands [18, 25, 35] => 18-24, 25-34, 35+ (and "other" for the ages outside the bands)
+Link: https://www.mongodb.com/docs/manual/reference/operator/aggregation/bucket/
+*/
+async function getAgeBands(match, bandsParam) {
+    let bands = DEFAULT_AGE_BANDS;
+    if (bandsParam !== undefined) {
+        bands = String(bandsParam).split(',').map(Number);
+        if (bands.length < 1 || bands.some((age, index) => !Number.isInteger(age) || (index > 0 && age <= bands[index - 1]))) {
+            throw new HttpError(400, '"bands" must be a list of increasing whole numbers (like 18,25,35,45)');
+        }
+    }
+
+    const buckets = await Employee.aggregate([
+        { $match: match },
+        { $bucket: { groupBy: '$age', boundaries: [...bands, Infinity], default: 'other', output: { count: { $sum: 1 } } } },
+    ]);
+
+    const counts = new Map(buckets.map(({ _id, count }) => [_id, count]));
+    const data = bands.map((age, index) => ({
+        band: index < bands.length - 1 ? `${age}-${bands[index + 1] - 1}` : `${age}+`,
+        min: age,
+        max: index < bands.length - 1 ? bands[index + 1] - 1 : null,
+        count: counts.get(age) || 0,
+    }));
+    if (counts.has('other')) {
+        data.push({ band: 'other', min: null, max: null, count: counts.get('other') });
+    }
+    return { data };
+}
+
+// Number of employees per period of a date field: { '2024-01': 3, ... }
+async function countPerPeriod(match, dateField, interval) {
+    const periods = await Employee.aggregate([
+        { $match: match },
+        { $group: { _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: `$${dateField}` } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+    ]);
+    return new Map(periods.map(({ _id, count }) => [_id, count]));
+}
+
+// Hires per month or year (active and deleted employees): [{ period: '2024-01', hires: 3 }, ...]
+async function getHires(hiredMatch, interval) {
+    const hires = await countPerPeriod(hiredMatch, 'date_hired', interval);
+    return { interval, data: [...hires].map(([period, count]) => ({ period, hires: count })) };
+}
+
+/*
+Tenure (how long the active employees have been working here), in years:
+the average is calculated by MongoDB, the median from the sorted list of the tenures
+*/
+async function getTenure(match, to) {
+    const until = to && to < new Date() ? to : new Date();
+    const [result] = await Employee.aggregate([
+        { $match: match },
+        { $project: { tenure: { $divide: [{ $subtract: [until, '$date_hired'] }, MS_PER_YEAR] } } },
+        { $sort: { tenure: 1 } },
+        { $group: { _id: null, average: { $avg: '$tenure' }, tenures: { $push: '$tenure' } } },
+    ]);
+
+    if (!result) {
+        return { count: 0, average_years: null, median_years: null };
+    }
+
+    const { tenures } = result;
+    const middle = Math.floor(tenures.length / 2);
+    const median = tenures.length % 2 === 1 ? tenures[middle] : (tenures[middle - 1] + tenures[middle]) / 2;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return { count: tenures.length, average_years: round(result.average), median_years: round(median) };
+}
+
+/*
+Hires vs leaves per month or year:
+- hires => all the employees (active or deleted) by "date_hired"
+- leaves => the deleted employees by "deleted_at"
+*/
+async function getTurnover({ filter, hiredMatch, from, to }, interval) {
+    const range = dateRange(from, to);
+    const hires = await countPerPeriod(hiredMatch, 'date_hired', interval);
+    const leaves = await countPerPeriod({ ...filter, deleted_at: range ? { $ne: null, ...range } : { $ne: null } }, 'deleted_at', interval);
+
+    const periods = [...new Set([...hires.keys(), ...leaves.keys()])].sort();
+    const data = periods.map((period) => {
+        const hired = hires.get(period) || 0;
+        const left = leaves.get(period) || 0;
+        return { period, hires: hired, leaves: left, net: hired - left };
+    });
+    return { interval, data };
+}
+
+// "GET" route for all the statistics at once
+router.get('/stats', async (req, res, next) => {
+    try {
+        const stats = parseStatsQuery(req.query);
+        const interval = parseInterval(req.query.interval);
+
+        res.status(200).json({
+            headcount: await getHeadcount(stats.match, req.query.group_by),
+            age_bands: await getAgeBands(stats.match, req.query.bands),
+            hires: await getHires(stats.hiredMatch, interval),
+            tenure: await getTenure(stats.match, stats.to),
+            turnover: await getTurnover(stats, interval),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Example: /api/employees/stats/headcount?group_by=department
+router.get('/stats/headcount', async (req, res, next) => {
+    try {
+        const { match } = parseStatsQuery(req.query);
+        res.status(200).json(await getHeadcount(match, req.query.group_by));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Example: /api/employees/stats/age-bands?bands=20,30,40,50
+router.get('/stats/age-bands', async (req, res, next) => {
+    try {
+        const { match } = parseStatsQuery(req.query);
+        res.status(200).json(await getAgeBands(match, req.query.bands));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Example: /api/employees/stats/hires?interval=year&from=2020-01-01
+router.get('/stats/hires', async (req, res, next) => {
+    try {
+        const { hiredMatch } = parseStatsQuery(req.query);
+        res.status(200).json(await getHires(hiredMatch, parseInterval(req.query.interval)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Example: /api/employees/stats/tenure?job_title=HR
+router.get('/stats/tenure', async (req, res, next) => {
+    try {
+        const { match, to } = parseStatsQuery(req.query);
+        res.status(200).json(await getTenure(match, to));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Example: /api/employees/stats/turnover?interval=month&from=2024-01-01&to=2024-12-31
+router.get('/stats/turnover', async (req, res, next) => {
+    try {
+        const stats = parseStatsQuery(req.query);
+        res.status(200).json(await getTurnover(stats, parseInterval(req.query.interval)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,209 @@
+/*
+GET route for exporting employees as a file (CSV, NDJSON, or Excel XLSX).
+This route will handle GET requests to "/api/employees/export"
+
+The format is selected by:
+- The "format" query parameter: ?format=csv | ndjson | xlsx
+- OR the "Accept" request header:
+    > text/csv
+    > application/x-ndjson
+    > application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+- The default format is CSV
+
+The same filters, sorting and column selection of the list route (GET /api/employees) can be used:
+Example: /api/employees/export?format=xlsx&job_title=HR&sort=name&fields=employee_id,name,email
+
+Streaming:
+**********
+Instead of loading all the employees into memory with find(),
+we read them one by one using a Mongoose "cursor" and write every employee directly to the response.
+So exporting a very large collection uses (almost) the same memory as exporting a small one.
+Link: https://mongoosejs.com/docs/api/query.html#Query.prototype.cursor()
+Link: https://nodejs.org/api/stream.html#writablewritechunk-encoding-callback
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee from '../models/Employee.js';
+
+/*
+Using the "exceljs" package for creating Excel files (it supports streaming)
+Link: https://www.npmjs.com/package/exceljs
+*/
+import ExcelJS from 'exceljs';
+
+// "once()" returns a Promise that resolves when an event is emitted (we use it to wait for "drain" or "close")
+import { once } from 'node:events';
+
+// Import the helpers of the list route (filters, sorting and column selection)
+import { buildFilter, buildSort, buildProjection, getQueryableFields, RESERVED_PARAMS } from '../utils/listQuery.js';
+
+// Import the helper function for writing CSV lines
+import { toCsvLine } from '../utils/csv.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The supported export formats with their content types and file extensions
+const FORMATS = {
+    csv: { type: 'text/csv', extension: 'csv' },
+    ndjson: { type: 'application/x-ndjson', extension: 'ndjson' },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// "format" is not a filter, so it's added to the list of the reserved query parameters
+const EXPORT_RESERVED_PARAMS = [...RESERVED_PARAMS, 'format'];
+
+// Select the export format from the query parameter or the "Accept" header
+function selectFormat(req) {
+    if (req.query.format !== undefined) {
+        if (!FORMATS[req.query.format]) {
+            throw new HttpError(400, `"format" must be one of: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        return req.query.format;
+    }
+
+    /*
+    req.accepts() returns the best match from the list based on the "Accept" header
+    (the first one in the list is used when the client accepts any type, or sends no "Accept" header)
+    Link: https://expressjs.com/en/5x/api.html#req.accepts
+    */
+    const accepted = req.accepts(Object.values(FORMATS).map(({ type }) => type));
+    if (!accepted) {
+        throw new HttpError(406, 'Not Acceptable, the supported formats are CSV, NDJSON and XLSX');
+    }
+    return Object.keys(FORMATS).find((format) => FORMATS[format].type === accepted);
+}
+
+/*
+Wait until the response "buffer" has room again:
+res.write() returns false when the client is slower than the database,
+so we wait for the "drain" event before writing more data (this is known as "backpressure")
+
+NOTE:
+A client that closes the connection never reads the buffer, so "drain" would never come:
+we wait for "close" too, and stop the export with an error (the loop over the cursor ends)
+*/
+async function waitForDrain(res) {
+    if (!res.destroyed) {
+        const controller = new AbortController();
+        await Promise.race([
+            once(res, 'drain', { signal: controller.signal }),
+            once(res, 'close', { signal: controller.signal }),
+        ]);
+        // Remove the listener of the other event
+        controller.abort();
+    }
+    if (res.destroyed) {
+        throw new Error('The client closed the connection');
+    }
+}
+
+// Write a chunk to the response and wait if the response buffer is full
+async function write(res, chunk) {
+    if (!res.write(chunk)) {
+        await waitForDrain(res);
+    }
+}
+
+// GET route for exporting employees
+router.get('/export', async (req, res, next) => {
+    let cursor;
+
+    try {
+        // Validate the query parameters first (before sending anything to the client)
+        const format = selectFormat(req);
+        // Only the active employees are exported (the deleted ones are in the trash)
+        const filter = { ...buildFilter(req.query, Employee, EXPORT_RESERVED_PARAMS), deleted_at: null };
+        const sort = buildSort(req.query.sort, Employee);
+        const projection = buildProjection(req.query.fields, Employee);
+
+        // The columns of the file: the selected fields, or all the schema fields
+        const columns = projection
+            ? projection.split(' ')
+            : getQueryableFields(Employee).filter((field) => !['_id', 'deleted_at'].includes(field));
+
+        /*
+        Open the cursor:
+        lean() returns plain JavaScript objects instead of Mongoose documents (faster and less memory)
+        Link: https://mongoosejs.com/docs/tutorials/lean.html
+        */
+        const query = Employee.find(filter, columns.join(' ')).sort(sort).lean();
+
+        // Cast the filter values now (like "age[gte]=abc"), so a "CastError" is reported as a JSON error
+        query.cast();
+
+        cursor = query.cursor();
+
+        // Set the response headers, "attachment" tells the browser to download the file
+        const date = new Date().toISOString().slice(0, 10);
+        res.status(200);
+        res.type(FORMATS[format].type);
+        res.attachment(`employees-${date}.${FORMATS[format].extension}`);
+
+        // Stop reading from the database if the client closes the connection
+        res.on('close', () => cursor.close().catch(() => {}));
+
+        if (format === 'csv') {
+            await write(res, toCsvLine(columns));
+            for await (const employee of cursor) {
+                await write(res, toCsvLine(columns.map((column) => employee[column])));
+            }
+            res.end();
+        } else if (format === 'ndjson') {
+            for await (const employee of cursor) {
+                const row = Object.fromEntries(columns.map((column) => [column, employee[column]]));
+                await write(res, `${JSON.stringify(row)}\n`);
+            }
+            res.end();
+        } else {
+            /*
+            The streaming "WorkbookWriter" writes every row to the response once it's committed
+            Link: https://github.com/exceljs/exceljs#streaming-io
+            */
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+            const worksheet = workbook.addWorksheet('Employees');
+            worksheet.columns = columns.map((column) => ({ header: column, key: column, width: 20 }));
+
+            for await (const employee of cursor) {
+                // Excel cells can hold strings, numbers and dates, so other values (like ObjectId) are converted to strings
+                const row = Object.fromEntries(columns.map((column) => {
+                    const value = employee[column];
+                    const isCellValue = value == null || value instanceof Date || ['string', 'number', 'boolean'].includes(typeof value);
+                    return [column, isCellValue ? value : String(value)];
+                }));
+                worksheet.addRow(row).commit();
+                // The workbook writes to the response by itself, so we only wait when its buffer is full
+                if (res.writableNeedDrain || res.destroyed) {
+                    await waitForDrain(res);
+                }
+            }
+            worksheet.commit();
+            // commit() finishes the file and ends the response
+            await workbook.commit();
+        }
+    } catch (error) {
+        if (cursor) {
+            await cursor.close().catch(() => {});
+        }
+
+        // The client has already gone (please review waitForDrain() above), there is nobody to answer
+        if (res.destroyed) {
+            return;
+        }
+
+        // If the file has already started, we can't send a JSON error anymore, so we close the connection
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        // Handle any errors (like invalid query parameters) before the export starts
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
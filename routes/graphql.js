@@ -0,0 +1,416 @@
+/*
+The GraphQL API of the employees (POST or GET /graphql):
+The client asks for exactly the fields it needs, and the related data (department, manager, reports) in one request.
+
+Example (POST /graphql with Content-Type: application/json):
+{
+    "query": "query ($title: String) {
+        employees(filter: { job_title: { eq: $title } }, sort: \"-date_hired\", limit: 10) {
+            data { employee_id name department { name } manager { name } }
+            meta { total next_cursor }
+        }
+    }",
+    "variables": { "title": "HR" }
+}
+=> { "data": { "employees": { "data": [...], "meta": { "total": 12, "next_cursor": "WyIy..." } } } }
+
+The schema (the types come from the Mongoose models, please review utils/graphql.js):
+- Query:
+    > employee(employee_id) => one employee (null if not found)
+    > employees(filter, sort, limit, page, after) => the same filters, sorting and pagination as GET /api/employees
+- Mutation (the same validation, history, webhooks and errors as the REST routes):
+    > createEmployee(input) => like POST /api/employees
+    > updateEmployee(employee_id, input, version) => like PATCH /api/employees/:employee_id (null removes a field)
+    > deleteEmployee(employee_id, version) => like DELETE /api/employees/:employee_id (the employee goes to the trash)
+    "version" is the optional "version" field of the last read (like the If-Match header, 412 if it changed)
+
+NOTE:
+- The access policy is the same as the REST routes (please review middleware/auth.js): everyone reads,
+  admin and hr_editor create and update, only admin deletes
+- The errors of the resolvers have the status code of the REST routes in "extensions" (like 422 with the invalid fields),
+  the HTTP status of the response is 200 (the other fields of the query still have their data)
+- The queries that are too deep or too complex are rejected with 400 before running (GRAPHQL_MAX_DEPTH, GRAPHQL_MAX_COMPLEXITY)
+- GET /graphql?query=... only runs queries (405 for the mutations, a GET request must not change anything)
+
+Link: https://graphql.org/learn/serving-over-http/
+Link: https://graphql.org/graphql-js/running-an-express-graphql-server/
+*/
+
+// Import express and the models (with the validator of the employees)
+import express from 'express';
+import {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLInputObjectType,
+    GraphQLNonNull,
+    GraphQLList,
+    GraphQLString,
+    GraphQLInt,
+    GraphQLError,
+    parse,
+    validate,
+    execute,
+    getOperationAST,
+    getVariableValues,
+} from 'graphql';
+import Employee, { validateEmployee } from '../models/Employee.js';
+import Department from '../models/Department.js';
+
+// Import the helpers that build the GraphQL types from the models, and run the queries safely
+import {
+    modelToGraphQLFields,
+    modelToGraphQLInputFields,
+    modelToGraphQLFilterType,
+    filterToListQuery,
+    createLoader,
+    checkQueryLimits,
+    formatGraphQLError,
+} from '../utils/graphql.js';
+
+// Import the list helper of the REST routes (filters, sorting and pagination)
+import { queryPage, MAX_LIMIT } from '../utils/listQuery.js';
+
+// Import the helpers of the REST routes (the same changes are recorded and sent)
+import { applyMergePatch } from '../utils/jsonPatch.js';
+import { recordHistory, toSnapshot } from '../utils/history.js';
+import { emitEmployeeEvent } from '../utils/webhooks.js';
+import { checkVersion, preconditionFailed } from '../utils/concurrency.js';
+
+// Import the access policy of the employee routes
+import { EMPLOYEE_POLICY } from '../middleware/auth.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The fields that are managed by the server (the same as the PATCH route, please review routes/updateEmployee.js)
+const MANAGED_FIELDS = ['deleted_at', 'created_at', 'updated_at'];
+
+// The mutations are checked with the roles of their HTTP method (createEmployee => POST, ...)
+function checkRole(req, method) {
+    const roles = EMPLOYEE_POLICY[method];
+    if (!roles.includes(req.user.role)) {
+        throw new HttpError(403, `This action requires one of the roles: ${roles.join(', ')}`);
+    }
+}
+
+// Find an active employee or fail with 404
+async function findEmployee(employee_id) {
+    const employee = await Employee.findOne({ employee_id });
+    if (!employee) {
+        throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
+    }
+    return employee;
+}
+
+const DepartmentType = new GraphQLObjectType({
+    name: 'Department',
+    fields: () => modelToGraphQLFields(Department),
+});
+
+/*
+The Employee type: the fields of the model, plus the related data
+("department" is the department itself instead of its _id, like ?populate=department)
+*/
+const EmployeeType = new GraphQLObjectType({
+    name: 'Employee',
+    fields: () => ({
+        ...modelToGraphQLFields(Employee),
+        version: {
+            type: new GraphQLNonNull(GraphQLInt),
+            description: 'The version of the employee (the ETag of the REST routes), for the "version" argument of the mutations',
+            resolve: (employee) => employee.__v ?? 0,
+        },
+        department: {
+            type: DepartmentType,
+            resolve: (employee, args, { loaders }) => employee.department && loaders.department(employee.department),
+        },
+        manager: {
+            type: EmployeeType,
+            resolve: (employee, args, { loaders }) => employee.manager_id && loaders.employee(employee.manager_id),
+        },
+        reports: {
+            type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(EmployeeType))),
+            description: 'The employees managed by this employee (sorted by employee_id)',
+            args: { limit: { type: GraphQLInt, defaultValue: 20 } },
+            resolve: async (employee, { limit }, { loaders }) => {
+                if (limit < 1 || limit > MAX_LIMIT) {
+                    throw new HttpError(400, `"limit" must be between 1 and ${MAX_LIMIT}`);
+                }
+                return (await loaders.reports(employee.employee_id)).slice(0, limit);
+            },
+        },
+    }),
+});
+
+const EmployeeInputType = new GraphQLInputObjectType({
+    name: 'EmployeeInput',
+    fields: () => modelToGraphQLInputFields(Employee, { managedFields: MANAGED_FIELDS }),
+});
+
+// employee_id can't be changed, and every field is optional (only the given fields are changed)
+const EmployeeUpdateInputType = new GraphQLInputObjectType({
+    name: 'EmployeeUpdateInput',
+    fields: () => modelToGraphQLInputFields(Employee, { managedFields: MANAGED_FIELDS, exclude: ['employee_id'], partial: true }),
+});
+
+const PageMetaType = new GraphQLObjectType({
+    name: 'PageMeta',
+    fields: {
+        total: { type: new GraphQLNonNull(GraphQLInt) },
+        limit: { type: new GraphQLNonNull(GraphQLInt) },
+        page: { type: GraphQLInt, description: 'Only with the page based pagination' },
+        pages: { type: GraphQLInt, description: 'Only with the page based pagination' },
+        next_cursor: { type: GraphQLString, description: 'The "after" argument of the next page (cursor based pagination)' },
+    },
+});
+
+const EmployeePageType = new GraphQLObjectType({
+    name: 'EmployeePage',
+    fields: {
+        data: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(EmployeeType))) },
+        meta: { type: new GraphQLNonNull(PageMetaType) },
+    },
+});
+
+const QueryType = new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+        employee: {
+            type: EmployeeType,
+            args: { employee_id: { type: new GraphQLNonNull(GraphQLString) } },
+            resolve: (root, { employee_id }) => Employee.findOne({ employee_id }),
+        },
+        employees: {
+            type: new GraphQLNonNull(EmployeePageType),
+            args: {
+                filter: { type: modelToGraphQLFilterType(Employee, 'EmployeeFilter', { exclude: MANAGED_FIELDS }) },
+                sort: { type: GraphQLString, description: 'Like ?sort=, for example "-date_hired,name"' },
+                limit: { type: GraphQLInt },
+                page: { type: GraphQLInt },
+                after: { type: GraphQLString, description: 'The "next_cursor" of the previous page (an empty string starts from the first page)' },
+            },
+            resolve: async (root, { filter, ...options }) => {
+                // The same query as GET /api/employees?job_title[eq]=HR&sort=-date_hired&limit=10 (only the given arguments)
+                const query = filterToListQuery(filter);
+                for (const [name, value] of Object.entries(options)) {
+                    if (value !== null && value !== undefined) {
+                        query[name] = value;
+                    }
+                }
+                // Only the active employees, like the list route (a filter on "deleted_at" can't reach the trash)
+                const { data, meta, next } = await queryPage(Employee, query, { filter: { deleted_at: null } });
+                return { data, meta: { ...meta, next_cursor: next?.after ?? null } };
+            },
+        },
+    },
+});
+
+const MutationType = new GraphQLObjectType({
+    name: 'Mutation',
+    fields: {
+        createEmployee: {
+            type: new GraphQLNonNull(EmployeeType),
+            args: { input: { type: new GraphQLNonNull(EmployeeInputType) } },
+            resolve: async (root, { input }, { req }) => {
+                checkRole(req, 'POST');
+
+                // The same validation as the POST route (422 with all the invalid fields)
+                const values = validateEmployee(input);
+                const savedEmployee = await new Employee(values).save();
+
+                await recordHistory(req, { action: 'create', before: null, after: savedEmployee });
+                await emitEmployeeEvent(req, 'employee.created', { after: savedEmployee });
+                return savedEmployee;
+            },
+        },
+        updateEmployee: {
+            type: new GraphQLNonNull(EmployeeType),
+            args: {
+                employee_id: { type: new GraphQLNonNull(GraphQLString) },
+                input: { type: new GraphQLNonNull(EmployeeUpdateInputType) },
+                version: { type: GraphQLInt },
+            },
+            resolve: async (root, { employee_id, input, version }, { req }) => {
+                checkRole(req, 'PATCH');
+
+                const employee = await findEmployee(employee_id);
+                checkVersion(version, employee, `Employee ${employee_id}`);
+
+                // Like a merge patch of the PATCH route: the given fields replace the current values, null removes a field
+                const before = toSnapshot(employee);
+                const current = employee.toJSON();
+                for (const field of ['_id', '__v', ...MANAGED_FIELDS]) {
+                    delete current[field];
+                }
+                const values = validateEmployee(applyMergePatch(JSON.parse(JSON.stringify(current)), input));
+
+                // save() only succeeds if the version has not changed since the read (VersionError => 412)
+                employee.overwrite({ ...values, deleted_at: employee.deleted_at });
+                const updatedEmployee = await employee.save();
+
+                await recordHistory(req, { action: 'update', before, after: updatedEmployee });
+                await emitEmployeeEvent(req, 'employee.updated', { before, after: updatedEmployee });
+                return updatedEmployee;
+            },
+        },
+        deleteEmployee: {
+            type: new GraphQLNonNull(EmployeeType),
+            description: 'Move the employee to the trash (returns the deleted employee, with "deleted_at")',
+            args: {
+                employee_id: { type: new GraphQLNonNull(GraphQLString) },
+                version: { type: GraphQLInt },
+            },
+            resolve: async (root, { employee_id, version }, { req }) => {
+                checkRole(req, 'DELETE');
+
+                const employee = await findEmployee(employee_id);
+                checkVersion(version, employee, `Employee ${employee_id}`);
+
+                // A manager can't be deleted while employees report to them (like the DELETE route)
+                const reports = await Employee.countDocuments({ manager_id: employee_id });
+                if (reports > 0) {
+                    throw new HttpError(409, `Employee ${employee_id} still manages ${reports} employee(s), please give them another manager first`, { reports });
+                }
+
+                // The same soft delete as the DELETE route (only if the employee has not been changed in the meantime)
+                const deleted_at = new Date();
+                const deletedEmployee = await Employee.findOneAndUpdate(
+                    { employee_id, __v: employee.__v },
+                    { deleted_at, $inc: { __v: 1 } },
+                    { new: false }
+                );
+                if (!deletedEmployee) {
+                    throw preconditionFailed(`Employee ${employee_id}`);
+                }
+
+                const after = { ...deletedEmployee.toObject(), deleted_at };
+                await recordHistory(req, { action: 'delete', before: deletedEmployee, after });
+                await emitEmployeeEvent(req, 'employee.deleted', { before: deletedEmployee, after });
+                return { ...after, __v: deletedEmployee.__v + 1 };
+            },
+        },
+    },
+});
+
+export const schema = new GraphQLSchema({ query: QueryType, mutation: MutationType });
+
+// The loaders of the related data (new for every request, so the cache never has old data)
+function createLoaders() {
+    return {
+        department: createLoader(async (ids) => {
+            const departments = await Department.find({ _id: { $in: ids } });
+            return new Map(departments.map((department) => [String(department._id), department]));
+        }),
+        employee: createLoader(async (employeeIds) => {
+            const employees = await Employee.find({ employee_id: { $in: employeeIds } });
+            return new Map(employees.map((employee) => [employee.employee_id, employee]));
+        }),
+        reports: createLoader(async (managerIds) => {
+            const employees = await Employee.find({ manager_id: { $in: managerIds } }).sort({ employee_id: 1 });
+            const reports = new Map(managerIds.map((id) => [id, []]));
+            for (const employee of employees) {
+                reports.get(employee.manager_id).push(employee);
+            }
+            return reports;
+        }),
+    };
+}
+
+// Read { query, variables, operationName } from the body (POST) or the query string (GET)
+function readParams(req) {
+    const params = req.method === 'GET' ? { ...req.query } : req.body;
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw new HttpError(400, 'The request body must be a JSON object: { "query": "...", "variables": { ... } }');
+    }
+    let { query, variables, operationName } = params;
+
+    if (typeof query !== 'string' || query.trim() === '') {
+        throw new HttpError(400, '"query" is required');
+    }
+    // In the query string, the variables are a JSON string => ?variables={"id":"emp001"}
+    if (typeof variables === 'string') {
+        try {
+            variables = JSON.parse(variables);
+        } catch {
+            throw new HttpError(400, '"variables" must be a JSON object');
+        }
+    }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+        throw new HttpError(400, '"variables" must be a JSON object');
+    }
+    if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') {
+        throw new HttpError(400, '"operationName" must be a string');
+    }
+    return { query, variables: variables || {}, operationName: operationName || undefined };
+}
+
+// The request can't be run (syntax, validation or limits) => 400 with the GraphQL errors
+function sendRequestErrors(res, errors) {
+    res.status(400).json({ errors: errors.map((error) => error.toJSON()) });
+}
+
+async function handleGraphQL(req, res, next) {
+    try {
+        const { query, variables, operationName } = readParams(req);
+
+        let document;
+        try {
+            document = parse(query);
+        } catch (syntaxError) {
+            return sendRequestErrors(res, [syntaxError]);
+        }
+
+        // The standard validation of GraphQL (unknown fields, wrong argument types, ...)
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) {
+            return sendRequestErrors(res, validationErrors);
+        }
+
+        const operation = getOperationAST(document, operationName);
+        if (!operation) {
+            return sendRequestErrors(res, [new GraphQLError(operationName
+                ? `Unknown operation "${operationName}"`
+                : 'The document has more than one operation, "operationName" is required')]);
+        }
+        if (req.method === 'GET' && operation.operation !== 'query') {
+            res.set('Allow', 'POST');
+            throw new HttpError(405, `A ${operation.operation} must be sent with a POST request`);
+        }
+
+        // The values of the variables (needed for the complexity, like "limit: $limit")
+        const { coerced, errors: variableErrors } = getVariableValues(schema, operation.variableDefinitions || [], variables);
+        if (variableErrors) {
+            return sendRequestErrors(res, variableErrors);
+        }
+
+        const limitErrors = checkQueryLimits(schema, document, operation, coerced);
+        if (limitErrors.length > 0) {
+            return sendRequestErrors(res, limitErrors);
+        }
+
+        const result = await execute({
+            schema,
+            document,
+            operationName,
+            variableValues: variables,
+            contextValue: { req, loaders: createLoaders() },
+        });
+
+        res.status(200).json({
+            ...(result.errors && { errors: result.errors.map((error) => formatGraphQLError(error, req)) }),
+            data: result.data,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// POST route (queries and mutations) and GET route (queries only)
+router.post('/', handleGraphQL);
+router.get('/', handleGraphQL);
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,64 @@
+/*
+Health check routes (public, used by the platform that runs the app, like Kubernetes or a load balancer):
+
+- GET /health/live  => "liveness": the process is running and answers (200)
+    > if it fails, the platform restarts the app
+- GET /health/ready => "readiness": the app can serve requests right now (200), or not (503)
+    > the database must be connected and answer the "ping" (with its latency)
+    > during the shutdown, it's 503 so the load balancer stops sending requests
+    > if it fails, the platform stops sending requests to this instance (but doesn't restart it)
+- GET /health       => the same as /health/ready (the old health check)
+
+NOTE:
+The liveness probe doesn't check the database on purpose:
+restarting the app doesn't fix a database that is down, it only makes things worse
+
+Link: https://kubernetes.io/docs/tasks/configure-pod-container/configure-liveness-readiness-startup-probes/
+*/
+
+// Import express
+import express from 'express';
+
+// Import the health of the database and the shutdown state
+import { getDatabaseHealth } from '../utils/database.js';
+import { isShuttingDown } from '../utils/shutdown.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The health checks must never be cached
+function noCache(res) {
+    res.set('Cache-Control', 'no-store');
+}
+
+// GET route for the liveness probe
+router.get('/live', (req, res) => {
+    noCache(res);
+    res.status(200).json({ status: 'ok', uptime_seconds: Math.round(process.uptime()), timestamp: new Date() });
+});
+
+// GET route for the readiness probe (also the old /health route)
+async function ready(req, res, next) {
+    try {
+        noCache(res);
+        // The connection of the app (please review createApp() in app.js)
+        const database = await getDatabaseHealth(req.app.locals.connection);
+        const shuttingDown = isShuttingDown();
+        const isReady = database.status === 'up' && !shuttingDown;
+
+        res.status(isReady ? 200 : 503).json({
+            status: isReady ? 'ready' : 'not_ready',
+            ...(shuttingDown && { reason: 'shutting_down' }),
+            checks: { database },
+            timestamp: new Date(),
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+router.get('/ready', ready);
+router.get('/', ready);
+
+// Export the router so it can be used in the main app
+export default router;
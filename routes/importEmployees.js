@@ -0,0 +1,410 @@
+/*
+POST route for creating many employees at once (bulk import).
+This route will handle POST requests to "/api/employees/bulk" with a list of employees in one of these formats:
+
+1. JSON array => Content-Type: application/json
+    [{ "employee_id": "emp001", ... }, { "employee_id": "emp002", ... }]
+
+2. NDJSON (Newline Delimited JSON) => Content-Type: application/x-ndjson
+    {"employee_id": "emp001", ...}
+    {"employee_id": "emp002", ...}
+    Link: https://github.com/ndjson/ndjson-spec
+
+3. CSV => Content-Type: text/csv
+    OR a file upload => Content-Type: multipart/form-data (with the file in the "file" field)
+    employee_id,name,email,job_title,age,date_hired
+    emp001,Martin Smith,m.smith@men-demo.com,Software Developer,50,2022-10-08
+
+CSV Header Mapping:
+*******************
+The CSV headers are matched with the Employee schema fields automatically
+(the case, spaces and dashes are ignored, so "Job Title" => "job_title").
+We can also map the headers explicitly:
+- Using query parameters: ?map[Full Name]=name&map[Hired On]=date_hired
+- OR (file upload only) using a "mapping" form field with a JSON object: { "Full Name": "name" }
+
+Import Modes (?mode=):
+*********************
+- best-effort (default):
+    > Every valid row is created, the invalid rows are reported
+- atomic:
+    > All-or-nothing, either all the rows are created or none of them
+    > It uses a MongoDB "transaction", which requires a replica set (MongoDB Atlas clusters are replica sets)
+    Link: https://mongoosejs.com/docs/transactions.html
+
+The response contains a report for every row:
+{
+    "mode": "best-effort",
+    "total": 3, "created": 2, "failed": 1,
+    "rows": [
+        { "row": 1, "status": "created", "employee_id": "emp001" },
+        { "row": 2, "status": "failed", "employee_id": "emp002", "errors": { "email": "Please use a valid email address" } },
+        ...
+    ]
+}
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee, { validateEmployee } from '../models/Employee.js';
+
+/*
+Using the "multer" package for handling "multipart/form-data" (file uploads)
+Link: https://www.npmjs.com/package/multer
+*/
+import multer from 'multer';
+
+// Import the helper function for reading CSV text
+import { parseCsv } from '../utils/csv.js';
+
+// Import the helper function for recording the employees' history (audit trail)
+import { recordCreatedMany } from '../utils/history.js';
+
+// Import the helper function for sending the webhook events (please review utils/webhooks.js)
+import { emitCreatedMany } from '../utils/webhooks.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Import the connection of the app (the transaction of the atomic mode is started on it)
+import { getConnection } from '../utils/database.js';
+
+// Import the helper functions that read the details of the Mongoose/MongoDB errors
+import { getValidationErrors, getDuplicateField } from '../middleware/errorHandler.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The maximum size of the uploaded data and the maximum number of rows in one request
+const MAX_UPLOAD_SIZE = '5mb';
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 5000;
+
+// Content types for NDJSON (there is no official one, so we accept the common ones)
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+/*
+Body parsers for this route only:
+- NDJSON and CSV bodies are read as plain text, then we parse them ourselves
+- Uploaded files are kept in memory (not saved on the disk), since we only need to read them once
+*/
+const parseTextBody = express.text({ type: [...NDJSON_TYPES, 'text/csv'], limit: MAX_UPLOAD_SIZE });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+
+// Run the multer middleware, and convert its errors (like a file that is too large) into HttpError
+function uploadFile(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return next(new HttpError(status, error.message));
+        }
+        next(error);
+    });
+}
+
+// The fields that are managed by MongoDB/Mongoose (or by the delete/restore routes) and can't be imported
+const MANAGED_FIELDS = ['_id', '__v', 'deleted_at', 'created_at', 'updated_at'];
+
+// The Employee schema fields that can be imported
+function getImportableFields() {
+    return Object.keys(Employee.schema.paths).filter((path) => !MANAGED_FIELDS.includes(path));
+}
+
+// "Job Title" => "job_title"
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/*
+Convert CSV text into a list of objects using the header (first line):
+- Every header is mapped to an Employee field (explicit mapping first, then automatic matching)
+- Columns that don't match any field are ignored (and listed in the response)
+- Empty cells are skipped, so the schema defaults and "required" validation work as expected
+*/
+function csvToRows(text, mapping = {}) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) {
+        throw new HttpError(400, 'The CSV data is empty');
+    }
+
+    const fields = getImportableFields();
+    for (const [column, field] of Object.entries(mapping)) {
+        if (!fields.includes(field)) {
+            throw new HttpError(400, `Mapping for column "${column}" refers to the unknown field "${field}"`);
+        }
+    }
+
+    const columns = header.map((column) => {
+        if (mapping[column]) {
+            return mapping[column];
+        }
+        const normalized = normalizeHeader(column);
+        return fields.includes(normalized) ? normalized : null;
+    });
+    const ignoredColumns = header.filter((column, index) => columns[index] === null);
+
+    const rows = lines.map((cells) => {
+        const row = {};
+        columns.forEach((field, index) => {
+            if (field && cells[index] !== undefined && cells[index].trim() !== '') {
+                row[field] = cells[index].trim();
+            }
+        });
+        return row;
+    });
+
+    return { rows, ignoredColumns };
+}
+
+/*
+Convert NDJSON text into a list of rows.
+A line that is not valid JSON is reported as a failed row (instead of rejecting the whole request)
+*/
+function ndjsonToRows(text) {
+    return text
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== '')
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return { parseError: `Line ${index + 1} is not valid JSON: ${error.message}` };
+            }
+        });
+}
+
+// Read the rows from the request (JSON array, NDJSON, CSV text, or an uploaded file)
+function readRows(req) {
+    let mapping = req.query.map || {};
+
+    if (req.file) {
+        const name = req.file.originalname.toLowerCase();
+        const text = req.file.buffer.toString('utf8');
+
+        if (req.body.mapping) {
+            try {
+                mapping = { ...mapping, ...JSON.parse(req.body.mapping) };
+            } catch {
+                throw new HttpError(400, 'The "mapping" field must be a JSON object');
+            }
+        }
+
+        if (name.endsWith('.ndjson') || name.endsWith('.jsonl') || NDJSON_TYPES.includes(req.file.mimetype)) {
+            return { rows: ndjsonToRows(text) };
+        }
+        if (name.endsWith('.json') || req.file.mimetype === 'application/json') {
+            try {
+                return { rows: JSON.parse(text) };
+            } catch (error) {
+                throw new HttpError(400, `The uploaded file is not valid JSON: ${error.message}`);
+            }
+        }
+        return csvToRows(text, mapping);
+    }
+
+    if (req.is('multipart/form-data')) {
+        throw new HttpError(400, 'Please upload the file in the "file" field');
+    }
+    if (req.is(NDJSON_TYPES)) {
+        return { rows: ndjsonToRows(req.body) };
+    }
+    if (req.is('text/csv')) {
+        return csvToRows(req.body, mapping);
+    }
+    if (req.is('application/json')) {
+        return { rows: req.body };
+    }
+
+    throw new HttpError(415, 'Content-Type must be application/json, application/x-ndjson, text/csv or multipart/form-data');
+}
+
+/*
+Convert a MongoDB "write error" (from insertMany) into { index, errors }
+The "duplicate key" error (code 11000) happens when a unique index (employee_id or email) is violated
+Link: https://www.mongodb.com/docs/manual/core/index-unique/
+*/
+function writeErrorInfo(writeError) {
+    // Depending on the driver version, the details are either on the error itself or in "err"
+    const details = writeError.err || writeError;
+    const index = writeError.index ?? details.index;
+
+    if (details.code === 11000) {
+        const field = getDuplicateField(details);
+        return { index, errors: { [field]: `Duplicate value for ${field}, it already exists` } };
+    }
+    return { index, errors: { _error: details.errmsg || details.message || 'Write error' } };
+}
+
+// Normalize the "writeErrors" of a bulk write error (a single error or a list of errors)
+function getWriteErrors(error) {
+    if (!error.writeErrors) {
+        return null;
+    }
+    return [].concat(error.writeErrors).map(writeErrorInfo);
+}
+
+// POST route for creating many employees at once
+// Route: /api/employees/bulk?mode=best-effort|atomic
+router.post('/bulk', uploadFile, parseTextBody, async (req, res, next) => {
+    try {
+        const mode = req.query.mode || 'best-effort';
+        if (!['best-effort', 'atomic'].includes(mode)) {
+            throw new HttpError(400, '"mode" must be "best-effort" or "atomic"');
+        }
+
+        const { rows, ignoredColumns = [] } = readRows(req);
+
+        if (!Array.isArray(rows)) {
+            throw new HttpError(400, 'The request body must be a list of employees');
+        }
+        if (rows.length === 0) {
+            throw new HttpError(400, 'There are no employees to import');
+        }
+        if (rows.length > MAX_ROWS) {
+            throw new HttpError(413, `Too many rows, the maximum is ${MAX_ROWS} per request`);
+        }
+
+        // The report for every row (row numbers start from 1, like the lines in a spreadsheet)
+        const report = rows.map((row, index) => ({
+            row: index + 1,
+            status: 'pending',
+            employee_id: row && typeof row === 'object' ? row.employee_id : undefined,
+        }));
+
+        const fail = (index, errors) => {
+            report[index].status = 'failed';
+            report[index].errors = errors;
+        };
+
+        // Step 1: Validate every row using the schema validators (without saving anything)
+        const valid = [];
+        for (const [index, row] of rows.entries()) {
+            if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+                fail(index, { _error: 'Every row must be a JSON object' });
+                continue;
+            }
+            if (row.parseError) {
+                fail(index, { _error: row.parseError });
+                continue;
+            }
+
+            /*
+            The same validator as the POST route (models/Employee.js), so a row follows the same rules as one employee:
+            the unknown fields and the managed fields (like "deleted_at") are reported, and the values are converted
+            */
+            let data;
+            try {
+                data = validateEmployee(row);
+            } catch (error) {
+                if (!(error instanceof HttpError) || !error.details.errors) {
+                    throw error;
+                }
+                fail(index, error.details.errors);
+                continue;
+            }
+
+            // Then the "async" validators of the schema (the job title, the department and the manager must exist)
+            const employee = new Employee(data);
+            try {
+                await employee.validate();
+                valid.push({ index, employee });
+            } catch (error) {
+                fail(index, getValidationErrors(error));
+            }
+        }
+
+        // Step 2: Save the valid rows (depending on the mode)
+        if (mode === 'atomic') {
+            // All-or-nothing: don't save anything if one row is invalid
+            if (valid.length === rows.length) {
+                /*
+                Using a transaction, so if one of the rows fails (like a duplicate employee_id),
+                all the rows created before it are rolled back
+                Link: https://mongoosejs.com/docs/transactions.html
+                */
+                const session = await getConnection().startSession();
+                try {
+                    await session.withTransaction(async () => {
+                        await Employee.insertMany(valid.map(({ employee }) => employee), { session, ordered: true });
+                    });
+                    valid.forEach(({ index }) => { report[index].status = 'created'; });
+                } catch (error) {
+                    const writeErrors = getWriteErrors(error);
+                    if (!writeErrors) {
+                        throw error;
+                    }
+                    for (const { index, errors } of writeErrors) {
+                        fail(valid[index].index, errors);
+                    }
+                } finally {
+                    await session.endSession();
+                }
+            }
+
+            // In atomic mode, the rows that were not created are "rolled back" (or not even tried)
+            report.forEach((row) => {
+                if (row.status === 'pending') {
+                    row.status = 'rolled_back';
+                }
+            });
+        } else if (valid.length > 0) {
+            // Best-effort: insert all the valid rows, "ordered: false" continues after an error
+            try {
+                await Employee.insertMany(valid.map(({ employee }) => employee), { ordered: false });
+                valid.forEach(({ index }) => { report[index].status = 'created'; });
+            } catch (error) {
+                const writeErrors = getWriteErrors(error);
+                if (!writeErrors) {
+                    throw error;
+                }
+                for (const { index, errors } of writeErrors) {
+                    fail(valid[index].index, errors);
+                }
+                valid.forEach(({ index }) => {
+                    if (report[index].status === 'pending') {
+                        report[index].status = 'created';
+                    }
+                });
+            }
+        }
+
+        // Record the "create" entry in the history of every created employee, and tell the webhook subscribers
+        const createdEmployees = valid
+            .filter(({ index }) => report[index].status === 'created')
+            .map(({ employee }) => employee);
+        await recordCreatedMany(req, createdEmployees);
+        await emitCreatedMany(req, createdEmployees);
+
+        const created = report.filter((row) => row.status === 'created').length;
+        const failed = report.filter((row) => row.status === 'failed').length;
+
+        /*
+        The status code depends on the result:
+        - 201 (Created) => all the rows were created
+        - 207 (Multi-Status) => some rows were created and some failed
+        - 422 (Unprocessable Content) => nothing was created
+        Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/207
+        */
+        let status = 207;
+        if (created === rows.length) {
+            status = 201;
+        } else if (created === 0) {
+            status = 422;
+        }
+
+        res.status(status).json({
+            mode,
+            total: rows.length,
+            created,
+            failed,
+            ...(ignoredColumns.length > 0 && { ignored_columns: ignoredColumns }),
+            rows: report,
+        });
+    } catch (error) {
+        // Handle any errors (invalid request data, MongoDB connection errors, ...)
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,160 @@
+/*
+Routes for the reporting lines (the organisation chart):
+
+- GET /api/employees/:employee_id/reports                  => the direct reports of an employee
+- GET /api/employees/:employee_id/reports?recursive=true   => all the reports (the whole team below the employee)
+- GET /api/employees/:employee_id/chain                    => the management chain (the manager, up to the top)
+- GET /api/employees/org-tree                              => the whole organisation as nested JSON
+- GET /api/employees/org-tree?root=emp001                  => only the tree below one employee
+
+The reporting lines come from the "manager_id" field (please review models/Employee.js)
+Link: https://www.mongodb.com/docs/manual/reference/operator/aggregation/graphLookup/
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee from '../models/Employee.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The fields of the employees in the organisation chart
+const SUMMARY_FIELDS = { _id: 0, employee_id: 1, name: 1, job_title: 1, department: 1, manager_id: 1 };
+
+// The summary of an employee in the "reports" and "chain" lists ($graphLookup returns the whole documents)
+function toSummary(employee) {
+    const { employee_id, name, job_title, department, manager_id, level } = employee;
+    return { employee_id, name, job_title, department, manager_id, level: level + 1 };
+}
+
+// Read a "true"/"false" query parameter
+function parseBoolean(value, name) {
+    if (value === undefined || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    throw new HttpError(400, `"${name}" must be true or false`);
+}
+
+/*
+"GET" route for the whole organisation chart:
+{
+    "data": [
+        { "employee_id": "emp001", "name": "...", "reports": [
+            { "employee_id": "emp002", "name": "...", "reports": [] }
+        ] }
+    ]
+}
+
+NOTE:
+This route must be added BEFORE the "readEmployeeRoute" in app.js,
+otherwise the word "org-tree" would be treated as an employee_id by the route "/:employee_id"
+*/
+router.get('/org-tree', async (req, res, next) => {
+    try {
+        const { root } = req.query;
+
+        // One query for all the active employees, then the tree is built in memory
+        const employees = await Employee.find({}, SUMMARY_FIELDS).sort({ name: 1 }).lean();
+
+        // Group the employees by their manager: manager_id => [employees]
+        const activeIds = new Set(employees.map((employee) => employee.employee_id));
+        const reportsOf = new Map();
+        for (const employee of employees) {
+            const list = reportsOf.get(employee.manager_id) || [];
+            list.push(employee);
+            reportsOf.set(employee.manager_id, list);
+        }
+
+        // Build the nested "reports" of an employee (the "visited" set is a safety net against cycles)
+        const visited = new Set();
+        function buildNode(employee) {
+            visited.add(employee.employee_id);
+            const reports = (reportsOf.get(employee.employee_id) || []).filter((report) => !visited.has(report.employee_id));
+            return { ...employee, reports: reports.map(buildNode) };
+        }
+
+        let roots;
+        if (root !== undefined) {
+            roots = employees.filter((employee) => employee.employee_id === root);
+            if (roots.length === 0) {
+                throw new HttpError(404, `Employee with employee_id ${root} not found`);
+            }
+        } else {
+            // The top of the chart: no manager, or a manager that is not active anymore (deleted)
+            roots = employees.filter((employee) => !employee.manager_id || !activeIds.has(employee.manager_id));
+        }
+
+        res.status(200).json({ data: roots.map(buildNode) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "GET" route for the reports of an employee
+// Example: /api/employees/emp001/reports?recursive=true
+router.get('/:employee_id/reports', async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+        const recursive = parseBoolean(req.query.recursive, 'recursive');
+
+        /*
+        $graphLookup follows the reporting lines down: employee_id => manager_id of the reports
+        - depthField "level" => 0 for the direct reports, 1 for their reports, ...
+        - maxDepth 0 => only the direct reports
+        */
+        const [employee] = await Employee.aggregate([
+            { $match: { employee_id, deleted_at: null } },
+            {
+                $graphLookup: {
+                    from: Employee.collection.name,
+                    startWith: '$employee_id',
+                    connectFromField: 'employee_id',
+                    connectToField: 'manager_id',
+                    as: 'reports',
+                    depthField: 'level',
+                    restrictSearchWithMatch: { deleted_at: null },
+                    ...(!recursive && { maxDepth: 0 }),
+                },
+            },
+        ]);
+
+        if (!employee) {
+            throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
+        }
+
+        // The direct reports first, then by name
+        const data = employee.reports
+            .map(toSummary)
+            .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+
+        res.status(200).json({ employee_id, recursive, total: data.length, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "GET" route for the management chain of an employee (from the direct manager up to the top)
+router.get('/:employee_id/chain', async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+
+        const chain = await Employee.getManagementChain(employee_id);
+
+        if (!chain) {
+            throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
+        }
+
+        res.status(200).json({ employee_id, data: chain.map(toSummary) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,73 @@
+/*
+GET routes for reading departments from the database:
+
+- GET /api/departments                 => list the departments (page by page, like the employees)
+- GET /api/departments/:id             => one department
+- GET /api/departments/:id/employees   => the (active) employees of a department
+*/
+
+// Import express and the models
+import express from 'express';
+import Department from '../models/Department.js';
+import Employee from '../models/Employee.js';
+
+// Import the helper that converts the query string into a paginated Mongoose query
+import { findPage } from '../utils/listQuery.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// "GET" route for fetching all departments
+// Example: /api/departments?sort=name&limit=50
+router.get('/', async (req, res, next) => {
+    try {
+        const result = await findPage(Department, req, { defaultSort: 'name' });
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "GET" route for fetching a specific department by its _id
+router.get('/:id', async (req, res, next) => {
+    try {
+        // An invalid id (not an ObjectId) is a CastError => 400 by the error-handling middleware
+        const department = await Department.findById(req.params.id);
+
+        if (!department) {
+            throw new HttpError(404, `Department with ID ${req.params.id} not found`);
+        }
+
+        res.status(200).json(department);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "GET" route for fetching the employees of a department
+// Example: /api/departments/66f1.../employees?job_title=HR&sort=name
+router.get('/:id/employees', async (req, res, next) => {
+    try {
+        const department = await Department.findById(req.params.id);
+
+        if (!department) {
+            throw new HttpError(404, `Department with ID ${req.params.id} not found`);
+        }
+
+        /*
+        The same list as GET /api/employees (filters, sorting, pagination, populate),
+        the department condition is added with "filter" so the client can't change it
+        */
+        const result = await findPage(Employee, req, { filter: { department: department._id, deleted_at: null } });
+
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -1,43 +1,148 @@
 /*  
 GET route for reading employees from the database.
 This route will handle GET requests to read employee(s) from the database.
+
+Both routes support the "conditional requests" (HTTP caching):
+the responses have the "ETag" and "Last-Modified" headers, and a request with
+"If-None-Match" or "If-Modified-Since" gets 304 (Not Modified) without a body when nothing has changed.
+Please review the file "utils/concurrency.js" for more details
 */
 
 // Import express and the Employee model
 import express from 'express';
 import Employee from '../models/Employee.js';
 
+// Import the helper that converts the query string into a paginated Mongoose query
+import { findPage, buildPopulate, RESERVED_PARAMS } from '../utils/listQuery.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Import the helper function for the "ETag" and "Last-Modified" headers
+import { setCacheHeaders } from '../utils/concurrency.js';
+
+// "createHash" is used for the part of the list ETag that depends on the query string
+import { createHash } from 'node:crypto';
+
 // Create an Express Router instance
 const router = express.Router();
 /* 
 Link: https://expressjs.com/en/guide/routing.html#express-router
 */
 
-// "GET" route for fetching all employees
-router.get('/', async (req, res) => {
+// "updated_since" is not a filter, so it's added to the list of the reserved query parameters
+const LIST_RESERVED_PARAMS = [...RESERVED_PARAMS, 'updated_since'];
+
+// Sort the keys of the query string (also the nested ones, like age[gte]), so ?a=1&b=2 and ?b=2&a=1 are the same list
+function normalizeQuery(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, normalizeQuery(value[key])]));
+}
+
+/*
+The part of the list ETag that depends on the request: the query string (filters, sort, page, cursor, fields, ...)
+and the API version (please review middleware/apiVersion.js) => "3f2a9c0d1e4b5a6c"
+*/
+function listVariant(req) {
+    const variant = JSON.stringify({ query: normalizeQuery(req.query), version: req.apiVersion });
+    return createHash('sha256').update(variant).digest('hex').slice(0, 16);
+}
+
+// Read the optional ?updated_since= date (ISO 8601 format)
+function parseUpdatedSince(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        throw new HttpError(400, '"updated_since" must be a date in the ISO 8601 format (like 2024-03-01T10:15:00Z)');
+    }
+    return date;
+}
+
+// "GET" route for fetching all employees (page by page)
+/* 
+Examples:
+- /api/employees?page=2&limit=10
+- /api/employees?job_title=HR&age[gte]=30&date_hired[lt]=2023-01-01
+- /api/employees?sort=-date_hired,name
+- /api/employees?after=&limit=10 (cursor based pagination, then follow the "next" link)
+- /api/employees?populate=department (each employee with its department)
+- /api/employees?updated_since=2024-03-01T10:15:00Z (only the employees changed since that date)
+
+Please review the file "utils/listQuery.js" for the full list of the supported query parameters
+
+Synchronizing (?updated_since=):
+A client that keeps a copy of the employees only fetches the changes since its last sync:
+1. The changed employees are sorted by "updated_at" (oldest change first, unless "sort" is used)
+2. After the last page, the client keeps the "updated_at" of the last employee for the next sync
+3. The deleted employees are found with the trash route => /api/employees/trash?updated_at[gte]=<date>
+NOTE: "updated_at" >= the date, so the last employee of the previous sync comes again (instead of missing
+an employee changed in the same millisecond)
+*/
+router.get('/', async (req, res, next) => {
     try {
-        // Fetch all employees from the database
-        // The find() method returns all documents from the Employee collection in MongoDB
-        const employees = await Employee.find(); // Mongoose method "find()" returns all employees
+        const updatedSince = parseUpdatedSince(req.query.updated_since);
 
-        // If no employees are found, return a 404 status with a message
-        if (employees.length === 0) {
-            return res.status(404).json({ message: 'No employees found' });
+        /* 
+        Conditional request with "If-None-Match" or "If-Modified-Since":
+        The number of active employees and the latest change of all the employees (in milliseconds) make the "ETag" of the list,
+        with a hash of the query string and of the API version (every page, filter and version is a different list),
+        so if nothing has changed since the client's copy, we answer 304 without reading the page.
+
+        NOTE:
+        - The HTTP dates only have seconds, so "Last-Modified" is only sent when the latest change is in an earlier second
+          (a change later in the same second would have the same date, and the client would keep the old list)
+          Link: https://www.rfc-editor.org/rfc/rfc9110#section-8.8.2.2
+        - With ?populate=department the list also depends on the departments (they have no dates),
+          so only the ETag made from the response body by res.json() is used ("If-None-Match" still works)
+        Link: https://expressjs.com/en/api.html#req.fresh
+        */
+        if (req.query.populate === undefined) {
+            const [lastModified, count] = await Promise.all([Employee.getLastModified(), Employee.countDocuments()]);
+            const lastModifiedTime = lastModified ? lastModified.getTime() : 0;
+            const isOlderThanThisSecond = Math.floor(lastModifiedTime / 1000) < Math.floor(Date.now() / 1000);
+
+            setCacheHeaders(res, { lastModified: lastModified && isOlderThanThisSecond ? lastModified : null });
+            res.set('ETag', `"list-${count}-${lastModifiedTime}-${listVariant(req)}"`);
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+        } else {
+            setCacheHeaders(res);
         }
 
+        // Fetch one page of employees from the database
+        // findPage() returns: { data: [employees], meta: { total, ... }, links: { self, next, prev } }
+        // (only the active employees, the deleted ones are listed by the trash route)
+        const result = await findPage(Employee, req, {
+            filter: { deleted_at: null, ...(updatedSince && { updated_at: { $gte: updatedSince } }) },
+            defaultSort: updatedSince ? 'updated_at' : undefined,
+            reserved: LIST_RESERVED_PARAMS,
+        });
+
+        /* 
+        NOTE:
+        An empty page is NOT an error, the request itself was valid.
+        So we still respond with 200 (OK) and an empty "data" array
+        instead of 404 (Not Found)
+        */
+
         // Respond with the list of employees in JSON format
         // The response will have a status code of 200 (OK) and the list of employees
-        res.status(200).json(employees);
+        res.status(200).json(result);
     } catch (error) {
         // Handle any errors that might occur during the fetching process
-        // If an error occurs (like: MongoDB issue, or query failure), return a 400 status
-        res.status(400).json({ message: error.message });
+        // If an error occurs (like: invalid query parameter, or query failure), pass it to the error-handling middleware
+        next(error);
     }
 });
 
 /* 
-Optional Coding: 
-****************
+Optional Coding (Now implemented in "utils/listQuery.js"): 
+**********************************************************
 Add filtering based on query params (like job_title, age)
 (Adding optional query filtering can increase flexibility):
 
@@ -65,7 +170,7 @@ Since we need to use our custom primary field (id) called "employee_id",
 the route (endpoint) will be /:employee_id INSTEAD of just /:id
 */
 // "GET" route for fetching a specific employee by employee_id
-router.get('/:employee_id', async (req, res) => {
+router.get('/:employee_id', async (req, res, next) => {
     try {
         // Extract the employee ID from the request params
         /*  
@@ -100,24 +205,41 @@ router.get('/:employee_id', async (req, res) => {
         since we need to use our custom field (primary key) which is "employee_id",
         we need to use the method findOne() instead of findById():
         */
-        const employee = await Employee.findOne({ employee_id });
+        // ?populate=department => include the department of the employee (instead of only its _id)
+        const populate = buildPopulate(req.query.populate, Employee);
+        const employee = await Employee.findOne({ employee_id }).populate(populate);
 
         // If employee not found, return a 404 status with a custom message
         if (!employee) {
-            return res.status(404).json({ message: `Employee with ID ${employee_id} not found` });
+            throw new HttpError(404, `Employee with ID ${employee_id} not found`);
 
             // same logic if we use _id with findById() method:
             // return res.status(404).json({ message: `Employee with ID ${id} not found` });
 
         }
 
+        /* 
+        The "ETag" header is the version of the employee (send it back with "If-Match" when updating),
+        and the "Last-Modified" header is the date of its last change.
+        NOTE:
+        With ?populate=department, the response also changes when the department changes,
+        so the ETag is made from the response body by res.json() instead (a "weak" ETag)
+        */
+        const populated = populate.length > 0;
+        setCacheHeaders(res, { doc: populated ? undefined : employee, lastModified: populated ? undefined : employee.updated_at });
+
+        // Conditional request: the client already has this version => 304 (Not Modified) without a body
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
         // Respond with the employee data
         // The response will include the employee object in JSON format and a status code of 200 (OK)
         res.status(200).json(employee);
     } catch (error) {
         // Handle any errors (like invalid ID format, or MongoDB-related issues)
-        // Return a 400 status with the error message in case something goes wrong
-        res.status(400).json({ message: error.message });
+        // The error-handling middleware responds with the right status code (like 400 for an invalid value)
+        next(error);
     }
 });
 
@@ -141,7 +263,7 @@ Main Coding Steps:
 
 Code Snippet:
 -------------
-router.get('/:employee_id', async (req, res) => {
+router.get('/:employee_id', async (req, res, next) => {
     try {
         const { employee_id } = req.params;
         const employee = await Employee.findOne({ employee_id });
@@ -160,7 +282,7 @@ Main Coding Steps:
 
 Code Snippet:
 -------------
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
     try {
         const { id } = req.params;
         const employee = await Employee.findById(id);
@@ -0,0 +1,47 @@
+/*
+GET routes for reading job titles from the database:
+
+- GET /api/job-titles                 => list the job titles (like /api/job-titles?retired=false)
+- GET /api/job-titles/:id             => one job title
+*/
+
+// Import express and the JobTitle model
+import express from 'express';
+import JobTitle from '../models/JobTitle.js';
+
+// Import the helper that converts the query string into a paginated Mongoose query
+import { findPage } from '../utils/listQuery.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// "GET" route for fetching all job titles
+router.get('/', async (req, res, next) => {
+    try {
+        const result = await findPage(JobTitle, req, { defaultSort: 'name' });
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "GET" route for fetching a specific job title by its _id
+router.get('/:id', async (req, res, next) => {
+    try {
+        const jobTitle = await JobTitle.findById(req.params.id);
+
+        if (!jobTitle) {
+            throw new HttpError(404, `Job title with ID ${req.params.id} not found`);
+        }
+
+        res.status(200).json(jobTitle);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
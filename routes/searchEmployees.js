@@ -0,0 +1,168 @@
+/*
+GET route for searching employees by name, email and job title:
+
+- /api/employees/search?q=martin                 => exact words
+- /api/employees/search?q=mart                   => prefixes (while typing)
+- /api/employees/search?q=matrin                 => typos
+- /api/employees/search?q=smith&job_title=HR     => combined with the normal list filters (utils/listQuery.js)
+
+The results are ranked by relevance (the best match first), with the matched words highlighted:
+{
+    "data": [{ ...employee, "_score": 17.5, "_highlight": { "name": "<mark>Martin</mark> Smith" } }],
+    "meta": { "q": "martin", "total": 1, "limit": 20, "page": 1, "pages": 1, "truncated": false },
+    "links": { "self": "...", "next": null, "prev": null }
+}
+
+How it works:
+1. The text index of the employees (models/Employee.js) finds the exact words quickly,
+   and its relevance score ($meta: 'textScore') is added to the score
+2. The prefixes and the typos can't be found by a text index,
+   so the searched fields of the (filtered) employees are compared word by word (utils/search.js).
+   MongoDB only returns the employees that can match (every word of the query, or a part of it
+   that survives the typos, is in one of the searched fields), please review termFragments() in utils/search.js
+
+NOTE:
+Step 2 reads up to SCAN_LIMIT employees, which is fine for the size of a company directory.
+When there are more, the results can be incomplete and "meta.truncated" is true (a more specific query helps),
+a very big collection would need a dedicated search engine (like MongoDB Atlas Search)
+Link: https://www.mongodb.com/docs/manual/reference/operator/query/text/
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee from '../models/Employee.js';
+
+// Import the helpers that convert the query string into a Mongoose query
+import { parseListQuery, buildPageLink, RESERVED_PARAMS } from '../utils/listQuery.js';
+
+// Import the helpers for matching, ranking and highlighting
+import { tokenize, termFragments, matchDocument, highlight } from '../utils/search.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The searched fields and their weights (the same weights as the text index)
+const SEARCH_FIELDS = { name: 10, email: 5, job_title: 2 };
+
+// Only the searched fields are read for ranking => { name: 1, email: 1, job_title: 1 }
+const SEARCH_PROJECTION = Object.fromEntries(Object.keys(SEARCH_FIELDS).map((field) => [field, 1]));
+
+// The maximum number of employees that are compared word by word (step 2)
+const SCAN_LIMIT = 5000;
+
+// The maximum number of words in the query
+const MAX_TERMS = 10;
+
+// "q" is not a filter, so it's added to the list of the reserved query parameters
+const SEARCH_RESERVED_PARAMS = [...RESERVED_PARAMS, 'q'];
+
+// Escape the special characters of a text for a RegExp
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/*
+The conditions of the candidates (step 2): every word of the query must have one of its parts in a searched field
+[{ $or: [{ name: { $regex: 'ma', $options: 'i' } }, { email: ... }, ...] }, ...] (one condition per word)
+*/
+function candidateConditions(terms) {
+    return terms.map((term) => ({
+        $or: termFragments(term).flatMap((fragment) => Object.keys(SEARCH_FIELDS).map((field) => ({
+            [field]: { $regex: escapeRegExp(fragment), $options: 'i' },
+        }))),
+    }));
+}
+
+// GET route for searching employees
+router.get('/search', async (req, res, next) => {
+    try {
+        const { q } = req.query;
+
+        if (typeof q !== 'string' || q.trim() === '') {
+            throw new HttpError(400, '"q" is required');
+        }
+        if (req.query.sort !== undefined || req.query.after !== undefined) {
+            throw new HttpError(400, 'The search results are sorted by relevance, "sort" and "after" are not supported');
+        }
+
+        const terms = [...new Set(tokenize(q))].slice(0, MAX_TERMS);
+        if (terms.length === 0) {
+            throw new HttpError(400, '"q" must contain at least one letter or digit');
+        }
+
+        // The normal list filters (?job_title=HR&age[gte]=30), pagination, "fields" and "populate"
+        const { filter, projection, populate, page, limit } = parseListQuery(req.query, Employee, SEARCH_RESERVED_PARAMS);
+
+        // 1. The exact words from the text index (with their relevance score)
+        const textResults = await Employee
+            .find({ ...filter, $text: { $search: terms.join(' ') } }, { ...SEARCH_PROJECTION, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(SCAN_LIMIT)
+            .lean();
+        const textScores = new Map(textResults.map((doc) => [String(doc._id), doc.score]));
+
+        // 2. The prefixes and the typos (the searched fields of the filtered employees)
+        const candidates = await Employee
+            .find({ ...filter, $and: [...(filter.$and || []), ...candidateConditions(terms)] }, SEARCH_PROJECTION)
+            .sort({ _id: 1 })
+            .limit(SCAN_LIMIT)
+            .lean();
+
+        // Rank the employees that match every word of the query
+        const ranked = [];
+        const seen = new Set();
+        for (const doc of [...textResults, ...candidates]) {
+            const id = String(doc._id);
+            if (seen.has(id)) {
+                continue;
+            }
+            seen.add(id);
+            const match = matchDocument(terms, doc, SEARCH_FIELDS);
+            // The text index also matches the other forms of a word ("developers" => "developer")
+            if (!match && !textScores.has(id)) {
+                continue;
+            }
+            const score = (match ? match.score : 0) + (textScores.get(id) || 0);
+            const highlights = {};
+            for (const [field, words] of Object.entries(match ? match.matches : {})) {
+                highlights[field] = highlight(doc[field], words);
+            }
+            ranked.push({ id, score: Math.round(score * 100) / 100, highlights });
+        }
+        ranked.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+        // The limit was reached, so some matching employees may have been left out
+        const truncated = textResults.length === SCAN_LIMIT || candidates.length === SCAN_LIMIT;
+
+        // Load the full employees of the current page only
+        const total = ranked.length;
+        const pageResults = ranked.slice((page - 1) * limit, page * limit);
+        const employees = await Employee
+            .find({ _id: { $in: pageResults.map((result) => result.id) } }, projection)
+            .populate(populate);
+        const employeesById = new Map(employees.map((employee) => [String(employee._id), employee]));
+
+        const data = pageResults
+            .filter((result) => employeesById.has(result.id))
+            .map((result) => ({ ...employeesById.get(result.id).toJSON(), _score: result.score, _highlight: result.highlights }));
+
+        const pages = Math.ceil(total / limit);
+        res.status(200).json({
+            data,
+            meta: { q, total, limit, page, pages, truncated },
+            links: {
+                self: buildPageLink(req, {}),
+                next: page < pages ? buildPageLink(req, { page: page + 1 }) : null,
+                prev: page > 1 ? buildPageLink(req, { page: Math.min(page - 1, Math.max(pages, 1)) }) : null,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
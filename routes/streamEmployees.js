@@ -0,0 +1,152 @@
+/*
+GET route for the live changes of the employees (Server-Sent Events):
+
+- /api/employees/stream                           => every change
+- /api/employees/stream?job_title=HR              => only the changed employees that match the filters
+- /api/employees/stream?age[gte]=30&job_title[in]=HR,Product Manager
+  (the same filters as the list route, please review utils/listQuery.js)
+
+Instead of reading the list again every few seconds (polling), the client keeps one connection open,
+and the server sends an event for every created, updated and deleted employee:
+
+HTTP/1.1 200 OK
+Content-Type: text/event-stream
+
+retry: 5000
+
+id: 8263F1A2...
+event: employee.updated
+data: {"type":"employee.updated","employee":{"employee_id":"emp001","name":"Martin Smith",...}}
+
+: ping
+
+Reading the events in the browser:
+const source = new EventSource('/api/employees/stream?job_title=HR');
+source.addEventListener('employee.updated', (event) => { const { employee } = JSON.parse(event.data); ... });
+source.addEventListener('reset', () => { ... read the list again ... });
+
+If the connection is lost, the browser reconnects by itself (after "retry" milliseconds) with the header
+"Last-Event-ID: <the id of the last event>", and the missed events are sent first.
+When they can't be found anymore, a "reset" event is sent instead (the client should read the list again).
+
+When the change of an employee makes it stop matching the filters (like a new job title), an "employee.left" event is sent,
+so the client removes it from its view (it's sent when a filtered field changed, even if the client didn't show the employee):
+event: employee.left
+data: {"type":"employee.left","employee":{"employee_id":"emp001","job_title":"Product Manager",...}}
+
+NOTE:
+- The filters are checked against the employee AFTER the change
+- A client that doesn't read its events fast enough (more than MAX_BUFFERED_BYTES waiting in the response) is disconnected,
+  so its events don't fill the memory of the server, it reconnects with "Last-Event-ID" and gets the missed events
+- The routes need an access token or an API key (please review middleware/auth.js), but the EventSource of the browsers
+  can't send headers, so the browser clients need a library that can (like "@microsoft/fetch-event-source")
+- A comment line (": ping") is sent every HEARTBEAT_MS, so the proxies don't close the idle connection
+
+Please review the file "utils/employeeStream.js" for where the events come from (MongoDB change streams, or the routes)
+Link: https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events/Using_server-sent_events
+Link: https://html.spec.whatwg.org/multipage/server-sent-events.html
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee from '../models/Employee.js';
+
+// Import the helpers for the filters of the query string (the same filters as the list route)
+import { buildFilter, matchesFilter } from '../utils/listQuery.js';
+
+// Import the live feed of the employee changes
+import { startEmployeeStream, subscribeEmployeeStream } from '../utils/employeeStream.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// How long the browser waits before reconnecting
+const RETRY_MS = 5000;
+
+// How often a comment is sent on an idle connection
+const HEARTBEAT_MS = 25 * 1000;
+
+// The maximum size of the events waiting to be sent to a slow client (1 MB)
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// One event in the "text/event-stream" format (the JSON has no line breaks, so it fits in one "data:" line)
+function formatEvent({ id, type, employee }) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ type, employee })}\n\n`;
+}
+
+/*
+An updated employee that doesn't match the filters may have matched them before the change:
+only when one of the filtered fields changed (or the changed fields are not known)
+*/
+function mayHaveLeft(event, filterFields) {
+    if (event.type !== 'employee.updated' || filterFields.length === 0) {
+        return false;
+    }
+    return !event.changed_fields || event.changed_fields.some((field) => filterFields.includes(field));
+}
+
+// GET route for the live changes (added before "/:employee_id", otherwise "stream" would be treated as an employee_id)
+router.get('/stream', async (req, res, next) => {
+    try {
+        /*
+        Every query parameter is a filter here (there is no pagination or sorting in a stream),
+        and the values are cast to the types of the schema, so they can be compared with the employees
+        (an invalid value, like "?age=abc", is a CastError => 400)
+        */
+        const filter = Employee.find(buildFilter(req.query, Employee, [])).cast();
+        const filterFields = Object.keys(filter);
+
+        // Start the feed (the first request opens the change stream)
+        await startEmployeeStream();
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Turn off the buffering of the proxies (like nginx), otherwise the events arrive late
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        // Write to the response, or disconnect the client if it's too slow (res.write() doesn't wait, the data waits in memory)
+        const send = (chunk) => {
+            if (res.destroyed) {
+                return;
+            }
+            if (res.writableLength > MAX_BUFFERED_BYTES) {
+                req.log.warn('Employee stream client too slow, disconnected', { buffered_bytes: res.writableLength });
+                res.destroy();
+                return;
+            }
+            res.write(chunk);
+        };
+
+        const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+
+        const unsubscribe = subscribeEmployeeStream({
+            lastEventId: req.get('Last-Event-ID'),
+            onEvent: (event) => {
+                if (matchesFilter(event.employee, filter)) {
+                    send(formatEvent(event));
+                } else if (mayHaveLeft(event, filterFields)) {
+                    send(formatEvent({ ...event, type: 'employee.left' }));
+                }
+            },
+            onReset: () => send('event: reset\ndata: {}\n\n'),
+            // The feed stopped (like during the shutdown) => the client reconnects (to another instance)
+            onClose: () => res.end(),
+        });
+
+        // The client disconnected (or the response was ended above)
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,160 @@
+/*
+Routes for the deleted employees (the "trash").
+The DELETE route (routes/deleteEmployee.js) doesn't remove the employee from the database,
+it only sets the "deleted_at" date (soft delete). These routes let us:
+
+- GET    /api/employees/trash                       => list the deleted employees
+- POST   /api/employees/:employee_id/restore        => restore a deleted employee
+    > its manager, department and job title must still exist (422 otherwise)
+- DELETE /api/employees/trash?older_than_days=30    => remove (purge) the employees deleted more than 30 days ago
+- DELETE /api/employees/trash/:employee_id          => remove (purge) one deleted employee now
+
+NOTE:
+These routes are added BEFORE the "readEmployeeRoute" in app.js,
+otherwise the word "trash" would be treated as an employee_id by the route "/:employee_id"
+*/
+
+// Import express and the Employee model
+import express from 'express';
+import Employee from '../models/Employee.js';
+
+// Import the helper that converts the query string into a paginated Mongoose query
+import { findPage } from '../utils/listQuery.js';
+
+// Import the helper function for recording the employee's history (audit trail)
+import { recordHistory, toSnapshot } from '../utils/history.js';
+
+// Import the helper function for sending the webhook events (please review utils/webhooks.js)
+import { emitEmployeeEvent } from '../utils/webhooks.js';
+
+// Import the authorization middleware (restoring is allowed for the admins only, like deleting)
+import { authorize } from '../middleware/auth.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Import the helper function for the "ETag" header (the version of the employee)
+import { setETag } from '../utils/concurrency.js';
+
+// Import the retention setting (the default number of days of the purge route, the same as the retention job)
+import { getRetentionDays } from '../jobs/trashRetention.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// The fields that refer to other documents (checked again when an employee is restored)
+const REFERENCE_FIELDS = ['manager_id', 'department', 'job_title'];
+
+// "GET" route for listing the deleted employees (with the same pagination, filters and sorting as the list route)
+// Example: /api/employees/trash?sort=-deleted_at&limit=10
+router.get('/trash', async (req, res, next) => {
+    try {
+        // Only the employees with a deletion date
+        const result = await findPage(Employee, req, { filter: { deleted_at: { $ne: null } } });
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "POST" route for restoring a deleted employee
+router.post('/:employee_id/restore', authorize('admin'), async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+
+        /*
+        NOTE:
+        The same employee_id could be deleted more than once (delete, create again, delete again),
+        so we restore the most recent one using the "sort" option
+        */
+        const deletedEmployee = await Employee
+            .findOne({ employee_id, deleted_at: { $ne: null } })
+            .sort({ deleted_at: -1 });
+
+        if (!deletedEmployee) {
+            throw new HttpError(404, `Deleted employee with employee_id ${employee_id} not found`);
+        }
+
+        /*
+        While the employee was in the trash, its manager, its department or its job title may have been
+        deleted or renamed, so the validators of the references run again before the restore
+        (a Mongoose ValidationError => 422 with the invalid fields, like the other writes)
+        */
+        await deletedEmployee.validate(REFERENCE_FIELDS);
+
+        // Restore the employee by setting "deleted_at" back to null
+        // (new: false => returns the employee before the update, so we can record the history)
+        // The version is in the filter, so an employee changed (or restored) in the meantime is not restored twice
+        const restoredEmployee = await Employee.findOneAndUpdate(
+            { _id: deletedEmployee._id, deleted_at: { $ne: null }, __v: deletedEmployee.__v },
+            { deleted_at: null, $inc: { __v: 1 } },
+            { new: false }
+        );
+
+        if (!restoredEmployee) {
+            throw new HttpError(409, `Employee ${employee_id} has been changed while it was restored, please try again`);
+        }
+
+        // Keep the values before the restore, then apply the same change that was saved in the database
+        const before = toSnapshot(restoredEmployee);
+        restoredEmployee.deleted_at = null;
+        restoredEmployee.__v += 1;
+
+        // Record the "restore" entry in the employee's history
+        await recordHistory(req, { action: 'restore', before, after: restoredEmployee });
+
+        // For the webhook subscribers, a restore is an update ("deleted_at" is back to null)
+        await emitEmployeeEvent(req, 'employee.updated', { before, after: restoredEmployee });
+
+        setETag(res, restoredEmployee);
+        res.status(200).json(restoredEmployee);
+    } catch (error) {
+        /*
+        If an active employee already uses the same employee_id or email,
+        the unique index rejects the restore with the "duplicate key" error (code 11000),
+        which is converted to 409 (Conflict) by the error-handling middleware
+        */
+        next(error);
+    }
+});
+
+// "DELETE" route for removing (purging) the employees that were deleted more than "older_than_days" days ago
+// Example: /api/employees/trash?older_than_days=0 => empty the trash
+router.delete('/trash', async (req, res, next) => {
+    try {
+        const days = req.query.older_than_days === undefined
+            ? getRetentionDays()
+            : Number(req.query.older_than_days);
+
+        if (!Number.isFinite(days) || days < 0) {
+            throw new HttpError(400, '"older_than_days" must be a number greater than or equal to 0');
+        }
+
+        const result = await Employee.purgeDeleted(days);
+
+        res.status(200).json({ message: `${result.deletedCount} deleted employee(s) purged`, purged: result.deletedCount });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// "DELETE" route for removing (purging) one deleted employee now
+router.delete('/trash/:employee_id', async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+
+        // Only the deleted employees can be purged (an active employee must be deleted first)
+        const result = await Employee.deleteMany({ employee_id, deleted_at: { $ne: null } });
+
+        if (result.deletedCount === 0) {
+            throw new HttpError(404, `Deleted employee with employee_id ${employee_id} not found`);
+        }
+
+        res.status(200).json({ message: `Employee with employee_id ${employee_id} purged successfully` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
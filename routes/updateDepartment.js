@@ -0,0 +1,43 @@
+/*
+PUT route for updating an existing department by its _id.
+Route: /api/departments/:id
+*/
+
+// Import express and the Department model (with the validator of the request data)
+import express from 'express';
+import Department, { validateDepartment } from '../models/Department.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// PUT route for updating a department
+router.put('/:id', async (req, res, next) => {
+    try {
+        // Validate the request data with the same validator as the POST route
+        const { name, description } = validateDepartment(req.body);
+
+        /*
+        PUT replaces the department, so a missing "description" is removed ($unset)
+        Link: https://www.mongodb.com/docs/manual/reference/operator/update/unset/
+        */
+        const update = description === undefined
+            ? { $set: { name }, $unset: { description: 1 } }
+            : { $set: { name, description } };
+
+        const updatedDepartment = await Department.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+        if (!updatedDepartment) {
+            throw new HttpError(404, `Department with ID ${req.params.id} not found`);
+        }
+
+        res.status(200).json(updatedDepartment);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -1,21 +1,44 @@
 /*  
-PUT route for updating an existing employee in the database.
-This route will handle PUT requests to update an employee's information.
+PUT and PATCH routes for updating an existing employee in the database.
+- PUT: replaces the employee's information (the required fields must be sent, a missing optional field is removed)
+- PATCH: partially updates the employee's information (only the fields we want to change)
 */
 
 // Import express and the Employee model
 import express from 'express';
-import Employee from '../models/Employee.js';
+import Employee, { validateEmployee } from '../models/Employee.js';
+
+// Import the helper functions for applying "JSON Merge Patch" and "JSON Patch" documents
+import { applyMergePatch, applyJsonPatch } from '../utils/jsonPatch.js';
+
+// Import the helper functions for recording the employee's history (audit trail)
+import { recordHistory, toSnapshot } from '../utils/history.js';
+
+// Import the helper function for sending the webhook events (please review utils/webhooks.js)
+import { emitEmployeeEvent } from '../utils/webhooks.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Import the helper functions for the ETag / If-Match headers (optimistic concurrency control)
+import { checkIfMatch, setETag, preconditionFailed } from '../utils/concurrency.js';
 
 // Create an Express Router instance
 const router = express.Router();
 
+// The fields that are managed by MongoDB/Mongoose (or by the delete/restore routes) and can't be patched
+// (overwrite() keeps "created_at" since it's immutable, and save() sets the new "updated_at")
+const PROTECTED_FIELDS = ['_id', '__v', 'deleted_at', 'created_at', 'updated_at'];
+
+// The fields that PUT replaces => name, email, job_title, age, date_hired, department, manager_id
+const REPLACED_FIELDS = Object.keys(Employee.schema.paths).filter((field) => field !== 'employee_id' && !PROTECTED_FIELDS.includes(field));
+
 /* 
 Link: https://expressjs.com/en/guide/routing.html#express-router
 */
 
 // PUT route for updating an existing employee by employee_id
-router.put('/:employee_id', async (req, res) => {
+router.put('/:employee_id', async (req, res, next) => {
     try {
         // Extract the employee ID from the request params
         /* 
@@ -33,11 +56,26 @@ router.put('/:employee_id', async (req, res) => {
 
         // Extract the updated employee data from the request body
         // Notice we skipped the "employee_id" as it will embedded to the URL
-        const { name, email, job_title, age, date_hired } = req.body;
+        if (req.body && req.body.employee_id !== undefined && req.body.employee_id !== employee_id) {
+            throw new HttpError(422, 'employee_id can not be changed');
+        }
 
-        // Validate that all required fields are provided (optional, can be customized)
-        if (!name || !email || !job_title || !age || !date_hired) {
-            return res.status(400).json({ message: 'All fields are required.' });
+        // Validate the request data with the same validator as the POST route (built from the Employee schema)
+        const values = validateEmployee({ ...req.body, employee_id });
+
+        /*
+        PUT replaces the employee, so a missing optional field (like "department" or "manager_id") is removed ($unset),
+        like the PUT route of the departments (routes/updateDepartment.js)
+        Link: https://www.mongodb.com/docs/manual/reference/operator/update/unset/
+        */
+        const $set = {};
+        const $unset = {};
+        for (const field of REPLACED_FIELDS) {
+            if (values[field] === undefined) {
+                $unset[field] = 1;
+            } else {
+                $set[field] = values[field];
+            }
         }
 
         // Find the employee by ID and update it with the new data
@@ -53,18 +91,31 @@ router.put('/:employee_id', async (req, res) => {
             ...etc...
         */
 
+        // Keep the current values of the employee (for the history)
+        const before = await Employee.findOne({ employee_id });
+
+        // If the employee is not found, return a 404 status
+        if (!before) {
+            // return res.status(404).json({ message: `Employee with ID ${id} not found` });
+            throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
+        }
+
+        // The "If-Match" header must match the current version (412 Precondition Failed otherwise)
+        checkIfMatch(req, before, `Employee ${employee_id}`);
+
         // Find the employee by employee_id and update it with the new data
         // Link: https://www.mongodb.com/docs/manual/reference/method/db.collection.findOneAndUpdate/
         const updatedEmployee = await Employee.findOneAndUpdate(
-            { employee_id },  // "Query Object" to find the employee based on employee_id
+            // "Query Object" to find the employee based on employee_id
+            // (and its version, so a change made in the meantime by another request is not overwritten)
+            { employee_id, __v: before.__v },
             {
-                name,
-                email,
-                job_title,
-                age,
-                date_hired,
+                // Increase the version (findOneAndUpdate() doesn't do it automatically, only save() does)
+                $inc: { __v: 1 },
+                $set,
+                ...(Object.keys($unset).length > 0 && { $unset }),
             },
-            { new: true }  // Option to return the updated document, not the old one
+            { new: true, runValidators: true }  // Option to return the updated document, not the old one
         );
         /* 
         Option: new
@@ -72,19 +123,145 @@ router.put('/:employee_id', async (req, res) => {
         The default is false. B default, Mongoose returns the document before the update was applied!
         So we should set the new option to true to return the document after update was applied:
         { new: true }
+
+        Option: runValidators
+        - By default, the update methods don't run the schema validators (only save() does)
+        - The values are already validated by validateEmployee(), this is just an extra safety net
+        Link: https://mongoosejs.com/docs/validation.html#update-validators
         */
 
-        // If the employee is not found, return a 404 status
+        // If the version has changed since the employee was read, another request has updated (or deleted) it
         if (!updatedEmployee) {
-            // return res.status(404).json({ message: `Employee with ID ${id} not found` });
-            return res.status(404).json({ message: `Employee with employee_id ${employee_id} not found` });
+            throw preconditionFailed(`Employee ${employee_id}`);
         }
 
-        // Return the updated employee data in the response
+        // Record the "update" entry in the employee's history, and tell the webhook subscribers
+        await recordHistory(req, { action: 'update', before, after: updatedEmployee });
+        await emitEmployeeEvent(req, 'employee.updated', { before, after: updatedEmployee });
+
+        // Return the updated employee data in the response (with its new version in the "ETag" header)
+        setETag(res, updatedEmployee);
         res.status(200).json(updatedEmployee);
     } catch (error) {
         // Handle any errors during the update process
-        res.status(400).json({ message: error.message });
+        next(error);
+    }
+});
+
+// PATCH route for partially updating an existing employee by employee_id
+/* 
+NOTE:
+*****
+PUT vs PATCH:
+- PUT replaces the whole resource, so the client has to send all the fields (a missing optional field is removed)
+- PATCH only describes the changes, so the client sends only what should be changed
+
+The format of the PATCH body is defined by the "Content-Type" request header:
+- application/merge-patch+json (or application/json with an object):
+    { "age": 41 }
+- application/json-patch+json (or application/json with an array):
+    [{ "op": "replace", "path": "/age", "value": 41 }]
+
+Please review the file "utils/jsonPatch.js" for more details about both formats
+
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Methods/PATCH
+*/
+
+// The content types that we accept for PATCH requests
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+/* 
+The express.json() middleware in app.js only parses "application/json" by default,
+so we add another JSON parser (only for this route) for the two patch content types
+Link: https://expressjs.com/en/5x/api.html#express.json
+*/
+const parsePatchBody = express.json({ type: [MERGE_PATCH_TYPE, JSON_PATCH_TYPE] });
+
+router.patch('/:employee_id', parsePatchBody, async (req, res, next) => {
+    try {
+        const { employee_id } = req.params;
+
+        // Pick the patch format based on the Content-Type header (or the shape of the body)
+        let format;
+        if (req.is(JSON_PATCH_TYPE)) {
+            format = 'json-patch';
+        } else if (req.is(MERGE_PATCH_TYPE)) {
+            format = 'merge-patch';
+        } else if (req.is('application/json')) {
+            format = Array.isArray(req.body) ? 'json-patch' : 'merge-patch';
+        } else {
+            // 415 Unsupported Media Type
+            res.set('Accept-Patch', `${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE}`);
+            throw new HttpError(415, `Content-Type must be ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`);
+        }
+
+        // Find the employee first (we need the current values to apply the patch on them)
+        const employee = await Employee.findOne({ employee_id });
+
+        if (!employee) {
+            throw new HttpError(404, `Employee with employee_id ${employee_id} not found`);
+        }
+
+        // The "If-Match" header must match the current version (412 Precondition Failed otherwise)
+        checkIfMatch(req, employee, `Employee ${employee_id}`);
+
+        /* 
+        Apply the patch on the JSON representation of the employee 
+        (the same data that the client receives from the GET route)
+        */
+        // Keep the current values of the employee (for the history)
+        const before = toSnapshot(employee);
+
+        const current = employee.toJSON();
+        for (const field of PROTECTED_FIELDS) {
+            delete current[field];
+        }
+        // Converting the values like dates into their JSON format (strings)
+        const original = JSON.parse(JSON.stringify(current));
+
+        const patched = format === 'json-patch'
+            ? applyJsonPatch(original, req.body)
+            : applyMergePatch(original, req.body);
+
+        if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+            throw new HttpError(400, 'The patched employee must be a JSON object');
+        }
+
+        // employee_id is the identifier in the URL, so it can't be changed (or removed)
+        if (patched.employee_id !== original.employee_id) {
+            throw new HttpError(422, 'employee_id can not be changed');
+        }
+        for (const field of PROTECTED_FIELDS) {
+            if (field in patched) {
+                throw new HttpError(422, `${field} can not be changed`);
+            }
+        }
+
+        // Validate the patched employee with the same validator as the POST and PUT routes
+        const values = validateEmployee(patched);
+
+        /* 
+        Replace the employee's values with the patched values, then save the document.
+        Unlike findOneAndUpdate(), the save() method always runs the schema validators 
+        (required, minlength, enum, min, max, match, ...)
+        Link: https://mongoosejs.com/docs/api/document.html#Document.prototype.overwrite()
+        Link: https://mongoosejs.com/docs/validation.html
+        */
+        employee.overwrite({ ...values, deleted_at: employee.deleted_at });
+        // (save() also checks the version, a change made in the meantime throws a "VersionError" => 412)
+        const updatedEmployee = await employee.save();
+
+        // Record the "update" entry in the employee's history, and tell the webhook subscribers
+        await recordHistory(req, { action: 'update', before, after: updatedEmployee });
+        await emitEmployeeEvent(req, 'employee.updated', { before, after: updatedEmployee });
+
+        // Return the updated employee data in the response (with its new version in the "ETag" header)
+        setETag(res, updatedEmployee);
+        res.status(200).json(updatedEmployee);
+    } catch (error) {
+        // Handle any errors (invalid patch document, failed "test" operation, validation errors, ...)
+        next(error);
     }
 });
 
@@ -94,6 +271,8 @@ export default router;
 /*
 IMPORTANT NOTES FOR REVIEW:
 - This route uses the PUT method to update an existing employee by ID.
+- The PATCH method is used for partial updates (JSON Merge Patch or JSON Patch),
+  and it saves the document with save() so the schema validators always run.
 - The route is "/employee/:id", where ":id" is a dynamic parameter representing the employee's ID.
 - We use "findByIdAndUpdate" to search for the employee by ID and update it with the provided data.
 - The "{ new: true }" option ensures that the updated document is returned rather than the original one.
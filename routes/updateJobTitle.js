@@ -0,0 +1,106 @@
+/*
+PUT route for updating an existing job title by its _id.
+Route: /api/job-titles/:id
+
+Example bodies:
+- Renaming => { "name": "Software Engineer" }
+- Retiring => { "name": "Graphic Designer", "retired": true }
+
+NOTE:
+The employees store the name of their job title (not its _id),
+so when a job title is renamed, the new name is also saved in all the employees that have it:
+- in one transaction with the job title (all or nothing, a MongoDB transaction requires a replica set)
+- with a history entry for every employee, and the "employee.updated" event for every active employee
+  (the employees in the trash get their event when they are restored)
+Link: https://mongoosejs.com/docs/transactions.html
+*/
+
+// Import express and the models
+import express from 'express';
+import JobTitle, { validateJobTitle } from '../models/JobTitle.js';
+import Employee from '../models/Employee.js';
+
+// Import the connection of the app (the transaction is started on it)
+import { getConnection } from '../utils/database.js';
+
+// Import the helper functions for recording the employees' history and sending the webhook events
+import { recordMany } from '../utils/history.js';
+import { emitUpdatedMany } from '../utils/webhooks.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+/*
+The employees that have a job title, the active ones and the ones in the trash
+(the "pre" hook in models/Employee.js only finds the active employees, unless the filter has "deleted_at")
+*/
+async function findAllWithTitle(filter, session) {
+    const active = await Employee.find(filter).session(session);
+    const deleted = await Employee.find({ ...filter, deleted_at: { $ne: null } }).session(session);
+    return [...active, ...deleted];
+}
+
+// PUT route for updating a job title
+router.put('/:id', async (req, res, next) => {
+    try {
+        // Validate the request data with the same validator as the POST route
+        const { name, description, retired = false } = validateJobTitle(req.body);
+
+        // Keep the current name (to know if the job title is renamed)
+        const jobTitle = await JobTitle.findById(req.params.id);
+
+        if (!jobTitle) {
+            throw new HttpError(404, `Job title with ID ${req.params.id} not found`);
+        }
+
+        const oldName = jobTitle.name;
+
+        // PUT replaces the job title, so a missing "description" is removed
+        jobTitle.set({ name, description, retired });
+
+        // The employees before and after the rename (for the history and the events)
+        let changes = [];
+        const session = await getConnection().startSession();
+        try {
+            // withTransaction() runs the function again if the transaction has to be retried
+            await session.withTransaction(async () => {
+                await jobTitle.save({ session });
+                changes = [];
+                if (oldName === name) {
+                    return;
+                }
+
+                /*
+                Cascade the new name to the employees:
+                - the active employees (the "pre" hook in models/Employee.js only updates these)
+                - the employees in the trash (so they still have a valid job title when they are restored)
+                Link: https://mongoosejs.com/docs/api/model.html#Model.updateMany()
+                */
+                const before = await findAllWithTitle({ job_title: oldName }, session);
+                const update = { job_title: name, $inc: { __v: 1 } };
+                await Employee.updateMany({ job_title: oldName }, update, { session });
+                await Employee.updateMany({ job_title: oldName, deleted_at: { $ne: null } }, update, { session });
+
+                const after = new Map((await findAllWithTitle({ _id: { $in: before.map(({ _id }) => _id) } }, session))
+                    .map((employee) => [String(employee._id), employee]));
+                changes = before.map((employee) => ({ before: employee, after: after.get(String(employee._id)) }));
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        // Like the other changes of the employees: a history entry for every employee, and the events of the active ones
+        await recordMany(req, 'update', changes);
+        await emitUpdatedMany(req, changes.filter(({ after }) => after.deleted_at === null));
+
+        res.status(200).json({ ...jobTitle.toJSON(), renamed_employees: changes.length });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,187 @@
+/*
+Routes for the webhook subscriptions and their deliveries (admins only, please review app.js):
+
+Subscriptions:
+- POST   /api/webhooks                  => create a subscription { url, events, secret, description, active }
+                                           (the secret is generated if it's not sent, and it's only shown once!)
+- GET    /api/webhooks                  => list the subscriptions (without the secrets)
+- GET    /api/webhooks/:id              => one subscription
+- PUT    /api/webhooks/:id              => replace a subscription (a missing secret keeps the current one)
+- DELETE /api/webhooks/:id              => delete a subscription (and its delivery log)
+
+Deliveries:
+- GET    /api/webhooks/:id/deliveries                   => the delivery log of a subscription (newest first)
+- GET    /api/webhooks/dead-letters                     => the deliveries that failed too many times (all subscriptions)
+- GET    /api/webhooks/deliveries/:delivery_id          => one delivery (with its payload and its attempts)
+- POST   /api/webhooks/deliveries/:delivery_id/retry    => send a failed or dead delivery again
+
+Example body:
+{ "url": "https://payroll.example.com/hooks/employees", "events": ["employee.created", "employee.deleted"] }
+
+Please review the file "utils/webhooks.js" for the format of the deliveries and their signature
+*/
+
+// Import express and the models (with the validator of the request data)
+import express from 'express';
+import Webhook, { validateWebhook, WEBHOOK_EVENTS } from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+// Import the helper that converts the query string into a paginated Mongoose query
+import { findPage } from '../utils/listQuery.js';
+
+// Import the helpers for sending the deliveries
+import { processDueDeliveries, retryDelivery } from '../utils/webhooks.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from '../utils/httpError.js';
+
+// Create an Express Router instance
+const router = express.Router();
+
+// Find a subscription or fail with 404
+async function findWebhook(id) {
+    const webhook = await Webhook.findById(id);
+    if (!webhook) {
+        throw new HttpError(404, `Webhook with ID ${id} not found`);
+    }
+    return webhook;
+}
+
+// POST route for creating a subscription
+router.post('/', async (req, res, next) => {
+    try {
+        // Validate the request data (422 with all the invalid fields)
+        const values = validateWebhook(req.body);
+
+        const webhook = await new Webhook({ ...values, created_by: req.user.username }).save();
+
+        // The secret is only returned now (the receiver needs it to check the signatures)
+        res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for listing the subscriptions
+// Example: /api/webhooks?active=true&sort=-created_at
+router.get('/', async (req, res, next) => {
+    try {
+        const result = await findPage(Webhook, req, { defaultSort: 'created_at' });
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for the dead-letter list (added before "/:id", otherwise "dead-letters" would be treated as an id)
+// Example: /api/webhooks/dead-letters?event=employee.deleted
+router.get('/dead-letters', async (req, res, next) => {
+    try {
+        const result = await findPage(WebhookDelivery, req, { filter: { status: 'dead' }, defaultSort: '-created_at' });
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for one delivery
+router.get('/deliveries/:delivery_id', async (req, res, next) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.delivery_id);
+        if (!delivery) {
+            throw new HttpError(404, `Webhook delivery with ID ${req.params.delivery_id} not found`);
+        }
+        res.status(200).json(delivery);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST route for sending a delivery again (202 => accepted, the result is in the delivery log)
+router.post('/deliveries/:delivery_id/retry', async (req, res, next) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.delivery_id);
+        if (!delivery) {
+            throw new HttpError(404, `Webhook delivery with ID ${req.params.delivery_id} not found`);
+        }
+        if (!['failed', 'dead'].includes(delivery.status)) {
+            throw new HttpError(409, `Only the failed and dead deliveries can be retried, this delivery is ${delivery.status}`);
+        }
+
+        // The subscription must still exist (otherwise the delivery would be dead again right away)
+        await findWebhook(delivery.webhook);
+
+        res.status(202).json(await retryDelivery(delivery));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for one subscription
+router.get('/:id', async (req, res, next) => {
+    try {
+        res.status(200).json(await findWebhook(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET route for the delivery log of a subscription
+// Example: /api/webhooks/66f1.../deliveries?status=failed
+router.get('/:id/deliveries', async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        const result = await findPage(WebhookDelivery, req, { filter: { webhook: webhook._id }, defaultSort: '-created_at' });
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT route for replacing a subscription
+router.put('/:id', async (req, res, next) => {
+    try {
+        // Validate the request data with the same validator as the POST route
+        const { url, events = [...WEBHOOK_EVENTS], secret, description, active = true } = validateWebhook(req.body);
+
+        const webhook = await findWebhook(req.params.id);
+        const wasActive = webhook.active;
+
+        // PUT replaces the subscription, so a missing "description" is removed (but a missing secret is kept)
+        webhook.set({ url, events, description, active });
+        if (secret !== undefined) {
+            webhook.secret = secret;
+        }
+        const updatedWebhook = await webhook.save();
+
+        // Reactivated => send the deliveries that were waiting right away
+        if (!wasActive && updatedWebhook.active) {
+            await WebhookDelivery.updateMany(
+                { webhook: updatedWebhook._id, status: { $in: ['pending', 'failed'] } },
+                { next_attempt_at: new Date() }
+            );
+            processDueDeliveries();
+        }
+
+        res.status(200).json(updatedWebhook);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE route for removing a subscription (and its delivery log)
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+        await webhook.deleteOne();
+
+        res.status(200).json({ message: `Webhook ${webhook.url} deleted successfully` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export the router so it can be used in the main app
+export default router;
@@ -0,0 +1,107 @@
+/*
+Integration tests of the versions of the employee API (middleware/apiVersion.js):
+the version in the URL or in the "Accept-Version" header, the headers of the old versions,
+and the responses of the version 2 (transformed from the version 1)
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, employeeData } from './helpers.js';
+
+describe('API versions', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+
+        await server.request('POST', '/api/employees', { token, body: employeeData('ver001') });
+        await server.request('POST', '/api/employees', { token, body: employeeData('ver002') });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('keeps /api/employees as an alias of the version 1, with the deprecation headers', async () => {
+        const { status, headers, body } = await server.request('GET', '/api/employees/ver001', { token });
+        assert.equal(status, 200);
+        assert.equal(headers['api-version'], '1');
+        assert.match(headers.deprecation, /^@\d+$/);
+        assert.ok(headers.sunset);
+        assert.equal(headers.link, '</api/v2/employees/ver001>; rel="successor-version"');
+        assert.match(headers.vary, /Accept-Version/);
+        assert.ok(body._id);
+        assert.equal(body.__v, 0);
+
+        const { headers: v1Headers, body: v1Body } = await server.request('GET', '/api/v1/employees/ver001', { token });
+        assert.equal(v1Headers['api-version'], '1');
+        assert.ok(v1Headers.deprecation);
+        assert.deepEqual(v1Body, body);
+    });
+
+    it('transforms the responses of the version 2', async () => {
+        const { status, headers, body } = await server.request('GET', '/api/v2/employees/ver001', { token });
+        assert.equal(status, 200);
+        assert.equal(headers['api-version'], '2');
+        assert.equal(headers.deprecation, undefined);
+        assert.equal(headers.sunset, undefined);
+        assert.ok(body.id);
+        assert.equal(body._id, undefined);
+        assert.equal(body.__v, undefined);
+        assert.equal(body.employee_id, 'ver001');
+
+        const { body: list } = await server.request('GET', '/api/v2/employees?sort=employee_id&limit=1', { token });
+        assert.deepEqual(list.items.map((employee) => employee.employee_id), ['ver001']);
+        assert.equal(list.data, undefined);
+        assert.equal(list.pagination.total, 2);
+        // The links keep the version of the URL
+        assert.match(list.pagination.next, /\/api\/v2\/employees\?.*page=2/);
+    });
+
+    it('chooses the version with the "Accept-Version" header on /api/employees', async () => {
+        const { headers, body } = await server.request('GET', '/api/employees/ver001', {
+            token,
+            headers: { 'Accept-Version': 'v2' },
+        });
+        assert.equal(headers['api-version'], '2');
+        assert.ok(body.id);
+
+        // The version of the URL wins over the header
+        const { headers: urlHeaders } = await server.request('GET', '/api/v1/employees/ver001', {
+            token,
+            headers: { 'Accept-Version': '2' },
+        });
+        assert.equal(urlHeaders['api-version'], '1');
+    });
+
+    it('handles the writes of every version with the same routes', async () => {
+        const { status, body } = await server.request('POST', '/api/v2/employees', { token, body: employeeData('ver003') });
+        assert.equal(status, 201);
+        assert.ok(body.id);
+
+        const { status: deleteStatus } = await server.request('DELETE', '/api/v2/employees/ver003', { token });
+        assert.equal(deleteStatus, 200);
+    });
+
+    it('keeps the errors in the "problem+json" format', async () => {
+        const { status, headers, body } = await server.request('GET', '/api/v2/employees/missing', { token });
+        assert.equal(status, 404);
+        assert.match(headers['content-type'], /application\/problem\+json/);
+        assert.equal(body.status, 404);
+    });
+
+    it('rejects an unknown version', async () => {
+        const { status, body } = await server.request('GET', '/api/v9/employees', { token });
+        assert.equal(status, 404);
+        assert.deepEqual(body.supported_versions, ['v1', 'v2']);
+
+        const { status: headerStatus } = await server.request('GET', '/api/employees', {
+            token,
+            headers: { 'Accept-Version': '9' },
+        });
+        assert.equal(headerStatus, 400);
+    });
+});
@@ -0,0 +1,165 @@
+/*
+Integration tests of the app itself:
+- the options of createApp() (app.js), including an app with its own connection
+- the health check routes (routes/health.js) and the documentation routes (routes/docs.js)
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import mongoose from 'mongoose';
+
+import { startTestServer, startTestApp, employeeData } from './helpers.js';
+
+describe('createApp() with a mount path and a middleware', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startTestServer({
+            mountPath: '/hr',
+            middleware: [(req, res, next) => {
+                res.set('X-Gateway', 'test');
+                next();
+            }],
+        });
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('serves the routes under the mount path only', async () => {
+        const mounted = await server.request('GET', '/hr/api/employees', { token });
+        assert.equal(mounted.status, 200);
+
+        const root = await server.request('GET', '/api/employees', { token });
+        assert.equal(root.status, 404);
+    });
+
+    it('runs the middleware of the caller before the routes', async () => {
+        const { headers } = await server.request('GET', '/hr/health/live');
+        assert.equal(headers['x-gateway'], 'test');
+    });
+
+    it('adds a request id to every response', async () => {
+        const { headers } = await server.request('GET', '/hr/health/live', { headers: { 'X-Request-Id': 'test-request-1' } });
+        assert.equal(headers['x-request-id'], 'test-request-1');
+    });
+
+    describe('Health checks', () => {
+        it('GET /health/live answers 200', async () => {
+            const { status, headers, body } = await server.request('GET', '/hr/health/live');
+            assert.equal(status, 200);
+            assert.equal(body.status, 'ok');
+            assert.equal(headers['cache-control'], 'no-store');
+        });
+
+        it('GET /health/ready checks the database connection', async () => {
+            const { status, body } = await server.request('GET', '/hr/health/ready');
+            assert.equal(status, 200);
+            assert.equal(body.status, 'ready');
+            assert.equal(body.checks.database.status, 'up');
+            assert.equal(typeof body.checks.database.latency_ms, 'number');
+        });
+
+        it('GET /health is the same as /health/ready', async () => {
+            const { status, body } = await server.request('GET', '/hr/health');
+            assert.equal(status, 200);
+            assert.equal(body.status, 'ready');
+        });
+    });
+
+    describe('Documentation', () => {
+        it('GET /api/openapi.json describes the routes, with the mount path in "servers"', async () => {
+            const { status, body } = await server.request('GET', '/hr/api/openapi.json');
+            assert.equal(status, 200);
+            assert.equal(body.openapi, '3.1.0');
+            assert.deepEqual(body.servers, [{ url: '/hr' }]);
+            assert.ok(body.paths['/api/employees'].get);
+            assert.ok(body.paths['/api/employees/{employee_id}'].put);
+            assert.ok(body.components.schemas.Employee);
+        });
+
+        it('GET /api/openapi.json describes every version of the employee API', async () => {
+            const { body } = await server.request('GET', '/hr/api/openapi.json');
+            assert.equal(body.paths['/api/v1/employees'].get.deprecated, true);
+            assert.ok(body.paths['/api/employees'].get.parameters.some((parameter) => parameter.name === 'Accept-Version'));
+
+            const list = body.paths['/api/v2/employees'].get;
+            assert.equal(list.deprecated, undefined);
+            const listSchema = list.responses[200].content['application/json'].schema;
+            assert.deepEqual(Object.keys(listSchema.properties), ['items', 'pagination']);
+            assert.ok(listSchema.properties.items.items.properties.id);
+            assert.equal(listSchema.properties.items.items.properties.__v, undefined);
+
+            // The request bodies are the same in every version
+            assert.deepEqual(
+                body.paths['/api/v2/employees'].post.requestBody,
+                body.paths['/api/v1/employees'].post.requestBody
+            );
+        });
+
+        it('GET /api/docs returns the Swagger UI page', async () => {
+            const { status, headers, body } = await server.request('GET', '/hr/api/docs');
+            assert.equal(status, 200);
+            assert.match(headers['content-type'], /text\/html/);
+            assert.match(body, /\/hr\/api\/openapi\.json/);
+            assert.doesNotMatch(body, /unpkg\.com/);
+
+            // The files of Swagger UI are served by the app
+            const script = await server.request('GET', '/hr/api/docs/assets/swagger-ui-bundle.js');
+            assert.equal(script.status, 200);
+            assert.match(script.headers['content-type'], /javascript/);
+        });
+    });
+
+    it('answers 404 with a problem+json body for an unknown API resource', async () => {
+        const { status, headers } = await server.request('GET', '/hr/api/employees/nobody', { token });
+        assert.equal(status, 404);
+        assert.match(headers['content-type'], /application\/problem\+json/);
+    });
+});
+
+describe('createApp() with its own connection', () => {
+    let server;
+    let connection;
+    let other;
+
+    before(async () => {
+        server = await startTestServer();
+        // Another database of the same MongoDB server, on a connection that is not the default one
+        connection = await mongoose.createConnection(server.databaseUri('men-crud-other')).asPromise();
+        other = await startTestApp({ mountPath: '/other', connection });
+    });
+
+    after(async () => {
+        await other.close();
+        await connection.close();
+        await server.close();
+    });
+
+    it('saves and reads the employees with the connection of the app', async () => {
+        const { status } = await other.request('POST', '/other/api/employees', {
+            token: other.adminToken,
+            body: employeeData('con001'),
+        });
+        assert.equal(status, 201);
+        assert.equal(await connection.model('Employee').countDocuments({ employee_id: 'con001' }), 1);
+
+        const { status: otherStatus } = await other.request('GET', '/other/api/employees/con001', { token: other.adminToken });
+        assert.equal(otherStatus, 200);
+
+        // The default connection (the other app) doesn't see it
+        const { status: defaultStatus } = await server.request('GET', '/api/employees/con001', { token: server.adminToken });
+        assert.equal(defaultStatus, 404);
+        assert.equal(await mongoose.connection.model('Employee').countDocuments({ employee_id: 'con001' }), 0);
+    });
+
+    it('checks the connection of the app in the readiness probe', async () => {
+        const { status, body } = await other.request('GET', '/other/health/ready');
+        assert.equal(status, 200);
+        assert.equal(body.checks.database.status, 'up');
+    });
+});
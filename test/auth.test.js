@@ -0,0 +1,204 @@
+/*
+Integration tests of the authentication routes (routes/auth.js)
+and of the roles of the employee routes (middleware/auth.js => EMPLOYEE_POLICY)
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, employeeData, ADMIN } from './helpers.js';
+
+describe('Authentication and authorization', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('POST /api/auth/login and /api/auth/refresh', () => {
+        it('returns an access token and a refresh token', async () => {
+            const { status, body } = await server.request('POST', '/api/auth/login', { body: ADMIN });
+            assert.equal(status, 200);
+            assert.equal(body.token_type, 'Bearer');
+            assert.ok(body.access_token);
+            assert.ok(body.refresh_token);
+            assert.equal(body.user.password_hash, undefined);
+
+            const refreshed = await server.request('POST', '/api/auth/refresh', { body: { refresh_token: body.refresh_token } });
+            assert.equal(refreshed.status, 200);
+            assert.ok(refreshed.body.access_token);
+        });
+
+        it('rejects a wrong password with 401', async () => {
+            const { status } = await server.request('POST', '/api/auth/login', {
+                body: { username: ADMIN.username, password: 'wrong-password' },
+            });
+            assert.equal(status, 401);
+        });
+
+        it('rejects a missing username or password with 400', async () => {
+            const { status } = await server.request('POST', '/api/auth/login', { body: {} });
+            assert.equal(status, 400);
+        });
+
+        it('rejects an access token used as a refresh token', async () => {
+            const { status } = await server.request('POST', '/api/auth/refresh', { body: { refresh_token: token } });
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('GET /api/auth/me', () => {
+        it('returns the current user', async () => {
+            const { status, body } = await server.request('GET', '/api/auth/me', { token });
+            assert.equal(status, 200);
+            assert.equal(body.username, ADMIN.username);
+            assert.equal(body.role, 'admin');
+        });
+
+        it('rejects an invalid token with 401', async () => {
+            const { status } = await server.request('GET', '/api/auth/me', { token: 'not-a-token' });
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('Users and roles', () => {
+        let viewerToken;
+        let editorToken;
+
+        before(async () => {
+            await server.request('POST', '/api/auth/users', { token, body: { username: 'viewer', password: 'viewer-password', role: 'viewer' } });
+            await server.request('POST', '/api/auth/users', { token, body: { username: 'editor', password: 'editor-password', role: 'hr_editor' } });
+            viewerToken = await server.login('viewer', 'viewer-password');
+            editorToken = await server.login('editor', 'editor-password');
+        });
+
+        it('GET /api/auth/users lists the users (admins only)', async () => {
+            const { status, body } = await server.request('GET', '/api/auth/users', { token });
+            assert.equal(status, 200);
+            assert.deepEqual(body.map((user) => user.username), ['admin', 'editor', 'viewer']);
+
+            const forbidden = await server.request('GET', '/api/auth/users', { token: viewerToken });
+            assert.equal(forbidden.status, 403);
+        });
+
+        it('POST /api/auth/users rejects a duplicate username with 409', async () => {
+            const { status } = await server.request('POST', '/api/auth/users', {
+                token,
+                body: { username: 'viewer', password: 'another-password' },
+            });
+            assert.equal(status, 409);
+        });
+
+        it('POST /api/auth/users rejects a short password with 422', async () => {
+            const { status, body } = await server.request('POST', '/api/auth/users', {
+                token,
+                body: { username: 'short-password', password: 'abc' },
+            });
+            assert.equal(status, 422);
+            assert.ok(body.errors.password);
+        });
+
+        it('a viewer can read the employees but not change them', async () => {
+            const read = await server.request('GET', '/api/employees', { token: viewerToken });
+            assert.equal(read.status, 200);
+
+            const create = await server.request('POST', '/api/employees', { token: viewerToken, body: employeeData('auth001') });
+            assert.equal(create.status, 403);
+        });
+
+        it('an hr_editor can create employees but not delete them', async () => {
+            const create = await server.request('POST', '/api/employees', { token: editorToken, body: employeeData('auth002') });
+            assert.equal(create.status, 201);
+
+            const remove = await server.request('DELETE', '/api/employees/auth002', { token: editorToken });
+            assert.equal(remove.status, 403);
+        });
+    });
+
+    describe('Revoking the refresh tokens', () => {
+        const login = (password) => server.request('POST', '/api/auth/login', { body: { username: 'revoke-user', password } });
+        const refresh = (refresh_token) => server.request('POST', '/api/auth/refresh', { body: { refresh_token } });
+
+        before(async () => {
+            await server.request('POST', '/api/auth/users', { token, body: { username: 'revoke-user', password: 'first-password', role: 'viewer' } });
+        });
+
+        it('POST /api/auth/logout revokes the refresh tokens of the user', async () => {
+            const { body } = await login('first-password');
+            const { status } = await server.request('POST', '/api/auth/logout', { token: body.access_token });
+            assert.equal(status, 200);
+
+            const refreshed = await refresh(body.refresh_token);
+            assert.equal(refreshed.status, 401);
+        });
+
+        it('POST /api/auth/password changes the password and revokes the old refresh tokens', async () => {
+            const { body } = await login('first-password');
+
+            const wrong = await server.request('POST', '/api/auth/password', {
+                token: body.access_token,
+                body: { current_password: 'wrong-password', new_password: 'second-password' },
+            });
+            assert.equal(wrong.status, 401);
+
+            const { status, body: changed } = await server.request('POST', '/api/auth/password', {
+                token: body.access_token,
+                body: { current_password: 'first-password', new_password: 'second-password' },
+            });
+            assert.equal(status, 200);
+            assert.equal((await refresh(body.refresh_token)).status, 401);
+            assert.equal((await refresh(changed.refresh_token)).status, 200);
+            assert.equal((await login('second-password')).status, 200);
+        });
+
+        it('POST /api/auth/users/:id/revoke-tokens revokes the refresh tokens of a user (admins only)', async () => {
+            const { body } = await login('second-password');
+
+            const forbidden = await server.request('POST', `/api/auth/users/${body.user._id}/revoke-tokens`, { token: body.access_token });
+            assert.equal(forbidden.status, 403);
+
+            const { status } = await server.request('POST', `/api/auth/users/${body.user._id}/revoke-tokens`, { token });
+            assert.equal(status, 200);
+            assert.equal((await refresh(body.refresh_token)).status, 401);
+        });
+    });
+
+    describe('API keys', () => {
+        let apiKey;
+
+        it('POST /api/auth/api-keys creates a key (returned only once)', async () => {
+            const { status, body } = await server.request('POST', '/api/auth/api-keys', {
+                token,
+                body: { name: 'reporting', role: 'viewer' },
+            });
+            assert.equal(status, 201);
+            assert.ok(body.key);
+            apiKey = body;
+
+            const { body: keys } = await server.request('GET', '/api/auth/api-keys', { token });
+            assert.equal(keys.length, 1);
+            assert.equal(keys[0].key, undefined);
+        });
+
+        it('the key authenticates the requests with the "X-API-Key" header', async () => {
+            const { status, body } = await server.request('GET', '/api/auth/me', { headers: { 'X-API-Key': apiKey.key } });
+            assert.equal(status, 200);
+            assert.equal(body.type, 'api_key');
+            assert.equal(body.role, 'viewer');
+        });
+
+        it('DELETE /api/auth/api-keys/:id revokes the key', async () => {
+            const { status } = await server.request('DELETE', `/api/auth/api-keys/${apiKey._id}`, { token });
+            assert.equal(status, 200);
+
+            const { status: meStatus } = await server.request('GET', '/api/auth/me', { headers: { 'X-API-Key': apiKey.key } });
+            assert.equal(meStatus, 401);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/*
+Integration tests of the department routes:
+routes/createDepartment.js, routes/readDepartment.js, routes/updateDepartment.js, routes/deleteDepartment.js
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, employeeData } from './helpers.js';
+
+describe('Departments', () => {
+    let server;
+    let token;
+    let engineering;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('POST /api/departments creates a department', async () => {
+        const { status, body } = await server.request('POST', '/api/departments', {
+            token,
+            body: { name: 'Engineering', description: 'The product teams' },
+        });
+        assert.equal(status, 201);
+        assert.equal(body.name, 'Engineering');
+        engineering = body;
+    });
+
+    it('POST /api/departments rejects an invalid department with 422', async () => {
+        const { status, body } = await server.request('POST', '/api/departments', { token, body: { name: 'E' } });
+        assert.equal(status, 422);
+        assert.ok(body.errors.name);
+    });
+
+    it('POST /api/departments rejects a duplicate name with 409', async () => {
+        const { status } = await server.request('POST', '/api/departments', { token, body: { name: 'Engineering' } });
+        assert.equal(status, 409);
+    });
+
+    it('GET /api/departments lists the departments', async () => {
+        const { status, body } = await server.request('GET', '/api/departments', { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map((department) => department.name), ['Engineering']);
+    });
+
+    it('GET /api/departments/:id returns a department', async () => {
+        const { status, body } = await server.request('GET', `/api/departments/${engineering._id}`, { token });
+        assert.equal(status, 200);
+        assert.equal(body.description, 'The product teams');
+    });
+
+    it('GET /api/departments/:id answers 400 for an invalid id and 404 for an unknown one', async () => {
+        const invalid = await server.request('GET', '/api/departments/not-an-id', { token });
+        assert.equal(invalid.status, 400);
+
+        const unknown = await server.request('GET', '/api/departments/000000000000000000000000', { token });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('GET /api/departments/:id/employees lists the employees of the department', async () => {
+        await server.request('POST', '/api/employees', { token, body: employeeData('dep001', { department: engineering._id }) });
+        await server.request('POST', '/api/employees', { token, body: employeeData('dep002') });
+
+        const { status, body } = await server.request('GET', `/api/departments/${engineering._id}/employees`, { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map((employee) => employee.employee_id), ['dep001']);
+    });
+
+    it('POST /api/employees rejects an unknown department with 422', async () => {
+        const { status, body } = await server.request('POST', '/api/employees', {
+            token,
+            body: employeeData('dep003', { department: '000000000000000000000000' }),
+        });
+        assert.equal(status, 422);
+        assert.ok(body.errors.department);
+    });
+
+    it('PUT /api/departments/:id replaces the department', async () => {
+        const { status, body } = await server.request('PUT', `/api/departments/${engineering._id}`, {
+            token,
+            body: { name: 'Engineering & Design' },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Engineering & Design');
+        assert.equal(body.description, undefined);
+    });
+
+    it('DELETE /api/departments/:id refuses to delete a department with employees (409)', async () => {
+        const { status, body } = await server.request('DELETE', `/api/departments/${engineering._id}`, { token });
+        assert.equal(status, 409);
+        assert.equal(body.employees, 1);
+    });
+
+    it('DELETE /api/departments/:id deletes an empty department', async () => {
+        // An employee in the trash still belongs to the department (it can be restored)
+        await server.request('DELETE', '/api/employees/dep001', { token });
+        const { status: trashStatus } = await server.request('DELETE', `/api/departments/${engineering._id}`, { token });
+        assert.equal(trashStatus, 409);
+
+        await server.request('DELETE', '/api/employees/trash/dep001', { token });
+        const { status } = await server.request('DELETE', `/api/departments/${engineering._id}`, { token });
+        assert.equal(status, 200);
+
+        const { status: readStatus } = await server.request('GET', `/api/departments/${engineering._id}`, { token });
+        assert.equal(readStatus, 404);
+    });
+});
@@ -0,0 +1,314 @@
+/*
+Integration tests of the other employee routes:
+routes/importEmployees.js, routes/exportEmployees.js, routes/searchEmployees.js, routes/employeeStats.js,
+routes/orgChart.js, routes/employeeHistory.js, routes/trashEmployees.js
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, employeeData } from './helpers.js';
+
+describe('Employees (import, export, search, statistics, org chart, history, trash)', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+
+        // A small organisation: emp001 => emp002 => emp003
+        await server.request('POST', '/api/employees', {
+            token,
+            body: employeeData('emp001', { name: 'Martin Smith', job_title: 'Product Manager', age: 50, date_hired: '2015-03-01' }),
+        });
+        await server.request('POST', '/api/employees', {
+            token,
+            body: employeeData('emp002', { name: 'Sara Jones', manager_id: 'emp001', age: 35, date_hired: '2019-06-15' }),
+        });
+        await server.request('POST', '/api/employees', {
+            token,
+            body: employeeData('emp003', { name: 'Adam Brown', manager_id: 'emp002', age: 24, date_hired: '2023-09-01' }),
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('POST /api/employees/bulk', () => {
+        it('imports a JSON array and reports every row (best-effort)', async () => {
+            const { status, body } = await server.request('POST', '/api/employees/bulk', {
+                token,
+                body: [employeeData('imp001'), employeeData('imp002', { email: 'invalid' })],
+            });
+            assert.equal(status, 207);
+            assert.equal(body.created, 1);
+            assert.equal(body.failed, 1);
+            assert.equal(body.rows[1].status, 'failed');
+            assert.ok(body.rows[1].errors.email);
+        });
+
+        it('reports the unknown and the managed fields like the POST route', async () => {
+            const { status, body } = await server.request('POST', '/api/employees/bulk', {
+                token,
+                body: [
+                    employeeData('imp006', { nickname: 'Lina' }),
+                    employeeData('imp007', { deleted_at: '2024-01-01', created_at: '2024-01-01' }),
+                ],
+            });
+            assert.equal(status, 422);
+            assert.equal(body.failed, 2);
+            assert.equal(body.rows[0].errors.nickname, 'Unknown field');
+            assert.ok(body.rows[1].errors.deleted_at);
+            assert.ok(body.rows[1].errors.created_at);
+        });
+
+        it('imports a CSV file', async () => {
+            const csv = [
+                'employee_id,name,email,job_title,age,date_hired',
+                'imp003,Lina Carter,imp003@men-demo.com,HR,29,2021-02-01',
+            ].join('\n');
+            const { status, body } = await server.request('POST', '/api/employees/bulk', {
+                token,
+                headers: { 'Content-Type': 'text/csv' },
+                body: csv,
+            });
+            assert.equal(status, 201);
+            assert.equal(body.created, 1);
+        });
+
+        it('rejects a malformed CSV file with 400', async () => {
+            const { status } = await server.request('POST', '/api/employees/bulk', {
+                token,
+                headers: { 'Content-Type': 'text/csv' },
+                body: 'employee_id,name\nimp005,"Lina',
+            });
+            assert.equal(status, 400);
+        });
+
+        it('creates nothing in atomic mode when one row fails', async () => {
+            const { status, body } = await server.request('POST', '/api/employees/bulk?mode=atomic', {
+                token,
+                body: [employeeData('imp004'), employeeData('imp001')],
+            });
+            assert.equal(status, 422);
+            assert.equal(body.created, 0);
+            assert.equal(body.rows[0].status, 'rolled_back');
+
+            const { status: readStatus } = await server.request('GET', '/api/employees/imp004', { token });
+            assert.equal(readStatus, 404);
+        });
+
+        it('rejects an empty list with 400', async () => {
+            const { status } = await server.request('POST', '/api/employees/bulk', { token, body: [] });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('GET /api/employees/export', () => {
+        it('exports the employees as CSV', async () => {
+            const { status, headers, body } = await server.request('GET', '/api/employees/export?fields=employee_id,name&sort=employee_id', { token });
+            assert.equal(status, 200);
+            assert.match(headers['content-type'], /text\/csv/);
+            assert.match(headers['content-disposition'], /attachment/);
+            const lines = body.trim().split(/\r?\n/);
+            assert.equal(lines[0], 'employee_id,name');
+            assert.equal(lines[1], 'emp001,Martin Smith');
+        });
+
+        it('exports the employees as NDJSON', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/export?format=ndjson&job_title=Product%20Manager', { token });
+            assert.equal(status, 200);
+            const rows = body.trim().split('\n').map((line) => JSON.parse(line));
+            assert.deepEqual(rows.map((row) => row.employee_id), ['emp001']);
+        });
+
+        it('rejects an unknown format with 400', async () => {
+            const { status } = await server.request('GET', '/api/employees/export?format=pdf', { token });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('GET /api/employees/search', () => {
+        it('finds the employees by prefix and highlights the match', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/search?q=mart', { token });
+            assert.equal(status, 200);
+            assert.equal(body.data[0].employee_id, 'emp001');
+            assert.match(body.data[0]._highlight.name, /<mark>/);
+            assert.equal(body.meta.truncated, false);
+        });
+
+        it('finds the employees with a typo', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/search?q=matrin', { token });
+            assert.equal(status, 200);
+            assert.ok(body.data.some((employee) => employee.employee_id === 'emp001'));
+        });
+
+        it('requires "q"', async () => {
+            const { status } = await server.request('GET', '/api/employees/search', { token });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('GET /api/employees/stats', () => {
+        it('returns all the statistics', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/stats', { token });
+            assert.equal(status, 200);
+            for (const key of ['headcount', 'age_bands', 'hires', 'tenure', 'turnover']) {
+                assert.ok(body[key], key);
+            }
+        });
+
+        it('groups the headcount by job title', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/stats/headcount?group_by=job_title', { token });
+            assert.equal(status, 200);
+            assert.equal(body.group_by, 'job_title');
+            assert.ok(body.data.some((group) => group.job_title === 'Product Manager' && group.count === 1));
+        });
+
+        it('rejects an unknown group_by with 400', async () => {
+            const { status } = await server.request('GET', '/api/employees/stats/headcount?group_by=salary', { token });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('Org chart', () => {
+        it('GET /:employee_id/reports lists the direct and indirect reports', async () => {
+            const direct = await server.request('GET', '/api/employees/emp001/reports', { token });
+            assert.equal(direct.status, 200);
+            assert.deepEqual(direct.body.data.map((employee) => employee.employee_id), ['emp002']);
+
+            const all = await server.request('GET', '/api/employees/emp001/reports?recursive=true', { token });
+            assert.equal(all.status, 200);
+            assert.deepEqual(all.body.data.map((employee) => employee.employee_id).sort(), ['emp002', 'emp003']);
+        });
+
+        it('GET /:employee_id/chain lists the managers', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/emp003/chain', { token });
+            assert.equal(status, 200);
+            assert.deepEqual(body.data.map((employee) => employee.employee_id), ['emp002', 'emp001']);
+        });
+
+        it('GET /org-tree returns the tree from the top managers', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/org-tree', { token });
+            assert.equal(status, 200);
+            const top = body.data.find((employee) => employee.employee_id === 'emp001');
+            assert.equal(top.reports[0].employee_id, 'emp002');
+            assert.equal(top.reports[0].reports[0].employee_id, 'emp003');
+        });
+
+        it('rejects a reporting cycle with 422', async () => {
+            const { status } = await server.request('PATCH', '/api/employees/emp001', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { manager_id: 'emp003' },
+            });
+            assert.equal(status, 422);
+        });
+
+        it('refuses to delete a manager with active reports (409)', async () => {
+            const { status, body } = await server.request('DELETE', '/api/employees/emp002', { token });
+            assert.equal(status, 409);
+            assert.equal(body.reports, 1);
+        });
+    });
+
+    describe('History', () => {
+        it('GET /:employee_id/history lists the changes (newest first)', async () => {
+            await server.request('PATCH', '/api/employees/emp003', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { age: 25 },
+            });
+
+            const { status, body } = await server.request('GET', '/api/employees/emp003/history', { token });
+            assert.equal(status, 200);
+            assert.deepEqual(body.data.map((entry) => entry.action), ['update', 'create']);
+            assert.deepEqual(body.data[0].changes, [{ field: 'age', before: 24, after: 25 }]);
+        });
+
+        it('POST /:employee_id/history/:version/revert restores the values of a version', async () => {
+            const { status, body } = await server.request('POST', '/api/employees/emp003/history/1/revert', { token });
+            assert.equal(status, 200);
+            assert.equal(body.age, 24);
+
+            const { body: history } = await server.request('GET', '/api/employees/emp003/history', { token });
+            assert.equal(history.data[0].action, 'revert');
+        });
+
+        it('answers 404 for an unknown version', async () => {
+            const { status } = await server.request('POST', '/api/employees/emp003/history/99/revert', { token });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('Trash', () => {
+        before(async () => {
+            await server.request('POST', '/api/employees', { token, body: employeeData('del001') });
+            await server.request('POST', '/api/employees', { token, body: employeeData('del002') });
+            await server.request('DELETE', '/api/employees/del001', { token });
+            await server.request('DELETE', '/api/employees/del002', { token });
+        });
+
+        it('GET /trash lists the deleted employees', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/trash', { token });
+            assert.equal(status, 200);
+            assert.deepEqual(body.data.map((employee) => employee.employee_id).sort(), ['del001', 'del002']);
+        });
+
+        it('POST /:employee_id/restore restores a deleted employee', async () => {
+            const { status, body } = await server.request('POST', '/api/employees/del001/restore', { token });
+            assert.equal(status, 200);
+            assert.equal(body.deleted_at, null);
+
+            const { status: readStatus } = await server.request('GET', '/api/employees/del001', { token });
+            assert.equal(readStatus, 200);
+        });
+
+        it('POST /:employee_id/restore refuses an employee whose manager was deleted', async () => {
+            await server.request('POST', '/api/employees', { token, body: employeeData('del010') });
+            await server.request('POST', '/api/employees', { token, body: employeeData('del011', { manager_id: 'del010' }) });
+            await server.request('DELETE', '/api/employees/del011', { token });
+            await server.request('DELETE', '/api/employees/del010', { token });
+
+            const { status, body } = await server.request('POST', '/api/employees/del011/restore', { token });
+            assert.equal(status, 422);
+            assert.ok(body.errors.manager_id);
+
+            // Once the manager is back, the employee can be restored
+            await server.request('POST', '/api/employees/del010/restore', { token });
+            const { status: restoreStatus } = await server.request('POST', '/api/employees/del011/restore', { token });
+            assert.equal(restoreStatus, 200);
+        });
+
+        it('DELETE /trash/:employee_id purges a deleted employee', async () => {
+            const { status } = await server.request('DELETE', '/api/employees/trash/del002', { token });
+            assert.equal(status, 200);
+
+            const { status: restoreStatus } = await server.request('POST', '/api/employees/del002/restore', { token });
+            assert.equal(restoreStatus, 404);
+        });
+
+        it('DELETE /trash empties the trash', async () => {
+            await server.request('DELETE', '/api/employees/del001', { token });
+            const { status, body } = await server.request('DELETE', '/api/employees/trash?older_than_days=0', { token });
+            assert.equal(status, 200);
+            assert.equal(body.purged, 1);
+        });
+
+        it('DELETE /trash uses TRASH_RETENTION_DAYS, even when it is 0', async () => {
+            await server.request('POST', '/api/employees', { token, body: employeeData('del003') });
+            await server.request('DELETE', '/api/employees/del003', { token });
+
+            process.env.TRASH_RETENTION_DAYS = '0';
+            try {
+                const { status, body } = await server.request('DELETE', '/api/employees/trash', { token });
+                assert.equal(status, 200);
+                assert.equal(body.purged, 1);
+            } finally {
+                delete process.env.TRASH_RETENTION_DAYS;
+            }
+        });
+    });
+});
@@ -0,0 +1,306 @@
+/*
+Integration tests of the employee CRUD routes:
+routes/createEmployee.js, routes/readEmployee.js, routes/updateEmployee.js, routes/deleteEmployee.js
+(including the ETag / If-Match headers and the conditional GET requests)
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { startTestServer, employeeData } from './helpers.js';
+
+describe('Employees (CRUD)', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('POST /api/employees', () => {
+        it('creates an employee and returns its version in the ETag header', async () => {
+            const { status, headers, body } = await server.request('POST', '/api/employees', {
+                token,
+                body: employeeData('emp100'),
+            });
+            assert.equal(status, 201);
+            assert.equal(body.employee_id, 'emp100');
+            assert.equal(headers.etag, '"0"');
+            assert.ok(body.created_at);
+            assert.ok(body.updated_at);
+        });
+
+        it('rejects an invalid employee with 422 and the invalid fields', async () => {
+            const { status, headers, body } = await server.request('POST', '/api/employees', {
+                token,
+                body: employeeData('emp101', { email: 'not-an-email', age: 10 }),
+            });
+            assert.equal(status, 422);
+            assert.match(headers['content-type'], /application\/problem\+json/);
+            assert.ok(body.errors.email);
+            assert.ok(body.errors.age);
+        });
+
+        it('rejects a duplicate employee_id with 409', async () => {
+            const { status } = await server.request('POST', '/api/employees', {
+                token,
+                body: employeeData('emp100', { email: 'other@men-demo.com' }),
+            });
+            assert.equal(status, 409);
+        });
+
+        it('rejects an unknown job title with 422', async () => {
+            const { status, body } = await server.request('POST', '/api/employees', {
+                token,
+                body: employeeData('emp102', { job_title: 'Astronaut' }),
+            });
+            assert.equal(status, 422);
+            assert.ok(body.errors.job_title);
+        });
+
+        it('requires authentication', async () => {
+            const { status, headers } = await server.request('POST', '/api/employees', { body: employeeData('emp103') });
+            assert.equal(status, 401);
+            assert.equal(headers['www-authenticate'], 'Bearer');
+        });
+    });
+
+    describe('GET /api/employees', () => {
+        before(async () => {
+            for (const [id, age] of [['emp110', 25], ['emp111', 45], ['emp112', 60]]) {
+                await server.request('POST', '/api/employees', { token, body: employeeData(id, { age }) });
+            }
+        });
+
+        it('lists the employees with the pagination metadata', async () => {
+            const { status, body } = await server.request('GET', '/api/employees?limit=2', { token });
+            assert.equal(status, 200);
+            assert.equal(body.data.length, 2);
+            assert.equal(body.meta.limit, 2);
+            assert.ok(body.meta.total >= 4);
+        });
+
+        it('filters, sorts and selects the fields', async () => {
+            const { status, body } = await server.request('GET', '/api/employees?age[gte]=45&sort=-age&fields=employee_id,age', { token });
+            assert.equal(status, 200);
+            assert.deepEqual(body.data.map((employee) => employee.employee_id), ['emp112', 'emp111']);
+            assert.equal(body.data[0].name, undefined);
+        });
+
+        it('rejects an unknown filter with 400', async () => {
+            const { status } = await server.request('GET', '/api/employees?salary=100', { token });
+            assert.equal(status, 400);
+        });
+
+        it('answers 304 when the list has not changed since Last-Modified or its ETag', async () => {
+            // "Last-Modified" is only sent when the latest change is in an earlier second
+            await sleep(1000);
+            const first = await server.request('GET', '/api/employees', { token });
+            assert.ok(first.headers['last-modified']);
+            const second = await server.request('GET', '/api/employees', {
+                token,
+                headers: { 'If-Modified-Since': first.headers['last-modified'] },
+            });
+            assert.equal(second.status, 304);
+
+            const third = await server.request('GET', '/api/employees', {
+                token,
+                headers: { 'If-None-Match': first.headers.etag },
+            });
+            assert.equal(third.status, 304);
+        });
+
+        it('changes the ETag of the list after a change in the same second', async () => {
+            const first = await server.request('GET', '/api/employees', { token });
+            await server.request('POST', '/api/employees', { token, body: employeeData('emp199') });
+            const second = await server.request('GET', '/api/employees', {
+                token,
+                headers: { 'If-None-Match': first.headers.etag },
+            });
+            assert.equal(second.status, 200);
+            assert.notEqual(second.headers.etag, first.headers.etag);
+        });
+
+        it('gives every query and version of the list its own ETag', async () => {
+            const first = await server.request('GET', '/api/employees?page=1&limit=1', { token });
+            const etags = new Set([first.headers.etag]);
+            for (const path of ['/api/employees?limit=1&page=2', '/api/employees?limit=1&job_title=HR', '/api/v2/employees?limit=1']) {
+                const { status, headers } = await server.request('GET', path, {
+                    token,
+                    headers: { 'If-None-Match': first.headers.etag },
+                });
+                assert.equal(status, 200);
+                etags.add(headers.etag);
+            }
+            assert.equal(etags.size, 4);
+
+            // The order of the query parameters doesn't matter
+            const reordered = await server.request('GET', '/api/employees?limit=1&page=1', {
+                token,
+                headers: { 'If-None-Match': first.headers.etag },
+            });
+            assert.equal(reordered.status, 304);
+        });
+
+        it('returns only the employees changed since ?updated_since=', async () => {
+            const since = new Date(Date.now() + 60 * 1000).toISOString();
+            const { status, body } = await server.request('GET', `/api/employees?updated_since=${since}`, { token });
+            assert.equal(status, 200);
+            assert.equal(body.data.length, 0);
+
+            const invalid = await server.request('GET', '/api/employees?updated_since=yesterday', { token });
+            assert.equal(invalid.status, 400);
+        });
+    });
+
+    describe('GET /api/employees/:employee_id', () => {
+        it('returns the employee with its ETag', async () => {
+            const { status, headers, body } = await server.request('GET', '/api/employees/emp100', { token });
+            assert.equal(status, 200);
+            assert.equal(body.name, 'Employee emp100');
+            assert.equal(headers.etag, '"0"');
+        });
+
+        it('answers 304 with a matching If-None-Match header', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/emp100', {
+                token,
+                headers: { 'If-None-Match': '"0"' },
+            });
+            assert.equal(status, 304);
+            assert.equal(body, '');
+        });
+
+        it('answers 404 for an unknown employee', async () => {
+            const { status, body } = await server.request('GET', '/api/employees/nobody', { token });
+            assert.equal(status, 404);
+            assert.equal(body.status, 404);
+        });
+    });
+
+    describe('PUT /api/employees/:employee_id', () => {
+        it('replaces the employee and increases its version', async () => {
+            const { status, headers, body } = await server.request('PUT', '/api/employees/emp100', {
+                token,
+                headers: { 'If-Match': '"0"' },
+                body: employeeData('emp100', { name: 'Martin Smith', age: 41 }),
+            });
+            assert.equal(status, 200);
+            assert.equal(body.name, 'Martin Smith');
+            assert.equal(body.age, 41);
+            assert.equal(headers.etag, '"1"');
+        });
+
+        it('answers 412 when the If-Match version is not the current one', async () => {
+            const { status } = await server.request('PUT', '/api/employees/emp100', {
+                token,
+                headers: { 'If-Match': '"0"' },
+                body: employeeData('emp100', { age: 42 }),
+            });
+            assert.equal(status, 412);
+        });
+
+        it('removes the optional fields that are missing', async () => {
+            await server.request('POST', '/api/employees', { token, body: employeeData('emp105', { manager_id: 'emp100' }) });
+            const { name, job_title, age, date_hired } = employeeData('emp105');
+            const { status, body } = await server.request('PUT', '/api/employees/emp105', {
+                token,
+                body: { name, job_title, age, date_hired },
+            });
+            assert.equal(status, 200);
+            assert.equal(body.email, undefined);
+            assert.equal(body.manager_id, undefined);
+
+            const { body: read } = await server.request('GET', '/api/employees/emp105', { token });
+            assert.equal(read.email, undefined);
+            assert.equal(read.manager_id, undefined);
+        });
+
+        it('answers 404 for an unknown employee', async () => {
+            const { status } = await server.request('PUT', '/api/employees/nobody', {
+                token,
+                body: employeeData('nobody'),
+            });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('PATCH /api/employees/:employee_id', () => {
+        it('applies a JSON Merge Patch', async () => {
+            const { status, body } = await server.request('PATCH', '/api/employees/emp100', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { age: 43 },
+            });
+            assert.equal(status, 200);
+            assert.equal(body.age, 43);
+            assert.equal(body.name, 'Martin Smith');
+        });
+
+        it('applies a JSON Patch', async () => {
+            const { status, body } = await server.request('PATCH', '/api/employees/emp100', {
+                token,
+                headers: { 'Content-Type': 'application/json-patch+json' },
+                body: [{ op: 'replace', path: '/job_title', value: 'HR' }],
+            });
+            assert.equal(status, 200);
+            assert.equal(body.job_title, 'HR');
+        });
+
+        it('answers 412 when the If-Match version is not the current one', async () => {
+            const { status } = await server.request('PATCH', '/api/employees/emp100', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json', 'If-Match': '"0"' },
+                body: { age: 44 },
+            });
+            assert.equal(status, 412);
+        });
+
+        it('rejects an invalid value with 422', async () => {
+            const { status } = await server.request('PATCH', '/api/employees/emp100', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { age: 200 },
+            });
+            assert.equal(status, 422);
+        });
+
+        it('rejects a path to the prototype with 400', async () => {
+            const { status } = await server.request('PATCH', '/api/employees/emp100', {
+                token,
+                headers: { 'Content-Type': 'application/json-patch+json' },
+                body: [{ op: 'add', path: '/__proto__/polluted', value: 1 }],
+            });
+            assert.equal(status, 400);
+            assert.equal({}.polluted, undefined);
+        });
+    });
+
+    describe('DELETE /api/employees/:employee_id', () => {
+        it('answers 412 when the If-Match version is not the current one', async () => {
+            const { status } = await server.request('DELETE', '/api/employees/emp110', {
+                token,
+                headers: { 'If-Match': '"5"' },
+            });
+            assert.equal(status, 412);
+        });
+
+        it('deletes the employee (soft delete)', async () => {
+            const { status } = await server.request('DELETE', '/api/employees/emp110', { token });
+            assert.equal(status, 200);
+
+            const { status: readStatus } = await server.request('GET', '/api/employees/emp110', { token });
+            assert.equal(readStatus, 404);
+        });
+
+        it('answers 404 for an unknown employee', async () => {
+            const { status } = await server.request('DELETE', '/api/employees/nobody', { token });
+            assert.equal(status, 404);
+        });
+    });
+});
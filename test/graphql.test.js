@@ -0,0 +1,159 @@
+/*
+Integration tests of the GraphQL API (routes/graphql.js and utils/graphql.js):
+the queries with their related data, the mutations (the same validation and errors as the REST routes),
+and the depth and complexity limits
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, employeeData } from './helpers.js';
+
+describe('GraphQL API', () => {
+    let server;
+    let token;
+    let departmentId;
+
+    // Send a GraphQL request => { status, body }
+    function graphql(query, { variables, token: requestToken = token } = {}) {
+        return server.request('POST', '/graphql', { token: requestToken, body: { query, variables } });
+    }
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+
+        const { body: department } = await server.request('POST', '/api/departments', { token, body: { name: 'Engineering' } });
+        departmentId = department._id;
+
+        await server.request('POST', '/api/employees', { token, body: employeeData('gql001', { department: departmentId }) });
+        await server.request('POST', '/api/employees', { token, body: employeeData('gql002', { manager_id: 'gql001', job_title: 'HR' }) });
+        await server.request('POST', '/api/employees', { token, body: employeeData('gql003', { manager_id: 'gql001', age: 45 }) });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('requires authentication', async () => {
+        const { status } = await server.request('POST', '/graphql', { body: { query: '{ employees { meta { total } } }' } });
+        assert.equal(status, 401);
+    });
+
+    it('returns the selected fields with the related data in one request', async () => {
+        const { status, body } = await graphql(`{
+            employee(employee_id: "gql001") {
+                name
+                department { name }
+                reports { employee_id manager { employee_id } }
+            }
+        }`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.employee, {
+            name: 'Employee gql001',
+            department: { name: 'Engineering' },
+            reports: [
+                { employee_id: 'gql002', manager: { employee_id: 'gql001' } },
+                { employee_id: 'gql003', manager: { employee_id: 'gql001' } },
+            ],
+        });
+    });
+
+    it('filters, sorts and paginates the employees like the list route', async () => {
+        const { body } = await graphql(
+            'query ($min: Float) { employees(filter: { age: { gte: $min } }, sort: "-employee_id", limit: 1, after: "") { data { employee_id } meta { total next_cursor } } }',
+            { variables: { min: 30 } }
+        );
+        assert.deepEqual(body.data.employees.data, [{ employee_id: 'gql003' }]);
+        assert.equal(body.data.employees.meta.total, 3);
+
+        const { body: next } = await graphql(
+            'query ($after: String) { employees(sort: "-employee_id", limit: 1, after: $after) { data { employee_id } } }',
+            { variables: { after: body.data.employees.meta.next_cursor } }
+        );
+        assert.deepEqual(next.data.employees.data, [{ employee_id: 'gql002' }]);
+
+        const { body: hr } = await graphql('{ employees(filter: { job_title: { in: ["HR"] } }) { data { employee_id } } }');
+        assert.deepEqual(hr.data.employees.data, [{ employee_id: 'gql002' }]);
+    });
+
+    it('createEmployee uses the validation of the REST routes (422 with all the invalid fields)', async () => {
+        const { status, body } = await graphql(`mutation {
+            createEmployee(input: { employee_id: "gql004", name: "Al", job_title: "HR", age: 10, date_hired: "2024-01-10" }) { name }
+        }`);
+        assert.equal(status, 200);
+        assert.equal(body.data, null);
+        assert.equal(body.errors[0].extensions.status, 422);
+        assert.equal(body.errors[0].extensions.code, 'UNPROCESSABLE_ENTITY');
+        assert.deepEqual(Object.keys(body.errors[0].extensions.errors).sort(), ['age', 'name']);
+
+        const { body: created } = await graphql(`mutation {
+            createEmployee(input: { employee_id: "gql004", name: "Alice Smith", job_title: "HR", age: 30, date_hired: "2024-01-10" }) {
+                employee_id version
+            }
+        }`);
+        assert.deepEqual(created.data.createEmployee, { employee_id: 'gql004', version: 0 });
+
+        // The same history as the REST routes
+        const { body: history } = await server.request('GET', '/api/employees/gql004/history', { token });
+        assert.equal(history.data[0].action, 'create');
+    });
+
+    it('updateEmployee changes the given fields and checks the version', async () => {
+        const { body } = await graphql(
+            'mutation { updateEmployee(employee_id: "gql004", input: { age: 31, email: null }, version: 0) { age email version } }'
+        );
+        assert.deepEqual(body.data.updateEmployee, { age: 31, email: null, version: 1 });
+
+        const { body: stale } = await graphql('mutation { updateEmployee(employee_id: "gql004", input: { age: 32 }, version: 0) { age } }');
+        assert.equal(stale.errors[0].extensions.status, 412);
+    });
+
+    it('deleteEmployee is for the admins only', async () => {
+        await server.request('POST', '/api/auth/users', { token, body: { username: 'gql-editor', password: 'editor-password', role: 'hr_editor' } });
+        const editorToken = await server.login('gql-editor', 'editor-password');
+
+        const { body: forbidden } = await graphql('mutation { deleteEmployee(employee_id: "gql004") { employee_id } }', { token: editorToken });
+        assert.equal(forbidden.errors[0].extensions.status, 403);
+
+        const { body } = await graphql('mutation { deleteEmployee(employee_id: "gql004") { employee_id deleted_at } }');
+        assert.equal(body.data.deleteEmployee.employee_id, 'gql004');
+        assert.ok(body.data.deleteEmployee.deleted_at);
+
+        const { body: missing } = await graphql('mutation { deleteEmployee(employee_id: "gql004") { employee_id } }');
+        assert.equal(missing.errors[0].extensions.code, 'NOT_FOUND');
+
+        // The deleted employees are not in the list, and "deleted_at" is not a filter
+        const { body: list } = await graphql('{ employees(limit: 100) { data { employee_id } } }');
+        assert.ok(!list.data.employees.data.some((employee) => employee.employee_id === 'gql004'));
+        const { status: trashStatus } = await graphql('{ employees(filter: { deleted_at: { gte: "1970-01-01" } }) { data { employee_id } } }');
+        assert.equal(trashStatus, 400);
+    });
+
+    it('rejects the mutations sent with GET', async () => {
+        const query = encodeURIComponent('mutation { deleteEmployee(employee_id: "gql003") { employee_id } }');
+        const { status, headers } = await server.request('GET', `/graphql?query=${query}`, { token });
+        assert.equal(status, 405);
+        assert.equal(headers.allow, 'POST');
+    });
+
+    it('rejects the queries that are too deep or too complex with 400', async () => {
+        const { status, body } = await graphql(
+            '{ employee(employee_id: "gql002") { manager { manager { manager { manager { manager { manager { name } } } } } } } }'
+        );
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].extensions.code, 'QUERY_TOO_DEEP');
+
+        const { status: complexStatus, body: complexBody } = await graphql(
+            '{ employees(limit: 100) { data { name reports(limit: 100) { name } } } }'
+        );
+        assert.equal(complexStatus, 400);
+        assert.equal(complexBody.errors[0].extensions.code, 'QUERY_TOO_COMPLEX');
+
+        // A negative limit is counted as 1, so it can't lower the cost of the other fields
+        const { status: negativeStatus } = await graphql(
+            '{ e: employees(limit: 100) { data { reports(limit: 100) { name } } } neg: employees(limit: -1000000) { meta { total } } }'
+        );
+        assert.equal(negativeStatus, 400);
+    });
+});
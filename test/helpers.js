@@ -0,0 +1,180 @@
+/*
+Helper functions for the integration tests (test/*.test.js):
+
+- startTestServer() => starts an in-process MongoDB (a one-node replica set, so the transactions work),
+  connects Mongoose to it, prepares the database like server.js does, and starts the app on a random port
+- server.request(method, path, options) => sends a request and returns { status, headers, body }
+- server.login(username, password) => returns an access token
+- server.url => the base URL of the app (like http://127.0.0.1:54321), for the requests that don't fit request()
+- server.databaseUri(name) => the URI of another database of the same MongoDB server
+- startTestApp({ connection }) => starts another app on the same MongoDB server (with its own connection)
+
+The MongoDB server is downloaded by "mongodb-memory-server" the first time (then it's cached),
+and every test file gets its own empty database.
+
+Usage:
+const server = await startTestServer();
+const { status, body } = await server.request('GET', '/api/employees', { token: server.adminToken });
+await server.close();
+
+Link: https://nodejs.org/api/test.html
+Link: https://github.com/typegoose/mongodb-memory-server
+*/
+
+// "http" is used instead of fetch(), since fetch() adds "Cache-Control: no-cache" to the conditional requests
+import http from 'node:http';
+
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// Import the app factory and the models
+import { createApp } from '../app.js';
+import JobTitle from '../models/JobTitle.js';
+import User from '../models/User.js';
+
+// The live stream of the employees is stopped before closing the database (it keeps a change stream open)
+import { stopEmployeeStream } from '../utils/employeeStream.js';
+
+// The preparation of a database that is not the default connection runs with its connection
+import { runWithConnection } from '../utils/database.js';
+
+// The settings of the app (read when the app is created, the values of .env are not used in the tests)
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_IP_READ = '0';
+process.env.RATE_LIMIT_IP_WRITE = '0';
+process.env.RATE_LIMIT_CLIENT_READ = '0';
+process.env.RATE_LIMIT_CLIENT_WRITE = '0';
+
+// The first admin user (created like ADMIN_USERNAME and ADMIN_PASSWORD in server.js)
+export const ADMIN = { username: 'admin', password: 'admin-password' };
+
+// A valid employee (the fields can be changed with "overrides")
+export function employeeData(employee_id, overrides = {}) {
+    return {
+        employee_id,
+        name: `Employee ${employee_id}`,
+        email: `${employee_id}@men-demo.com`,
+        job_title: 'Software Developer',
+        age: 30,
+        date_hired: '2022-01-10',
+        ...overrides,
+    };
+}
+
+/*
+Send a request to the app:
+- token => the access token (Authorization: Bearer ...)
+- body => sent as JSON (or as it is if it's a string, with the "Content-Type" of the headers)
+- headers => the other request headers
+The body of the response is parsed when it's JSON
+*/
+function sendRequest(baseUrl, method, path, { token, body, headers = {} } = {}) {
+    const requestHeaders = { ...headers };
+    if (token) {
+        requestHeaders.Authorization = `Bearer ${token}`;
+    }
+    let payload;
+    if (body !== undefined) {
+        payload = typeof body === 'string' ? body : JSON.stringify(body);
+        requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+        requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}${path}`, { method, headers: requestHeaders }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                const isJson = /json/.test(res.headers['content-type'] || '') && text.length > 0;
+                resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(text) : text });
+            });
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+/*
+Start an app on a database that is already running (options => the options of createApp())
+The app is closed by server.close(), its connection is closed by the caller
+*/
+export async function startTestApp(options = {}) {
+    const app = createApp(options);
+
+    /*
+    The same preparation as server.js, with the indexes of all the models
+    (the unique indexes must exist before the duplicate tests, and the text index is needed by the search route)
+    */
+    const connection = options.connection || mongoose.connection;
+    await runWithConnection(connection, async () => {
+        await connection.syncIndexes();
+        await JobTitle.ensureDefaults();
+        await User.ensureAdmin(ADMIN.username, ADMIN.password);
+    });
+
+    const httpServer = app.listen(0);
+    await new Promise((resolve) => httpServer.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    const server = {
+        app,
+        url: baseUrl,
+        request: (method, path, requestOptions) => sendRequest(baseUrl, method, path, requestOptions),
+        async login(username, password) {
+            const { status, body } = await server.request('POST', `${options.mountPath || ''}/api/auth/login`, {
+                body: { username, password },
+            });
+            if (status !== 200) {
+                throw new Error(`Login failed for ${username} (${status})`);
+            }
+            return body.access_token;
+        },
+        async close() {
+            httpServer.closeAllConnections();
+            await new Promise((resolve) => httpServer.close(resolve));
+        },
+    };
+    server.adminToken = await server.login(ADMIN.username, ADMIN.password);
+    return server;
+}
+
+/*
+Start the in-memory MongoDB server (a replica set of one member, the transactions and the change streams need one)
+NOTE:
+The first run downloads the "mongod" binary (from fastdl.mongodb.org, like "getaddrinfo ENOTFOUND fastdl.mongodb.org"
+without the internet), so the error says how to use a local binary or a mirror instead (please review README.md)
+Link: https://typegoose.github.io/mongodb-memory-server/docs/api/config-options
+*/
+async function startMongod() {
+    try {
+        return await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    } catch (err) {
+        throw new Error(
+            `The in-memory MongoDB server could not be started (${err.message}). ` +
+            'The tests need a "mongod" binary: set MONGOMS_SYSTEM_BINARY to the path of an installed mongod, ' +
+            'or MONGOMS_DOWNLOAD_URL to a mirror of the MongoDB download (please review the "Running the tests" part of README.md)',
+            { cause: err }
+        );
+    }
+}
+
+// Start MongoDB and the app (options => the options of createApp())
+export async function startTestServer(options = {}) {
+    const mongod = await startMongod();
+    await mongoose.connect(mongod.getUri('men-crud-test'));
+
+    const server = await startTestApp(options);
+    server.databaseUri = (name) => mongod.getUri(name);
+
+    const closeApp = server.close;
+    server.close = async () => {
+        await stopEmployeeStream();
+        await closeApp();
+        await mongoose.disconnect();
+        await mongod.stop();
+    };
+    return server;
+}
@@ -0,0 +1,107 @@
+/*
+Integration tests of the job title routes:
+routes/createJobTitle.js, routes/readJobTitle.js, routes/updateJobTitle.js, routes/deleteJobTitle.js
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServer, employeeData } from './helpers.js';
+
+describe('Job titles', () => {
+    let server;
+    let token;
+    let dataAnalyst;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('GET /api/job-titles lists the default job titles (sorted by name)', async () => {
+        const { status, body } = await server.request('GET', '/api/job-titles', { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map((jobTitle) => jobTitle.name), ['Graphic Designer', 'HR', 'Product Manager', 'Software Developer']);
+    });
+
+    it('POST /api/job-titles creates a job title', async () => {
+        const { status, body } = await server.request('POST', '/api/job-titles', { token, body: { name: 'Data Analyst' } });
+        assert.equal(status, 201);
+        assert.equal(body.name, 'Data Analyst');
+        assert.equal(body.retired, false);
+        dataAnalyst = body;
+    });
+
+    it('POST /api/job-titles rejects an invalid or a duplicate job title', async () => {
+        const invalid = await server.request('POST', '/api/job-titles', { token, body: { name: 'D' } });
+        assert.equal(invalid.status, 422);
+
+        const duplicate = await server.request('POST', '/api/job-titles', { token, body: { name: 'Data Analyst' } });
+        assert.equal(duplicate.status, 409);
+    });
+
+    it('GET /api/job-titles/:id returns a job title', async () => {
+        const { status, body } = await server.request('GET', `/api/job-titles/${dataAnalyst._id}`, { token });
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Data Analyst');
+
+        const unknown = await server.request('GET', '/api/job-titles/000000000000000000000000', { token });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('PUT /api/job-titles/:id renames the job title of the employees too', async () => {
+        await server.request('POST', '/api/employees', { token, body: employeeData('job001', { job_title: 'Data Analyst' }) });
+
+        const { status, body } = await server.request('PUT', `/api/job-titles/${dataAnalyst._id}`, {
+            token,
+            body: { name: 'Data Scientist' },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.renamed_employees, 1);
+
+        const { body: employee } = await server.request('GET', '/api/employees/job001', { token });
+        assert.equal(employee.job_title, 'Data Scientist');
+    });
+
+    it('PUT /api/job-titles/:id records the rename in the history of the employees', async () => {
+        const { status, body } = await server.request('GET', '/api/employees/job001/history', { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map((entry) => entry.action), ['update', 'create']);
+        assert.deepEqual(body.data[0].changes, [{ field: 'job_title', before: 'Data Analyst', after: 'Data Scientist' }]);
+    });
+
+    it('a retired job title can not be given to a new employee', async () => {
+        const { status } = await server.request('PUT', `/api/job-titles/${dataAnalyst._id}`, {
+            token,
+            body: { name: 'Data Scientist', retired: true },
+        });
+        assert.equal(status, 200);
+
+        const { status: createStatus, body } = await server.request('POST', '/api/employees', {
+            token,
+            body: employeeData('job002', { job_title: 'Data Scientist' }),
+        });
+        assert.equal(createStatus, 422);
+        assert.ok(body.errors.job_title);
+    });
+
+    it('DELETE /api/job-titles/:id refuses to delete a job title in use (409)', async () => {
+        const { status, body } = await server.request('DELETE', `/api/job-titles/${dataAnalyst._id}`, { token });
+        assert.equal(status, 409);
+        assert.equal(body.employees, 1);
+    });
+
+    it('DELETE /api/job-titles/:id deletes an unused job title', async () => {
+        const { body: created } = await server.request('POST', '/api/job-titles', { token, body: { name: 'Intern' } });
+
+        const { status } = await server.request('DELETE', `/api/job-titles/${created._id}`, { token });
+        assert.equal(status, 200);
+
+        const { status: readStatus } = await server.request('GET', `/api/job-titles/${created._id}`, { token });
+        assert.equal(readStatus, 404);
+    });
+});
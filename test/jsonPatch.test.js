@@ -0,0 +1,50 @@
+/*
+Unit tests of the patch helpers (utils/jsonPatch.js), without the database:
+the pointers and the keys must never reach the prototype of an object ("prototype pollution")
+*/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyJsonPatch, applyMergePatch } from '../utils/jsonPatch.js';
+
+describe('JSON Patch and JSON Merge Patch', () => {
+    it('applies the operations to a copy of the document', () => {
+        const target = { name: 'Martin', address: { city: 'Paris' } };
+        const result = applyJsonPatch(target, [
+            { op: 'add', path: '/address/zip', value: '75001' },
+            { op: 'remove', path: '/address/city' },
+        ]);
+        assert.deepEqual(result, { name: 'Martin', address: { zip: '75001' } });
+        assert.deepEqual(target, { name: 'Martin', address: { city: 'Paris' } });
+    });
+
+    it('rejects the paths to the prototype with 400', () => {
+        for (const path of ['/__proto__/polluted', '/constructor/prototype/polluted', '/address/__proto__']) {
+            assert.throws(
+                () => applyJsonPatch({ address: {} }, [{ op: 'add', path, value: 1 }]),
+                (error) => error.status === 400
+            );
+        }
+        assert.equal({}.polluted, undefined);
+    });
+
+    it('only reads the own fields of the document', () => {
+        assert.throws(
+            () => applyJsonPatch({}, [{ op: 'test', path: '/toString', value: null }]),
+            (error) => error.status === 400
+        );
+        assert.throws(
+            () => applyJsonPatch({}, [{ op: 'remove', path: '/hasOwnProperty' }]),
+            (error) => error.status === 400
+        );
+    });
+
+    it('rejects a merge patch with a "__proto__" key with 400', () => {
+        assert.throws(
+            () => applyMergePatch({}, JSON.parse('{ "__proto__": { "polluted": 1 } }')),
+            (error) => error.status === 400
+        );
+        assert.equal({}.polluted, undefined);
+    });
+});
@@ -0,0 +1,200 @@
+/*
+Integration tests of the live changes of the employees (Server-Sent Events):
+routes/streamEmployees.js and utils/employeeStream.js, with MongoDB change streams (the test database is a replica set),
+then with the events of the routes (EMPLOYEE_STREAM_SOURCE=local)
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { startTestServer, employeeData } from './helpers.js';
+import { stopEmployeeStream } from '../utils/employeeStream.js';
+
+/*
+Open an event stream and collect its events: { status, events, waitFor(count), close() }
+(the events are parsed from the "text/event-stream" format: id, event and data lines, separated by a blank line)
+*/
+function openStream(server, path, { token, lastEventId } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`${server.url}${path}`, {
+            headers: {
+                Accept: 'text/event-stream',
+                Authorization: `Bearer ${token}`,
+                ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+            },
+        });
+        req.on('error', reject);
+        req.on('response', (res) => {
+            const stream = {
+                status: res.statusCode,
+                headers: res.headers,
+                events: [],
+                async waitFor(count, timeoutMs = 5000) {
+                    const end = Date.now() + timeoutMs;
+                    while (stream.events.length < count && Date.now() < end) {
+                        await sleep(20);
+                    }
+                    assert.ok(stream.events.length >= count, `Expected ${count} events, received ${stream.events.length}`);
+                    return stream.events;
+                },
+                close: () => req.destroy(),
+            };
+
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = {};
+                    for (const line of block.split('\n')) {
+                        const [, field, value] = line.match(/^(\w+): ?(.*)$/) || [];
+                        if (field) {
+                            event[field] = value;
+                        }
+                    }
+                    if (event.event) {
+                        stream.events.push({ ...event, data: JSON.parse(event.data) });
+                    }
+                }
+            });
+            resolve(stream);
+        });
+    });
+}
+
+describe('Employee stream', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startTestServer();
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('rejects an unknown filter or an invalid value with 400', async () => {
+        const { status: unknownStatus } = await server.request('GET', '/api/employees/stream?salary=10', { token });
+        assert.equal(unknownStatus, 400);
+
+        const { status: castStatus } = await server.request('GET', '/api/employees/stream?age[gte]=abc', { token });
+        assert.equal(castStatus, 400);
+    });
+
+    describe('with change streams', () => {
+        let firstEventId;
+
+        it('sends the created, updated and deleted employees that match the filters', async () => {
+            const stream = await openStream(server, '/api/employees/stream?job_title=HR', { token });
+            assert.equal(stream.status, 200);
+            assert.match(stream.headers['content-type'], /^text\/event-stream/);
+
+            await server.request('POST', '/api/employees', { token, body: employeeData('live001', { job_title: 'HR' }) });
+            await server.request('POST', '/api/employees', { token, body: employeeData('live002', { job_title: 'Software Developer' }) });
+            await server.request('PATCH', '/api/employees/live001', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { age: 31 },
+            });
+            await server.request('DELETE', '/api/employees/live001', { token });
+
+            const events = await stream.waitFor(3);
+            stream.close();
+
+            assert.deepEqual(events.map((event) => event.event), ['employee.created', 'employee.updated', 'employee.deleted']);
+            assert.ok(events.every((event) => event.data.employee.employee_id === 'live001'));
+            assert.equal(events[1].data.employee.age, 31);
+            assert.ok(events[2].data.employee.deleted_at);
+            firstEventId = events[0].id;
+        });
+
+        it('sends the missed events after "Last-Event-ID"', async () => {
+            const stream = await openStream(server, '/api/employees/stream?job_title=HR', { token, lastEventId: firstEventId });
+            const events = await stream.waitFor(2);
+            stream.close();
+
+            assert.deepEqual(events.map((event) => event.event), ['employee.updated', 'employee.deleted']);
+        });
+
+        it('sends a "reset" event when the last event can\'t be found', async () => {
+            const stream = await openStream(server, '/api/employees/stream', { token, lastEventId: 'unknown' });
+            const [event] = await stream.waitFor(1);
+            stream.close();
+
+            assert.equal(event.event, 'reset');
+        });
+    });
+
+    describe('with the events of the routes', () => {
+        before(async () => {
+            await stopEmployeeStream();
+            process.env.EMPLOYEE_STREAM_SOURCE = 'local';
+        });
+
+        after(() => {
+            delete process.env.EMPLOYEE_STREAM_SOURCE;
+        });
+
+        it('sends the events emitted by the routes', async () => {
+            const stream = await openStream(server, '/api/employees/stream?age[gte]=30', { token });
+
+            await server.request('POST', '/api/employees', { token, body: employeeData('live003', { age: 45 }) });
+            await server.request('POST', '/api/employees', { token, body: employeeData('live004', { age: 25 }) });
+
+            const [event] = await stream.waitFor(1);
+            await sleep(100);
+            stream.close();
+
+            assert.equal(stream.events.length, 1);
+            assert.equal(event.event, 'employee.created');
+            assert.equal(event.data.employee.employee_id, 'live003');
+
+            // The missed events are found in the buffer of this process
+            await server.request('DELETE', '/api/employees/live003', { token });
+            const resumed = await openStream(server, '/api/employees/stream', { token, lastEventId: event.id });
+            const events = await resumed.waitFor(2);
+            resumed.close();
+            assert.deepEqual(events.map((item) => item.event), ['employee.created', 'employee.deleted']);
+            assert.equal(events[0].data.employee.employee_id, 'live004');
+        });
+
+        it('sends "employee.left" when an updated employee stops matching the filters', async () => {
+            const stream = await openStream(server, '/api/employees/stream?job_title=HR', { token });
+
+            await server.request('POST', '/api/employees', { token, body: employeeData('live005', { job_title: 'HR' }) });
+            // A change of another field of a non-matching employee is not sent
+            await server.request('PATCH', '/api/employees/live004', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { age: 26 },
+            });
+            await server.request('PATCH', '/api/employees/live005', {
+                token,
+                headers: { 'Content-Type': 'application/merge-patch+json' },
+                body: { job_title: 'Software Developer' },
+            });
+
+            const events = await stream.waitFor(2);
+            await sleep(100);
+            stream.close();
+
+            assert.deepEqual(stream.events.map((event) => event.event), ['employee.created', 'employee.left']);
+            assert.equal(events[1].data.employee.employee_id, 'live005');
+        });
+
+        it('sends a "reset" event for an unknown "Last-Event-ID"', async () => {
+            const stream = await openStream(server, '/api/employees/stream', { token, lastEventId: 'abc-1' });
+            const [event] = await stream.waitFor(1);
+            stream.close();
+
+            assert.equal(event.event, 'reset');
+        });
+    });
+});
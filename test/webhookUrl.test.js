@@ -0,0 +1,46 @@
+/*
+Unit tests of the check of the webhook URLs (utils/webhookUrl.js), without the database:
+the deliveries must never be sent to our own network ("server-side request forgery")
+*/
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkWebhookUrl } from '../utils/webhookUrl.js';
+
+describe('Webhook URLs', () => {
+    afterEach(() => {
+        delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    });
+
+    it('refuses the private and reserved addresses', async () => {
+        for (const url of [
+            'http://127.0.0.1:27017/',
+            'http://10.1.2.3/hooks',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://100.64.0.1/',
+            'http://0.0.0.0/',
+            'http://[::1]/',
+            'http://[fd00::1]/',
+            'http://[fe80::1]/',
+            'http://[::ffff:192.168.1.1]/',
+        ]) {
+            assert.match(await checkWebhookUrl(url), /private or reserved address/, url);
+        }
+    });
+
+    it('accepts the public addresses', async () => {
+        assert.equal(await checkWebhookUrl('https://8.8.8.8/hooks'), null);
+        assert.equal(await checkWebhookUrl('https://[2606:4700:4700::1111]/hooks'), null);
+    });
+
+    it('accepts the hosts of WEBHOOK_ALLOWED_HOSTS', async () => {
+        process.env.WEBHOOK_ALLOWED_HOSTS = 'payroll.internal, 10.1.2.3';
+        assert.equal(await checkWebhookUrl('http://10.1.2.3/hooks'), null);
+        assert.match(await checkWebhookUrl('http://10.1.2.4/hooks'), /private or reserved address/);
+    });
+
+    it('refuses a host that can\'t be resolved', async () => {
+        assert.match(await checkWebhookUrl('https://unknown.invalid/hooks'), /can't be resolved/);
+    });
+});
@@ -0,0 +1,214 @@
+/*
+Integration tests of the webhooks:
+routes/webhooks.js (the subscriptions and the delivery log) and utils/webhooks.js (the signed deliveries and the retries)
+A small HTTP server plays the receiver (like the payroll system)
+*/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { startTestServer, employeeData } from './helpers.js';
+import { processDueDeliveries } from '../utils/webhooks.js';
+
+// Two attempts, with a short delay, so a delivery reaches the dead-letter list quickly
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10';
+process.env.WEBHOOK_RETRY_MAX_DELAY_MS = '20';
+
+// The receiver runs on this machine (a private address, refused without the allowlist, please review utils/webhookUrl.js)
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+// Wait until check() returns a value (the deliveries are sent in the background)
+async function waitFor(check, timeoutMs = 5000) {
+    const end = Date.now() + timeoutMs;
+    while (Date.now() < end) {
+        const value = await check();
+        if (value) {
+            return value;
+        }
+        await sleep(50);
+    }
+    throw new Error('Timeout');
+}
+
+describe('Webhooks', () => {
+    let server;
+    let token;
+    let receiver;
+    let receiverUrl;
+    // The requests received by the receiver, and the status code it answers with
+    const received = [];
+    let receiverStatus = 204;
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => {
+                received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+                res.writeHead(receiverStatus).end();
+            });
+        });
+        await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+        server = await startTestServer();
+        token = server.adminToken;
+    });
+
+    after(async () => {
+        // The receiver first (it would keep the test process running if the app failed to start)
+        receiver.close();
+        await server.close();
+    });
+
+    let webhook;
+
+    it('POST /api/webhooks creates a subscription and returns its secret once', async () => {
+        const { status, body } = await server.request('POST', '/api/webhooks', {
+            token,
+            body: { url: receiverUrl, events: ['employee.created', 'employee.updated'] },
+        });
+        assert.equal(status, 201);
+        assert.match(body.secret, /^whsec_/);
+        assert.equal(body.active, true);
+        webhook = body;
+
+        const { body: read } = await server.request('GET', `/api/webhooks/${webhook._id}`, { token });
+        assert.equal(read.secret, undefined);
+    });
+
+    it('POST /api/webhooks rejects an invalid URL or event with 422', async () => {
+        const { status, body } = await server.request('POST', '/api/webhooks', {
+            token,
+            body: { url: 'ftp://example.com', events: ['employee.fired'] },
+        });
+        assert.equal(status, 422);
+        assert.ok(body.errors.url);
+    });
+
+    it('POST /api/webhooks refuses the URLs of a private or reserved address with 422', async () => {
+        for (const url of ['http://10.0.0.1/hooks', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]:8080/hooks']) {
+            const { status, body } = await server.request('POST', '/api/webhooks', { token, body: { url } });
+            assert.equal(status, 422);
+            assert.match(body.errors.url, /private or reserved address/);
+        }
+    });
+
+    it('GET /api/webhooks can\'t filter or sort by the secret', async () => {
+        const { status } = await server.request('GET', '/api/webhooks?secret[gte]=whsec_M', { token });
+        assert.equal(status, 400);
+
+        const { status: sortStatus } = await server.request('GET', '/api/webhooks?sort=secret', { token });
+        assert.equal(sortStatus, 400);
+    });
+
+    it('the webhook routes are for the admins only', async () => {
+        await server.request('POST', '/api/auth/users', { token, body: { username: 'editor', password: 'editor-password', role: 'hr_editor' } });
+        const editorToken = await server.login('editor', 'editor-password');
+
+        const { status } = await server.request('GET', '/api/webhooks', { token: editorToken });
+        assert.equal(status, 403);
+    });
+
+    it('sends a signed "employee.created" delivery', async () => {
+        await server.request('POST', '/api/employees', { token, body: employeeData('hook001') });
+
+        const delivery = await waitFor(() => received.find((request) => request.headers['x-webhook-event'] === 'employee.created'));
+        const payload = JSON.parse(delivery.body);
+        assert.equal(payload.type, 'employee.created');
+        assert.equal(payload.data.employee.employee_id, 'hook001');
+
+        // The receiver checks the signature with the secret
+        const [, timestamp, signature] = delivery.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        const expected = createHmac('sha256', webhook.secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+        assert.equal(signature, expected);
+    });
+
+    it('sends the changes with "employee.updated" and follows the event filter', async () => {
+        await server.request('PATCH', '/api/employees/hook001', {
+            token,
+            headers: { 'Content-Type': 'application/merge-patch+json' },
+            body: { age: 31 },
+        });
+        const delivery = await waitFor(() => received.find((request) => request.headers['x-webhook-event'] === 'employee.updated'));
+        assert.deepEqual(JSON.parse(delivery.body).data.changes, [{ field: 'age', before: 30, after: 31 }]);
+
+        // "employee.deleted" is not in the events of the subscription
+        await server.request('DELETE', '/api/employees/hook001', { token });
+        await sleep(200);
+        assert.equal(received.some((request) => request.headers['x-webhook-event'] === 'employee.deleted'), false);
+    });
+
+    it('GET /api/webhooks/:id/deliveries returns the delivery log', async () => {
+        const { status, body } = await server.request('GET', `/api/webhooks/${webhook._id}/deliveries`, { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map((delivery) => delivery.event), ['employee.updated', 'employee.created']);
+        assert.ok(body.data.every((delivery) => delivery.status === 'succeeded' && delivery.attempts === 1));
+    });
+
+    it('retries the failed deliveries, then moves them to the dead-letter list', async () => {
+        receiverStatus = 500;
+        await server.request('POST', '/api/employees', { token, body: employeeData('hook002') });
+
+        const failed = await waitFor(async () => {
+            const { body } = await server.request('GET', `/api/webhooks/${webhook._id}/deliveries?status=failed`, { token });
+            return body.data[0];
+        });
+        assert.equal(failed.attempts, 1);
+        assert.equal(failed.response_status, 500);
+
+        // The second attempt (sent by the delivery job in the app) fails too => dead
+        await sleep(50);
+        await processDueDeliveries();
+        const { body: deadLetters } = await server.request('GET', '/api/webhooks/dead-letters', { token });
+        assert.equal(deadLetters.data.length, 1);
+        assert.equal(deadLetters.data[0].attempts, 2);
+        assert.equal(deadLetters.data[0].attempt_log.length, 2);
+    });
+
+    it('POST /api/webhooks/deliveries/:delivery_id/retry sends a dead delivery again', async () => {
+        receiverStatus = 204;
+        const { body: deadLetters } = await server.request('GET', '/api/webhooks/dead-letters', { token });
+        const deliveryId = deadLetters.data[0]._id;
+
+        const { status } = await server.request('POST', `/api/webhooks/deliveries/${deliveryId}/retry`, { token });
+        assert.equal(status, 202);
+
+        const delivery = await waitFor(async () => {
+            const { body } = await server.request('GET', `/api/webhooks/deliveries/${deliveryId}`, { token });
+            return body.status === 'succeeded' && body;
+        });
+        assert.equal(delivery.attempt_log.length, 3);
+
+        const { status: retryStatus } = await server.request('POST', `/api/webhooks/deliveries/${deliveryId}/retry`, { token });
+        assert.equal(retryStatus, 409);
+    });
+
+    it('checks the URL again before sending a delivery', async () => {
+        const receivedCount = received.length;
+        delete process.env.WEBHOOK_ALLOWED_HOSTS;
+        try {
+            await server.request('POST', '/api/employees', { token, body: employeeData('hook003') });
+            const failed = await waitFor(async () => {
+                const { body } = await server.request('GET', `/api/webhooks/${webhook._id}/deliveries?status=failed`, { token });
+                return body.data[0];
+            });
+            assert.match(failed.last_error, /private or reserved address/);
+            assert.equal(received.length, receivedCount);
+        } finally {
+            process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+        }
+    });
+
+    it('DELETE /api/webhooks/:id deletes the subscription and its delivery log', async () => {
+        const { status } = await server.request('DELETE', `/api/webhooks/${webhook._id}`, { token });
+        assert.equal(status, 200);
+
+        const { status: readStatus } = await server.request('GET', `/api/webhooks/${webhook._id}/deliveries`, { token });
+        assert.equal(readStatus, 404);
+    });
+});
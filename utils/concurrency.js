@@ -0,0 +1,115 @@
+/*
+Helper functions for the "optimistic concurrency control" of the employees (ETag / If-Match):
+
+1. Every response with an employee carries its version in the "ETag" header => ETag: "3"
+   (the version is the "__v" field, it's increased by every change)
+2. The client sends the version it has read back with the change => If-Match: "3"
+3. If the employee was changed in the meantime (by another HR person), the versions don't match anymore,
+   and the change is refused with 412 (Precondition Failed) instead of silently overwriting the other change.
+   The client should read the employee again (GET) and retry.
+
+Requiring the header:
+With REQUIRE_IF_MATCH=true in the .env file, PUT, PATCH and DELETE without "If-Match" are refused
+with 428 (Precondition Required)
+
+Conditional reads (HTTP caching):
+The same headers let the clients skip downloading data they already have.
+The GET routes also send "Last-Modified", and the client sends back what it has => If-None-Match: "3"
+or If-Modified-Since: <date>. If nothing has changed, the answer is 304 (Not Modified) without a body.
+
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/ETag
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/If-Match
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Conditional_requests
+Link: https://www.rfc-editor.org/rfc/rfc6585#section-3
+*/
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from './httpError.js';
+
+// The ETag of a document, based on its version => "3"
+export function getETag(doc) {
+    return `"${doc.__v ?? 0}"`;
+}
+
+// Add the "ETag" header to the response
+export function setETag(res, doc) {
+    res.set('ETag', getETag(doc));
+}
+
+/*
+Add the "Last-Modified" header to the response (when the date is known)
+NOTE:
+The HTTP dates only have seconds => Tue, 05 Mar 2024 10:15:00 GMT,
+so two changes in the same second have the same "Last-Modified" (the ETag is more precise)
+*/
+export function setLastModified(res, date) {
+    if (date) {
+        res.set('Last-Modified', new Date(date).toUTCString());
+    }
+}
+
+/*
+The headers of a GET response that can be cached:
+"private" => only by the client itself (the data needs a login), "no-cache" => always ask the server first
+(with If-None-Match / If-Modified-Since, the answer is a short 304 when nothing has changed)
+Link: https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Cache-Control
+*/
+export function setCacheHeaders(res, { doc, lastModified } = {}) {
+    res.set('Cache-Control', 'private, no-cache');
+    if (doc) {
+        setETag(res, doc);
+    }
+    setLastModified(res, lastModified);
+}
+
+// The error when the document was changed by another request
+export function preconditionFailed(name) {
+    return new HttpError(412, `${name} has been changed by another request, please read it again and retry`);
+}
+
+/*
+Check the "If-Match" header of the request against the current document:
+- If-Match: "3" (or a list: "2", "3") => one of the values must be the current ETag
+- If-Match: * => any version (the document only has to exist)
+- no header => allowed, unless REQUIRE_IF_MATCH=true
+
+NOTE:
+This check alone is not enough (another request could change the document right after it),
+so the routes also add the version to the filter of the update => { employee_id, __v: version }
+*/
+export function checkIfMatch(req, doc, name) {
+    const header = req.get('If-Match');
+
+    if (header === undefined) {
+        if (process.env.REQUIRE_IF_MATCH === 'true') {
+            throw new HttpError(428, 'The If-Match header is required, please send the ETag of the last read');
+        }
+        return;
+    }
+
+    if (header.trim() === '*') {
+        return;
+    }
+
+    // Weak ETags (W/"3") never match an If-Match header (strong comparison)
+    const etags = header.split(',').map((value) => value.trim());
+    if (!etags.includes(getETag(doc))) {
+        throw preconditionFailed(name);
+    }
+}
+
+/*
+The same check without HTTP headers (like the "version" argument of the GraphQL mutations):
+- version => the "__v" of the last read (undefined or null => not checked, unless REQUIRE_IF_MATCH=true)
+*/
+export function checkVersion(version, doc, name) {
+    if (version === undefined || version === null) {
+        if (process.env.REQUIRE_IF_MATCH === 'true') {
+            throw new HttpError(428, 'The version is required, please send the version of the last read');
+        }
+        return;
+    }
+    if (version !== (doc.__v ?? 0)) {
+        throw preconditionFailed(name);
+    }
+}
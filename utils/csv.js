@@ -0,0 +1,99 @@
+/*
+Helper functions for reading and writing CSV (Comma-Separated Values) text.
+
+CSV format rules (RFC 4180) that we support:
+- Every line is a record, and the values are separated by commas
+- A value can be wrapped with double quotes "..." (needed when it contains a comma, a quote, or a new line)
+- A double quote inside a quoted value is written twice: "Martin ""The Boss"" Smith"
+- Lines can end with \n or \r\n
+
+Link: https://www.rfc-editor.org/rfc/rfc4180
+*/
+
+// Import the custom error class (an invalid file is an error of the client => 400)
+import HttpError from './httpError.js';
+
+/*
+Parse CSV text into an array of rows (every row is an array of strings):
+'a,b\n1,"x,y"' => [['a', 'b'], ['1', 'x,y']]
+*/
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    // Remove the "BOM" character that some programs (like Excel) add at the beginning of the file
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                // Escaped quote ("")
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat "\r\n" as a single line break
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new HttpError(400, 'Invalid CSV: a quoted value is not closed');
+    }
+
+    // The last line may not end with a line break
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // Skip the empty lines
+    return rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+}
+
+/*
+Convert a list of values into one CSV line (ending with \r\n as RFC 4180 says):
+['Martin Smith', 'x,y', 50] => 'Martin Smith,"x,y",50\r\n'
+
+NOTE:
+Spreadsheet programs (like Excel) run a cell as a "formula" when it starts with =, +, - or @
+So we add a single quote before these values to keep them as plain text ("CSV Injection")
+Link: https://owasp.org/www-community/attacks/CSV_Injection
+*/
+export function toCsvLine(values) {
+    return values.map((value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        // Wrap the value with quotes if it contains a comma, a quote, or a new line
+        if (/[",\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }).join(',') + '\r\n';
+}
@@ -0,0 +1,204 @@
+/*
+Helper functions for the MongoDB connection:
+
+- connectWithRetry() => connect to MongoDB, and try again (with a growing delay) when it fails,
+  instead of stopping the app the first time (the database may still be starting, or the network is down for a moment)
+- getDatabaseHealth() => is the database usable right now? (used by the readiness probe => /health/ready)
+- defineModel(), useConnection(), runWithConnection() => the models follow the connection of the app
+  (please review "The connection of the app" below)
+
+Exponential backoff:
+The delay between the attempts doubles every time (1s, 2s, 4s, 8s, ... up to 30s),
+with a bit of randomness ("jitter"), so many instances of the API don't retry all at the same time.
+
+Environment variables (.env):
+- DB_CONNECT_RETRIES => the number of attempts before giving up (default: 0 => never give up)
+- DB_RETRY_DELAY_MS => the delay after the first failed attempt (default: 1000)
+- DB_RETRY_MAX_DELAY_MS => the longest delay between two attempts (default: 30000)
+
+NOTE:
+Every attempt can take up to "serverSelectionTimeoutMS" (30 seconds by default) before it fails,
+for example when the database server doesn't answer at all
+
+Link: https://mongoosejs.com/docs/connections.html#error-handling
+Link: https://en.wikipedia.org/wiki/Exponential_backoff
+*/
+
+// Import mongoose for the connection
+import mongoose from 'mongoose';
+
+// AsyncLocalStorage keeps a value for everything that runs for a request (callbacks, promises, timers)
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Import the logger of the application
+import logger from './logger.js';
+
+// The readyState values of a Mongoose connection
+// Link: https://mongoosejs.com/docs/api/connection.html#Connection.prototype.readyState
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// How long the readiness probe waits for the "ping" command
+const PING_TIMEOUT_MS = 2000;
+
+// Read a whole number (0 or more) from an environment variable
+function readNumber(name, defaultValue) {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : defaultValue;
+}
+
+// The delay before the next attempt: initial * 2^(attempt - 1), up to "max", then between 50% and 100% of it
+export function getRetryDelay(attempt, { initialDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+    const delay = Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/*
+Connect to MongoDB, with retries:
+- uri, options => the same as mongoose.connect()
+- shouldStop() => returns true to stop retrying (like when the app is shutting down)
+Returns true when connected, false when stopped, and throws the last error when all the attempts failed
+*/
+export async function connectWithRetry(uri, options = {}, { shouldStop = () => false } = {}) {
+    const retries = readNumber('DB_CONNECT_RETRIES', 0);
+    const backoff = {
+        initialDelayMs: readNumber('DB_RETRY_DELAY_MS', 1000),
+        maxDelayMs: readNumber('DB_RETRY_MAX_DELAY_MS', 30000),
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await mongoose.connect(uri, options);
+            return true;
+        } catch (error) {
+            if (retries > 0 && attempt >= retries) {
+                throw error;
+            }
+            const delay = getRetryDelay(attempt, backoff);
+            logger.warn('MongoDB connection failed, retrying', { attempt, retry_in_ms: delay, error: error.message });
+            await sleep(delay);
+            if (shouldStop()) {
+                return false;
+            }
+        }
+    }
+}
+
+/*
+Log the changes of the connection after the first connection
+(the MongoDB driver reconnects by itself when the connection is lost)
+*/
+export function logConnectionEvents(connection = mongoose.connection) {
+    connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+    connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+    connection.on('error', (error) => logger.error('MongoDB connection error', { error }));
+}
+
+/*
+The health of the database:
+{ status: 'up', state: 'connected', latency_ms: 3 } or { status: 'down', state: 'disconnected', error: '...' }
+The "ping" command checks that the database really answers (the state alone can be "connected" during a network problem)
+Link: https://www.mongodb.com/docs/manual/reference/command/ping/
+*/
+export async function getDatabaseHealth(connection = mongoose.connection) {
+    const state = CONNECTION_STATES[connection.readyState] || 'unknown';
+    if (connection.readyState !== 1) {
+        return { status: 'down', state };
+    }
+
+    const start = process.hrtime.bigint();
+    let timer;
+    try {
+        await Promise.race([
+            connection.db.admin().ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No answer to the ping after ${PING_TIMEOUT_MS} ms`)), PING_TIMEOUT_MS);
+            }),
+        ]);
+        const latency_ms = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+        return { status: 'up', state, latency_ms };
+    } catch (error) {
+        return { status: 'down', state, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/*
+The connection of the app:
+*************************
+An app can be created with its own Mongoose connection (like a gateway that gives it another database,
+please review createApp() in app.js), but the models are imported everywhere as one object (import Employee from ...).
+
+So the models are defined with defineModel() instead of mongoose.model():
+- the model is created on the default connection (mongoose.model()), like before
+- every request of an app runs with the connection of the app (useConnection(), the first middleware of createApp())
+- when a model is used, it sends the query to the model of the same name on that connection (connection.model())
+Outside a request (like the jobs started by server.js), runWithConnection() chooses the connection,
+otherwise the default connection is used.
+
+Link: https://nodejs.org/api/async_context.html#class-asynclocalstorage
+Link: https://mongoosejs.com/docs/connections.html#multiple_connections
+*/
+const connectionStorage = new AsyncLocalStorage();
+
+// The schemas of the models => Map { 'Employee' => { schema, collection } }
+const modelDefinitions = new Map();
+
+// The connection of the code that is running (the one of the app, or the default connection)
+export function getConnection() {
+    return connectionStorage.getStore() || mongoose.connection;
+}
+
+// Run a function with a connection => await runWithConnection(connection, () => JobTitle.ensureDefaults())
+export function runWithConnection(connection, fn) {
+    return connectionStorage.run(connection, fn);
+}
+
+// Middleware factory: the rest of the request runs with the connection (please review createApp() in app.js)
+export function useConnection(connection) {
+    return (req, res, next) => connectionStorage.run(connection, next);
+}
+
+// Create all the models on a connection (so "populate" and the other models can find them by name)
+export function registerModels(connection) {
+    for (const [name, { schema, collection }] of modelDefinitions) {
+        if (!connection.models[name]) {
+            connection.model(name, schema, collection);
+        }
+    }
+}
+
+/*
+Define a model (in models/*.js) => const Employee = defineModel('Employee', employeeSchema);
+The result works like the model (Employee.find(), new Employee(), ...), with the model of the current connection
+Link: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+*/
+export function defineModel(name, schema, collection) {
+    const defaultModel = mongoose.model(name, schema, collection);
+    modelDefinitions.set(name, { schema, collection });
+
+    const currentModel = () => {
+        const connection = getConnection();
+        if (connection === mongoose.connection) {
+            return defaultModel;
+        }
+        return connection.models[name] || connection.model(name, schema, collection);
+    };
+
+    return new Proxy(defaultModel, {
+        get(target, property) {
+            const model = currentModel();
+            const value = Reflect.get(model, property, model);
+            // The methods run on the model of the connection (this => the real model)
+            return typeof value === 'function' && property !== 'prototype' ? value.bind(model) : value;
+        },
+        set(target, property, value) {
+            return Reflect.set(currentModel(), property, value);
+        },
+        construct(target, args) {
+            return Reflect.construct(currentModel(), args);
+        },
+    });
+}
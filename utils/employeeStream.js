@@ -0,0 +1,310 @@
+/*
+The live feed of the employee changes (used by the Server-Sent Events route, please review routes/streamEmployees.js)
+
+Every change is one event:
+{ id: '8263...', type: 'employee.updated', employee: { ...the changed employee }, changed_fields: ['age'] }
+("changed_fields" => the fields changed by an update, or undefined when they are not known, like for a replace)
+The types are the same as the webhook events (please review utils/webhooks.js):
+- employee.created => a new employee (POST, bulk import)
+- employee.updated => PUT, PATCH, restore, revert
+- employee.deleted => the employee went to the trash (the document has "deleted_at")
+
+Where the events come from (the "source"):
+1. MongoDB change streams, when the database is a replica set (or a sharded cluster):
+   MongoDB itself tells us about every change, made by any instance of the API (or by anyone else),
+   and the id of an event is the "resume token" of the change, so a client can resume from any instance
+2. Otherwise (a standalone MongoDB server), the events emitted by the routes of this process (publishEmployeeEvent()),
+   their ids are only known by this process
+
+In both cases, the last BUFFER_SIZE events are kept in memory, so a client that reconnects with
+"Last-Event-ID" gets the events it missed. If the id is not in the buffer:
+- change streams => a change stream is opened for this client only, starting after that id ("resumeAfter"),
+  until it catches up with the shared stream (then it's closed, and the client receives the events of the shared stream).
+  Every change stream uses a connection of the database pool, so only EMPLOYEE_STREAM_MAX_RESUMES of them are opened
+  at the same time, the other clients receive a "reset"
+- the routes' events => the client receives a "reset" (it should read the list again)
+
+NOTE:
+With change streams, the changes that don't go through the routes are sent too
+(like renaming a job title, which updates the employees with one updateMany()),
+but the changes of the employees in the trash are skipped (like the routes, the stream only shows the active employees)
+
+Environment variables (.env):
+- EMPLOYEE_STREAM_SOURCE => "auto" (default, change streams when they are available) or "local" (always the routes' events)
+- EMPLOYEE_STREAM_MAX_RESUMES => the maximum number of change streams opened for the clients that resume (default: 20)
+
+Link: https://www.mongodb.com/docs/manual/changeStreams/
+Link: https://mongoosejs.com/docs/api/model.html#Model.watch()
+*/
+
+// Using the built-in "crypto" module for the id of this process (the prefix of the local event ids)
+import { randomUUID } from 'node:crypto';
+
+// Import the Employee model (the change stream watches its collection)
+import Employee from '../models/Employee.js';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from './httpError.js';
+
+// Import the logger of the application
+import logger from './logger.js';
+
+// The number of recent events kept for the clients that reconnect
+const BUFFER_SIZE = 1000;
+
+// Read a whole number (0 or more) from an environment variable
+function readNumber(name, defaultValue) {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : defaultValue;
+}
+
+// The ids of the local events => "<id of this process>-<number>"
+const INSTANCE_ID = randomUUID().slice(0, 8);
+let sequence = 0;
+
+// The current source: null (not started yet), "change-stream" or "local"
+let source = null;
+let starting = null;
+let changeStream = null;
+
+// The recent events (oldest first), the connected clients, and the number of open change streams of the clients that resume
+const recent = [];
+const subscribers = new Set();
+let resumeStreams = 0;
+
+// The names of the changed fields of an update ("address.city" => "address"), or undefined when they are not known
+function changedFields(change) {
+    if (change.operationType !== 'update' || !change.updateDescription) {
+        return undefined;
+    }
+    const { updatedFields = {}, removedFields = [] } = change.updateDescription;
+    return [...new Set([...Object.keys(updatedFields), ...removedFields].map((field) => field.split('.')[0]))];
+}
+
+// Convert a change of the change stream into an event (or null when the change is not shown)
+function fromChange(change) {
+    const employee = change.fullDocument;
+    // A purged employee (or an employee purged before its change was read) is not shown
+    if (!employee) {
+        return null;
+    }
+
+    let type = 'employee.updated';
+    if (change.operationType === 'insert') {
+        type = 'employee.created';
+    } else if (change.operationType === 'update' && 'deleted_at' in (change.updateDescription?.updatedFields || {})) {
+        // Moved to the trash, or restored
+        type = employee.deleted_at ? 'employee.deleted' : 'employee.updated';
+    } else if (!['update', 'replace'].includes(change.operationType)) {
+        return null;
+    }
+
+    // The changes of the employees in the trash (and the employees created directly in the trash)
+    if (employee.deleted_at && type !== 'employee.deleted') {
+        return null;
+    }
+    return { id: change._id._data, type, employee, changed_fields: changedFields(change) };
+}
+
+// Add an event to the buffer and send it to the clients
+function dispatch(event) {
+    recent.push(event);
+    if (recent.length > BUFFER_SIZE) {
+        recent.shift();
+    }
+    for (const subscriber of subscribers) {
+        subscriber.onEvent(event);
+    }
+}
+
+// Close the connections of all the clients (they reconnect with "Last-Event-ID")
+function closeSubscribers() {
+    for (const subscriber of subscribers) {
+        subscriber.onClose();
+    }
+    subscribers.clear();
+}
+
+// Open a change stream of the employees (only the changes that can become events are read)
+function watchEmployees(options) {
+    return Employee.watch(
+        [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+        { fullDocument: 'updateLookup', ...options }
+    );
+}
+
+// Choose the source, and open the change stream
+async function start() {
+    if (Employee.db.readyState !== 1) {
+        throw new HttpError(503, 'The database is not available, please try again later');
+    }
+
+    /*
+    The "hello" command tells us if the server is a replica set member ("setName") or a mongos router ("isdbgrid"),
+    its "operationTime" is where the change stream starts (so no change is missed while it opens)
+    */
+    const hello = await Employee.db.db.admin().command({ hello: 1 });
+    const available = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+
+    if (!available || process.env.EMPLOYEE_STREAM_SOURCE === 'local') {
+        source = 'local';
+        logger.info('Employee stream started with the events of the routes', { change_streams: available });
+        return;
+    }
+
+    changeStream = watchEmployees(hello.operationTime ? { startAtOperationTime: hello.operationTime } : {});
+    changeStream.on('change', (change) => {
+        const event = fromChange(change);
+        if (event) {
+            dispatch(event);
+        }
+    });
+    /*
+    The driver resumes the stream by itself after a network error,
+    any other error stops it: the clients are disconnected, and the next client starts a new stream
+    (the clients resume from their last event, so nothing is lost)
+    */
+    changeStream.on('error', (error) => {
+        logger.error('Employee change stream error', { error });
+        stopEmployeeStream();
+    });
+    source = 'change-stream';
+    logger.info('Employee stream started with MongoDB change streams');
+}
+
+// Start the feed once (the first client starts it, the other clients wait for the same start)
+export async function startEmployeeStream() {
+    if (source) {
+        return source;
+    }
+    starting ??= start().finally(() => {
+        starting = null;
+    });
+    await starting;
+    return source;
+}
+
+/*
+Stop the feed and disconnect the clients (used by the graceful shutdown and the tests),
+the next client starts it again
+*/
+export async function stopEmployeeStream() {
+    const stream = changeStream;
+    source = null;
+    changeStream = null;
+    recent.length = 0;
+    closeSubscribers();
+    if (stream) {
+        await stream.close();
+    }
+}
+
+/*
+Publish an event of the routes (called by emitEmployeeEvent(), please review utils/webhooks.js):
+- type => employee.created, employee.updated or employee.deleted
+- employee => the employee after the change (a document or a plain object)
+- changed_fields => the names of the changed fields of an update (optional)
+
+With change streams, MongoDB sends the same change, so the event of the route is skipped
+*/
+export function publishEmployeeEvent(type, employee, changed_fields) {
+    if (source !== 'local') {
+        return;
+    }
+    sequence++;
+    dispatch({
+        id: `${INSTANCE_ID}-${sequence}`,
+        type,
+        employee: typeof employee.toObject === 'function' ? employee.toObject() : employee,
+        changed_fields,
+    });
+}
+
+/*
+Receive the events (the feed must be started first, with startEmployeeStream()):
+- lastEventId => the id of the last event received by the client ("Last-Event-ID" header), or undefined
+- onEvent(event) => called for every event (the missed events first)
+- onReset() => the missed events can't be found, the client should read the list again
+- onClose() => the feed stopped (like during a shutdown), the response should be ended
+Returns a function that stops receiving the events (when the client disconnects)
+*/
+export function subscribeEmployeeStream({ lastEventId, onEvent, onReset, onClose }) {
+    let resumeStream = null;
+    const subscriber = {
+        onEvent,
+        onClose: () => {
+            closeResumeStream();
+            onClose();
+        },
+    };
+
+    function closeResumeStream() {
+        if (resumeStream) {
+            resumeStream.close().catch(() => {});
+            resumeStream = null;
+            resumeStreams--;
+        }
+    }
+
+    // The client has all the events of the shared stream => close its own stream, and send the shared events again
+    function switchToSharedStream() {
+        closeResumeStream();
+        subscriber.onEvent = onEvent;
+    }
+
+    const missedFrom = lastEventId ? recent.findIndex((event) => event.id === lastEventId) : -1;
+
+    if (!lastEventId || missedFrom !== -1) {
+        // The missed events are in the buffer (sent right away, before the new events)
+        for (const event of recent.slice(missedFrom + 1)) {
+            onEvent(event);
+        }
+    } else if (source === 'change-stream' && resumeStreams < readNumber('EMPLOYEE_STREAM_MAX_RESUMES', 20)) {
+        /*
+        An older event (or an event of another instance) => a change stream for this client only,
+        it sends the missed events and then the new ones, until it catches up with the shared stream:
+        - the shared stream sends the last event sent by this stream => the next events come from the shared stream
+        - this stream sends an event that is in the buffer (the shared stream is ahead) => the events after it are sent from the buffer
+        (the events of the shared stream are not sent to this client before that)
+        */
+        let lastSentId = null;
+        subscriber.onEvent = (event) => {
+            if (event.id === lastSentId) {
+                switchToSharedStream();
+            }
+        };
+        resumeStreams++;
+        resumeStream = watchEmployees({ resumeAfter: { _data: lastEventId } });
+        resumeStream.on('change', (change) => {
+            const event = fromChange(change);
+            if (!event || !resumeStream) {
+                return;
+            }
+            onEvent(event);
+            lastSentId = event.id;
+
+            const bufferedAt = recent.findIndex((item) => item.id === event.id);
+            if (bufferedAt !== -1) {
+                for (const item of recent.slice(bufferedAt + 1)) {
+                    onEvent(item);
+                }
+                switchToSharedStream();
+            }
+        });
+        // The resume token is invalid or too old (no longer in the oplog) => reset, then the shared stream
+        resumeStream.on('error', (error) => {
+            logger.warn('Employee stream resume failed', { last_event_id: lastEventId, error });
+            switchToSharedStream();
+            onReset();
+        });
+    } else {
+        // The routes' events of another process, or too many clients are resuming => the client reads the list again
+        onReset();
+    }
+    subscribers.add(subscriber);
+
+    return () => {
+        subscribers.delete(subscriber);
+        closeResumeStream();
+    };
+}
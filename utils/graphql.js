@@ -0,0 +1,365 @@
+/*
+Helper functions for the GraphQL API (please review routes/graphql.js).
+
+Like the OpenAPI document (utils/openapi.js), the types are not written by hand, they come from the Mongoose models:
+- modelToGraphQLFields() => the fields of an object type (Employee, Department)
+- modelToGraphQLInputFields() => the fields of an input type (the data of createEmployee and updateEmployee)
+- modelToGraphQLFilterType() => the filter of a list, with the same operators as the query string (utils/listQuery.js)
+
+The other helpers:
+- createLoader() => loads the related documents with one query per request (instead of one query per document)
+- checkQueryLimits() => rejects the queries that are too deep or too expensive, BEFORE running them
+- formatGraphQLError() => converts the errors with the same mapping as the REST routes (middleware/errorHandler.js)
+
+Link: https://graphql.org/learn/
+Link: https://graphql.org/graphql-js/type/
+*/
+
+// Import the building blocks of the GraphQL schema
+import {
+    GraphQLScalarType,
+    GraphQLString,
+    GraphQLFloat,
+    GraphQLBoolean,
+    GraphQLID,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLInputObjectType,
+    GraphQLError,
+    Kind,
+    getNamedType,
+    getArgumentValues,
+} from 'graphql';
+
+// STATUS_CODES contains the standard title of every HTTP status code (like 404 => "Not Found")
+import { STATUS_CODES } from 'node:http';
+
+// Import the error mapping of the REST routes
+import { toProblem } from '../middleware/errorHandler.js';
+
+// Import the list settings (the fields that can be filtered, and the default size of a page)
+import { getQueryableFields, DEFAULT_LIMIT, MAX_LIMIT } from './listQuery.js';
+
+// The fields that are managed by MongoDB/Mongoose
+const INTERNAL_FIELDS = ['_id', '__v'];
+
+// Read a whole number (0 or more) from an environment variable
+function readNumber(name, defaultValue) {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : defaultValue;
+}
+
+/*
+The dates are sent in the ISO 8601 format, like in the JSON responses: "2024-03-01T00:00:00.000Z"
+(the input values are checked by the validator of the model, like the JSON bodies of the REST routes)
+*/
+export const GraphQLDateTime = new GraphQLScalarType({
+    name: 'DateTime',
+    description: 'A date in the ISO 8601 format (like 2024-03-01 or 2024-03-01T09:30:00Z)',
+    serialize: (value) => new Date(value).toISOString(),
+    parseValue: (value) => {
+        if (typeof value !== 'string') {
+            throw new GraphQLError('A DateTime must be a string in the ISO 8601 format');
+        }
+        return value;
+    },
+    parseLiteral: (node) => {
+        if (node.kind !== Kind.STRING) {
+            throw new GraphQLError('A DateTime must be a string in the ISO 8601 format', { nodes: node });
+        }
+        return node.value;
+    },
+});
+
+// Convert the type of one Mongoose schema path into a GraphQL type (null for the types we don't support, like Mixed)
+function toGraphQLType(schemaType) {
+    switch (schemaType.instance) {
+        case 'String':
+            return GraphQLString;
+        case 'Number':
+            return GraphQLFloat;
+        case 'Boolean':
+            return GraphQLBoolean;
+        case 'Date':
+            return GraphQLDateTime;
+        case 'ObjectId':
+            return GraphQLID;
+        case 'Array': {
+            const itemType = schemaType.caster && toGraphQLType(schemaType.caster);
+            return itemType && new GraphQLList(itemType);
+        }
+        default:
+            return null;
+    }
+}
+
+// The schema paths that can be used in GraphQL (the nested paths like "address.city" are not valid GraphQL names)
+function graphQLPaths(model) {
+    return Object.entries(model.schema.paths)
+        .filter(([path, schemaType]) => path !== '__v' && !path.includes('.') && (path === '_id' || toGraphQLType(schemaType)));
+}
+
+/*
+The fields of the object type of a model:
+modelToGraphQLFields(Employee) => { _id: ID!, employee_id: String!, age: Float!, date_hired: DateTime!, ... }
+(the required fields of the schema can't be null)
+*/
+export function modelToGraphQLFields(model) {
+    const fields = {};
+    for (const [path, schemaType] of graphQLPaths(model)) {
+        const type = path === '_id' ? GraphQLID : toGraphQLType(schemaType);
+        fields[path] = { type: path === '_id' || schemaType.isRequired ? new GraphQLNonNull(type) : type };
+    }
+    return fields;
+}
+
+/*
+The fields of an input type (the data sent by the client):
+- managedFields => the fields that are set by the server only (like "deleted_at")
+- exclude => other fields that can't be sent (like "employee_id" when updating)
+- partial: true => every field is optional (for the updates)
+*/
+export function modelToGraphQLInputFields(model, { managedFields = [], exclude = [], partial = false } = {}) {
+    const fields = {};
+    for (const [path, schemaType] of graphQLPaths(model)) {
+        if (INTERNAL_FIELDS.includes(path) || managedFields.includes(path) || exclude.includes(path)) {
+            continue;
+        }
+        const type = toGraphQLType(schemaType);
+        fields[path] = { type: schemaType.isRequired && !partial ? new GraphQLNonNull(type) : type };
+    }
+    return fields;
+}
+
+// The filter types of the scalars (created once, a GraphQL schema can't have two types with the same name)
+const filterTypes = new Map();
+
+// StringFilter => { eq: String, ne: String, gt: String, ..., in: [String!], nin: [String!] }
+function filterType(scalar) {
+    if (!filterTypes.has(scalar.name)) {
+        const list = new GraphQLList(new GraphQLNonNull(scalar));
+        filterTypes.set(scalar.name, new GraphQLInputObjectType({
+            name: `${scalar.name}Filter`,
+            description: `The conditions on a ${scalar.name} field (all of them must match)`,
+            fields: {
+                eq: { type: scalar },
+                ne: { type: scalar },
+                gt: { type: scalar },
+                gte: { type: scalar },
+                lt: { type: scalar },
+                lte: { type: scalar },
+                in: { type: list },
+                nin: { type: list },
+            },
+        }));
+    }
+    return filterTypes.get(scalar.name);
+}
+
+/*
+The filter input type of a list, with the same fields and operators as the query string:
+?job_title=HR&age[gte]=30 => employees(filter: { job_title: { eq: "HR" }, age: { gte: 30 } })
+- exclude => the fields that can't be filtered (like the "deleted_at" field, the resolver filters it by itself)
+*/
+export function modelToGraphQLFilterType(model, name, { exclude = [] } = {}) {
+    const queryable = getQueryableFields(model);
+    const fields = {};
+    for (const [path, schemaType] of graphQLPaths(model)) {
+        const type = path === '_id' ? GraphQLID : toGraphQLType(schemaType);
+        // The arrays are not supported by the filters
+        if (queryable.includes(path) && !exclude.includes(path) && !(type instanceof GraphQLList)) {
+            fields[path] = { type: filterType(type) };
+        }
+    }
+    return new GraphQLInputObjectType({ name, fields });
+}
+
+/*
+Convert a filter argument into the same shape as the query string, so it can be passed to buildFilter():
+{ age: { gte: 30 }, job_title: { in: ['HR'] } } => { age: { gte: '30' }, job_title: { in: ['HR'] } }
+(Mongoose casts the values back to the types of the schema when the query runs)
+*/
+export function filterToListQuery(filter) {
+    const query = {};
+    for (const [field, conditions] of Object.entries(filter || {})) {
+        for (const [operator, operand] of Object.entries(conditions || {})) {
+            if (operand === null || operand === undefined) {
+                continue;
+            }
+            query[field] ??= {};
+            query[field][operator] = Array.isArray(operand) ? operand.map(String) : String(operand);
+        }
+    }
+    return query;
+}
+
+/*
+Load the related documents in batches (the "N+1 queries" problem):
+A list of 20 employees with their department would send 20 queries (one per employee),
+with a loader, the keys that are requested at the same time are loaded with one query (and cached for the request).
+
+const loadDepartment = createLoader(async (ids) => new Map(departments.map((d) => [String(d._id), d])));
+await loadDepartment(employee.department) => the department, or null
+
+NOTE:
+The resolvers of the items of a list are called one after the other without waiting,
+so we wait for the end of the current "tick" before loading the keys collected so far
+Link: https://github.com/graphql/dataloader (the same idea, without the package)
+*/
+export function createLoader(batch) {
+    const cache = new Map();
+    let queue = [];
+
+    function dispatch() {
+        const items = queue;
+        queue = [];
+        batch(items.map((item) => item.key)).then(
+            (results) => items.forEach((item) => item.resolve(results.get(item.key) ?? null)),
+            (error) => items.forEach((item) => item.reject(error))
+        );
+    }
+
+    return function load(key) {
+        const id = String(key);
+        if (!cache.has(id)) {
+            if (queue.length === 0) {
+                Promise.resolve().then(() => process.nextTick(dispatch));
+            }
+            cache.set(id, new Promise((resolve, reject) => queue.push({ key: id, resolve, reject })));
+        }
+        return cache.get(id);
+    };
+}
+
+/*
+The depth of a query (the number of nested fields):
+{ employees { data { manager { name } } } } => 4
+The introspection fields (like __schema, used by the tools like GraphiQL) are not counted
+*/
+function getDepth(selectionSet, fragments, visited = new Set()) {
+    let depth = 0;
+    for (const selection of selectionSet.selections) {
+        if (selection.kind === Kind.FIELD) {
+            if (!selection.name.value.startsWith('__')) {
+                depth = Math.max(depth, 1 + (selection.selectionSet ? getDepth(selection.selectionSet, fragments, visited) : 0));
+            }
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            depth = Math.max(depth, getDepth(selection.selectionSet, fragments, visited));
+        } else if (!visited.has(selection.name.value) && fragments[selection.name.value]) {
+            // A fragment spread (a fragment can't use itself, but the validation of GraphQL runs before this check)
+            const fragment = fragments[selection.name.value];
+            depth = Math.max(depth, getDepth(fragment.selectionSet, fragments, new Set(visited).add(selection.name.value)));
+        }
+    }
+    return depth;
+}
+
+/*
+The "complexity" of a query (an estimate of its cost):
+- every field costs 1 point
+- the fields inside a field with a "limit" argument (a list) are counted "limit" times (DEFAULT_LIMIT without the argument)
+  > the limit is counted between 1 and MAX_LIMIT, so a negative limit can't lower the cost of the other fields
+{ employees(limit: 50) { data { name department { name } } } } => 1 + 50 × (1 + 1 + 1 + 1) = 201
+*/
+function getComplexity(schema, selectionSet, parentType, context, visited = new Set()) {
+    let complexity = 0;
+    for (const selection of selectionSet.selections) {
+        if (selection.kind === Kind.FIELD) {
+            const field = parentType.getFields()[selection.name.value];
+            if (!field || selection.name.value.startsWith('__')) {
+                continue;
+            }
+            complexity += 1;
+            if (selection.selectionSet) {
+                let size = 1;
+                if (field.args.some((arg) => arg.name === 'limit')) {
+                    const { limit } = getArgumentValues(field, selection, context.variables);
+                    size = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), MAX_LIMIT) : DEFAULT_LIMIT;
+                }
+                complexity += size * getComplexity(schema, selection.selectionSet, getNamedType(field.type), context, visited);
+            }
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+            complexity += getComplexity(schema, selection.selectionSet, type, context, visited);
+        } else if (!visited.has(selection.name.value) && context.fragments[selection.name.value]) {
+            const fragment = context.fragments[selection.name.value];
+            complexity += getComplexity(
+                schema,
+                fragment.selectionSet,
+                schema.getType(fragment.typeCondition.name.value),
+                context,
+                new Set(visited).add(selection.name.value)
+            );
+        }
+    }
+    return complexity;
+}
+
+/*
+Check the depth and the complexity of an operation (after the validation of GraphQL, before running it),
+returns the list of the errors (empty when the query is allowed):
+- variables => the values of the variables (already coerced, so "limit: $limit" can be counted)
+
+Environment variables (.env):
+- GRAPHQL_MAX_DEPTH => the maximum depth of a query (default: 7)
+- GRAPHQL_MAX_COMPLEXITY => the maximum complexity of a query (default: 1000)
+*/
+export function checkQueryLimits(schema, document, operation, variables) {
+    const maxDepth = readNumber('GRAPHQL_MAX_DEPTH', 7);
+    const maxComplexity = readNumber('GRAPHQL_MAX_COMPLEXITY', 1000);
+
+    const fragments = {};
+    for (const definition of document.definitions) {
+        if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+            fragments[definition.name.value] = definition;
+        }
+    }
+
+    const depth = getDepth(operation.selectionSet, fragments);
+    if (depth > maxDepth) {
+        return [new GraphQLError(`The query is too deep: ${depth} levels, the maximum is ${maxDepth}`, {
+            nodes: operation,
+            extensions: { code: 'QUERY_TOO_DEEP', depth, max_depth: maxDepth },
+        })];
+    }
+
+    const rootType = schema.getRootType(operation.operation);
+    const complexity = getComplexity(schema, operation.selectionSet, rootType, { fragments, variables });
+    if (complexity > maxComplexity) {
+        return [new GraphQLError(`The query is too complex: ${complexity} points, the maximum is ${maxComplexity}`, {
+            nodes: operation,
+            extensions: { code: 'QUERY_TOO_COMPLEX', complexity, max_complexity: maxComplexity },
+        })];
+    }
+    return [];
+}
+
+/*
+Convert an error of a resolver with the same mapping as the REST routes (middleware/errorHandler.js):
+{
+    "message": "Validation failed",
+    "path": ["createEmployee"],
+    "extensions": { "code": "UNPROCESSABLE_ENTITY", "status": 422, "errors": { "age": "Employees age must be at least 18 or above" } }
+}
+The errors of GraphQL itself (like an unknown field or an invalid variable) are sent as they are
+*/
+export function formatGraphQLError(error, req) {
+    const original = error.originalError;
+    if (!original || original instanceof GraphQLError) {
+        return error.toJSON();
+    }
+
+    const { status, detail, ...members } = toProblem(original);
+    if (status >= 500) {
+        // Log the real error (with the stack trace) on the server only
+        req.log.error('Unexpected error', { method: req.method, path: req.originalUrl.split('?')[0], graphql_path: error.path, error: original });
+    }
+
+    return {
+        message: detail,
+        locations: error.locations,
+        path: error.path,
+        // "Unprocessable Entity" => "UNPROCESSABLE_ENTITY"
+        extensions: { code: STATUS_CODES[status].toUpperCase().replace(/[^A-Z]+/g, '_'), status, ...members },
+    };
+}
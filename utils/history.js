@@ -0,0 +1,137 @@
+/*
+Helper functions for recording the history (audit trail) of the employees.
+They are used by the routes that change employees (create, update, delete, restore, revert)
+
+Please review the file "models/EmployeeHistory.js" for the structure of a history entry
+*/
+
+// Import the EmployeeHistory model
+import EmployeeHistory from '../models/EmployeeHistory.js';
+
+// Import the id of the request (the same id as in the logs, please review middleware/requestLogger.js)
+import { getRequestId } from '../middleware/requestLogger.js';
+
+// The fields that are managed by MongoDB/Mongoose, they are not part of the history
+// (the date of every change is already in the history entry itself)
+const IGNORED_FIELDS = ['_id', '__v', 'created_at', 'updated_at'];
+
+/*
+Convert an employee (a Mongoose document or a plain object) into a plain JSON object:
+- without the fields managed by MongoDB
+- with the dates as strings (the same values that the client receives)
+*/
+export function toSnapshot(employee) {
+    if (!employee) {
+        return null;
+    }
+    const values = typeof employee.toObject === 'function' ? employee.toObject() : { ...employee };
+    IGNORED_FIELDS.forEach((field) => delete values[field]);
+    return JSON.parse(JSON.stringify(values));
+}
+
+/*
+Compare two snapshots and return the field-level "diff":
+diffSnapshots({ age: 40, name: 'Martin' }, { age: 41, name: 'Martin' })
+=> [{ field: 'age', before: 40, after: 41 }]
+*/
+export function diffSnapshots(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+    for (const field of fields) {
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue ?? null, after: newValue ?? null });
+        }
+    }
+    return changes;
+}
+
+// Who made the change (the user or the API key found by the "authenticate" middleware)
+export function getActor(req) {
+    return req.user ? req.user.username : 'anonymous';
+}
+
+/*
+Record one history entry for an employee.
+- before: the employee before the change (null for "create")
+- after: the employee after the change
+
+NOTE:
+The change itself is already saved in the database when this function is called,
+so if recording the history fails, we only log the error (the request is not failed)
+*/
+export async function recordHistory(req, { action, before, after, reverted_to }) {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+    const { employee_id } = afterSnapshot || beforeSnapshot;
+
+    /*
+    The version is the last version of this employee + 1,
+    if two requests get the same version at the same time, the unique index rejects one of them,
+    so we try again (up to 3 times)
+    */
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            const last = await EmployeeHistory.findOne({ employee_id }).sort({ version: -1 });
+            return await EmployeeHistory.create({
+                employee_id,
+                version: last ? last.version + 1 : 1,
+                action,
+                changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+                snapshot: afterSnapshot,
+                actor: getActor(req),
+                request_id: getRequestId(req),
+                reverted_to,
+            });
+        } catch (err) {
+            if (err.code !== 11000 || attempt === 3) {
+                req.log.error('Failed to record the history of an employee', { employee_id, error: err });
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/*
+Record the entries of many employees at once, with the same action:
+- changes => [{ before, after }] (before is null for "create")
+Used by the bulk import route ("create") and by the rename of a job title ("update")
+*/
+export async function recordMany(req, action, changes) {
+    if (changes.length === 0) {
+        return;
+    }
+
+    try {
+        const snapshots = changes.map(({ before, after }) => ({ before: toSnapshot(before), after: toSnapshot(after) }));
+
+        // Find the last version of every employee_id (an employee_id may have a history from before)
+        const lastVersions = await EmployeeHistory.aggregate([
+            { $match: { employee_id: { $in: snapshots.map(({ after }) => after.employee_id) } } },
+            { $group: { _id: '$employee_id', version: { $max: '$version' } } },
+        ]);
+        const versions = new Map(lastVersions.map(({ _id, version }) => [_id, version]));
+
+        const actor = getActor(req);
+        const request_id = getRequestId(req);
+
+        await EmployeeHistory.insertMany(snapshots.map(({ before, after }) => ({
+            employee_id: after.employee_id,
+            version: (versions.get(after.employee_id) || 0) + 1,
+            action,
+            changes: diffSnapshots(before, after),
+            snapshot: after,
+            actor,
+            request_id,
+        })), { ordered: false });
+    } catch (err) {
+        req.log.error('Failed to record the history of the employees', { action, error: err });
+    }
+}
+
+// Record the "create" entries of many employees at once (used by the bulk import route)
+export function recordCreatedMany(req, employees) {
+    return recordMany(req, 'create', employees.map((employee) => ({ before: null, after: employee })));
+}
@@ -0,0 +1,18 @@
+/*
+A custom Error class that carries an HTTP status code.
+
+Throwing an HttpError inside a route (or passing it to next()) lets the error-handling middleware
+(middleware/errorHandler.js) respond with the right status code:
+    throw new HttpError(404, 'Employee not found');
+
+Link: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
+*/
+export default class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        // Extra members for the error response (like { field: 'email' })
+        this.details = details;
+    }
+}
@@ -0,0 +1,244 @@
+/*
+Helper functions for applying "patch" documents to a plain JavaScript object.
+This file is used by the PATCH route in routes/updateEmployee.js
+
+We support the two standard formats for describing a partial update:
+
+1. JSON Merge Patch (RFC 7396) => Content-Type: application/merge-patch+json
+    > The body looks like the resource itself, but only with the fields we want to change
+    > A "null" value means: remove this field
+    Example:
+    { "job_title": "HR", "age": 41 }
+    Link: https://www.rfc-editor.org/rfc/rfc7396
+
+2. JSON Patch (RFC 6902) => Content-Type: application/json-patch+json
+    > The body is an array of operations (add, remove, replace, move, copy, test)
+    Example:
+    [
+        { "op": "test", "path": "/job_title", "value": "Software Developer" },
+        { "op": "replace", "path": "/job_title", "value": "Product Manager" }
+    ]
+    Link: https://www.rfc-editor.org/rfc/rfc6902
+*/
+
+/*
+The errors are thrown as HttpError, so the route can respond with the right HTTP status code:
+- 400 (Bad Request) => the patch document itself is not valid
+- 409 (Conflict) => a "test" operation failed (the resource is not in the expected state)
+*/
+import HttpError from './httpError.js';
+
+// Check if a value is a plain object (not an array and not null)
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Create a deep copy, so applying a patch never changes the original object
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+/*
+The names that would reach the prototype of an object instead of a field ("prototype pollution"):
+{ "op": "add", "path": "/__proto__/polluted", "value": 1 } would add "polluted" to every object of the app
+Link: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/proto
+*/
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function checkKey(key) {
+    if (FORBIDDEN_KEYS.includes(key)) {
+        throw new HttpError(400, `The name "${key}" is not allowed in a patch`);
+    }
+}
+
+// Compare two JSON values (used by the "test" operation)
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/*
+JSON Merge Patch (RFC 7396):
+****************************
+Merge the "patch" object into the "target" object and return the result
+*/
+export function applyMergePatch(target, patch) {
+    // If the patch is not an object, it replaces the whole target
+    if (!isPlainObject(patch)) {
+        return clone(patch);
+    }
+
+    const result = isPlainObject(target) ? clone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        checkKey(key);
+        if (value === null) {
+            // null means "remove this field"
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+/*
+JSON Pointer (RFC 6901):
+************************
+A path like "/address/city" points to a value inside a document.
+"~1" is used for "/" and "~0" is used for "~" inside a key name
+Link: https://www.rfc-editor.org/rfc/rfc6901
+*/
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new HttpError(400, `Invalid JSON Pointer "${pointer}"`);
+    }
+    if (pointer === '') {
+        return [];
+    }
+    const tokens = pointer
+        .slice(1)
+        .split('/')
+        .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    tokens.forEach(checkKey);
+    return tokens;
+}
+
+// Find the parent container of the value that a pointer refers to
+function resolveParent(document, tokens, pointer) {
+    let parent = document;
+    for (const token of tokens.slice(0, -1)) {
+        if (parent === null || typeof parent !== 'object' || !Object.hasOwn(parent, token)) {
+            throw new HttpError(400, `Path "${pointer}" does not exist`);
+        }
+        parent = parent[token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+        throw new HttpError(400, `Path "${pointer}" does not exist`);
+    }
+    return parent;
+}
+
+// Read the value that a pointer refers to
+function getValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        return document;
+    }
+    const parent = resolveParent(document, tokens, pointer);
+    const key = tokens[tokens.length - 1];
+    if (!Object.hasOwn(parent, key)) {
+        throw new HttpError(400, `Path "${pointer}" does not exist`);
+    }
+    return parent[key];
+}
+
+// Convert an array index token ("0", "1", ... or "-" for the end of the array)
+function arrayIndex(array, token, pointer, allowEnd) {
+    if (allowEnd && token === '-') {
+        return array.length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw new HttpError(400, `Invalid array index in path "${pointer}"`);
+    }
+    const index = Number(token);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw new HttpError(400, `Array index out of range in path "${pointer}"`);
+    }
+    return index;
+}
+
+// Add a value (insert into arrays, set on objects) and return the new document
+function addValue(document, pointer, value) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        return value;
+    }
+    const parent = resolveParent(document, tokens, pointer);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+    } else {
+        parent[key] = value;
+    }
+    return document;
+}
+
+// Remove a value and return the new document
+function removeValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new HttpError(400, 'The whole document can not be removed');
+    }
+    const parent = resolveParent(document, tokens, pointer);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, false), 1);
+    } else {
+        if (!Object.hasOwn(parent, key)) {
+            throw new HttpError(400, `Path "${pointer}" does not exist`);
+        }
+        delete parent[key];
+    }
+    return document;
+}
+
+/*
+JSON Patch (RFC 6902):
+**********************
+Apply the list of operations one by one and return the result.
+If any operation fails, an error is thrown and the original object stays unchanged
+(the operations are applied to a copy)
+*/
+export function applyJsonPatch(target, operations) {
+    if (!Array.isArray(operations)) {
+        throw new HttpError(400, 'A JSON Patch document must be an array of operations');
+    }
+
+    let document = clone(target);
+
+    for (const operation of operations) {
+        if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+            throw new HttpError(400, 'Every JSON Patch operation must be an object with an "op" member');
+        }
+        const { op, path, from } = operation;
+
+        if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+            throw new HttpError(400, `The "${op}" operation requires a "value" member`);
+        }
+
+        switch (op) {
+            case 'add':
+                document = addValue(document, path, clone(operation.value));
+                break;
+            case 'remove':
+                document = removeValue(document, path);
+                break;
+            case 'replace':
+                // "replace" = the target must exist + remove + add
+                getValue(document, path);
+                document = path === ''
+                    ? clone(operation.value)
+                    : addValue(removeValue(document, path), path, clone(operation.value));
+                break;
+            case 'move': {
+                if (typeof path === 'string' && path.startsWith(`${from}/`)) {
+                    throw new HttpError(400, `Can not move "${from}" into one of its children`);
+                }
+                const value = getValue(document, from);
+                document = addValue(removeValue(document, from), path, value);
+                break;
+            }
+            case 'copy':
+                document = addValue(document, path, clone(getValue(document, from)));
+                break;
+            case 'test':
+                if (!isEqual(getValue(document, path), operation.value)) {
+                    throw new HttpError(409, `Test failed: the value at "${path}" is not the expected value`);
+                }
+                break;
+            default:
+                throw new HttpError(400, `Unknown JSON Patch operation "${op}"`);
+        }
+    }
+
+    return document;
+}
@@ -0,0 +1,424 @@
+/*
+Helper functions for turning the query string of a "list" request into a Mongoose query.
+This file is used by the GET route in routes/readEmployee.js (and can be reused by any other list route)
+
+Supported query parameters:
+- Pagination:
+    > ?page=2&limit=20 => page based (offset) pagination
+    > ?after=<cursor>&limit=20 => cursor based pagination (the cursor comes from the "next" link)
+    > ?after=&limit=20 => an empty cursor starts the cursor based pagination from the first document
+- Filtering on any field defined in the schema:
+    > ?job_title=HR => equal
+    > ?age[gte]=30 => comparison operators: eq, ne, gt, gte, lt, lte
+    > ?job_title[in]=HR,Product Manager => list operators: in, nin (comma separated values)
+- Sorting:
+    > ?sort=-date_hired,name => comma separated fields, a leading "-" means descending
+- Column selection:
+    > ?fields=name,email => only return these fields
+- Populating the references:
+    > ?populate=department => replace the _id of the department with the department itself
+
+Link: https://mongoosejs.com/docs/queries.html
+Link: https://www.mongodb.com/docs/manual/reference/operator/query-comparison/
+*/
+
+// Import mongoose to work with ObjectId values inside the cursor
+import mongoose from 'mongoose';
+
+// Invalid query parameters are reported with "400 Bad Request"
+import HttpError from './httpError.js';
+
+// Default and maximum number of documents per page
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Query parameters that are NOT filters (they control the list itself)
+export const RESERVED_PARAMS = ['page', 'limit', 'after', 'sort', 'fields', 'populate'];
+
+// Mapping between the operator names used in the URL and MongoDB query operators
+const OPERATORS = {
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    in: '$in',
+    nin: '$nin',
+};
+
+/*
+Return the names of the fields that can be used in filters, sorting and column selection.
+We read them from the schema itself, so any new field added to the model is supported automatically
+(internal fields like "__v" are skipped, and the fields with the option "queryable: false" in the schema,
+like the secret of a webhook: a filter like ?secret[gte]=whsec_M would tell the client the start of the secret)
+*/
+export function getQueryableFields(model) {
+    return Object.entries(model.schema.paths)
+        .filter(([path, schemaType]) => path !== '__v' && schemaType.options.queryable !== false)
+        .map(([path]) => path);
+}
+
+// Parse a positive integer from the query string or use the default value
+function parsePositiveInt(value, name, defaultValue) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new HttpError(400, `"${name}" must be a positive integer`);
+    }
+    return number;
+}
+
+/*
+Build the MongoDB filter object from the query string:
+?job_title=HR&age[gte]=30 => { job_title: { $eq: 'HR' }, age: { $gte: '30' } }
+
+NOTE:
+We don't have to convert '30' to a number or '2023-01-01' to a date,
+Mongoose "casts" the values of the filter according to the schema types when running the query
+(and throws a "CastError" if a value can't be converted)
+Link: https://mongoosejs.com/docs/tutorials/query_casting.html
+*/
+export function buildFilter(query, model, reserved = RESERVED_PARAMS) {
+    const fields = getQueryableFields(model);
+    const filter = {};
+
+    for (const [key, value] of Object.entries(query)) {
+        if (reserved.includes(key)) {
+            continue;
+        }
+        if (!fields.includes(key)) {
+            throw new HttpError(400, `Unknown filter field "${key}"`);
+        }
+
+        // ?job_title=HR (a simple value means "equal")
+        const conditions = typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+
+        filter[key] = {};
+        for (const [operator, operand] of Object.entries(conditions)) {
+            if (!OPERATORS[operator]) {
+                throw new HttpError(400, `Unknown filter operator "${operator}" for field "${key}"`);
+            }
+            if (operator === 'in' || operator === 'nin') {
+                // Accept both "?job_title[in]=HR,Product Manager" and repeated parameters
+                const list = Array.isArray(operand) ? operand : String(operand).split(',');
+                filter[key][OPERATORS[operator]] = list.map((item) => item.trim());
+            } else if (Array.isArray(operand) || typeof operand === 'object') {
+                throw new HttpError(400, `Filter "${key}[${operator}]" accepts a single value`);
+            } else {
+                filter[key][OPERATORS[operator]] = operand;
+            }
+        }
+    }
+
+    return filter;
+}
+
+// Convert a value for comparing (the dates by their time, the ObjectIds by their hex string)
+function toComparable(value) {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return value.toHexString();
+    }
+    // A missing field is "null" (like in MongoDB, { manager_id: null } matches the documents without manager_id)
+    return value ?? null;
+}
+
+// Is one value equal to the operand? (an array matches if one of its items is equal, like in MongoDB)
+function isEqual(value, operand) {
+    if (Array.isArray(value)) {
+        return value.some((item) => isEqual(item, operand));
+    }
+    return toComparable(value) === toComparable(operand);
+}
+
+// Compare with gt, gte, lt, lte (only the values of the same type can be compared, like in MongoDB)
+function compare(value, operand, check) {
+    const a = toComparable(value);
+    const b = toComparable(operand);
+    return a !== null && typeof a === typeof b && check(a, b);
+}
+
+const MATCHERS = {
+    $eq: (value, operand) => isEqual(value, operand),
+    $ne: (value, operand) => !isEqual(value, operand),
+    $gt: (value, operand) => compare(value, operand, (a, b) => a > b),
+    $gte: (value, operand) => compare(value, operand, (a, b) => a >= b),
+    $lt: (value, operand) => compare(value, operand, (a, b) => a < b),
+    $lte: (value, operand) => compare(value, operand, (a, b) => a <= b),
+    $in: (value, operands) => operands.some((operand) => isEqual(value, operand)),
+    $nin: (value, operands) => !operands.some((operand) => isEqual(value, operand)),
+};
+
+/*
+Check one document against a filter of buildFilter() without MongoDB (like the live stream of the employees,
+which receives the changed documents one by one, please review routes/streamEmployees.js)
+
+NOTE:
+The filter must be "cast" first (Query.prototype.cast()), so the values have the types of the schema
+(the document has numbers and dates, the query string has strings)
+Link: https://mongoosejs.com/docs/api/query.html#Query.prototype.cast()
+*/
+export function matchesFilter(document, filter) {
+    return Object.entries(filter).every(([path, conditions]) => {
+        // "address.city" => document.address.city
+        const value = path.split('.').reduce((current, key) => current?.[key], document);
+        return Object.entries(conditions).every(([operator, operand]) => MATCHERS[operator](value, operand));
+    });
+}
+
+/*
+Build the sort specification from "?sort=-date_hired,name":
+=> [['date_hired', -1], ['name', 1], ['_id', 1]]
+
+We always add "_id" at the end as a "tie-breaker",
+so documents with the same values are always returned in the same order (needed for pagination)
+*/
+export function buildSort(sortParam, model) {
+    const fields = getQueryableFields(model);
+    const sort = [];
+
+    if (sortParam !== undefined) {
+        if (typeof sortParam !== 'string') {
+            throw new HttpError(400, '"sort" must be a comma separated list of fields');
+        }
+        for (const item of sortParam.split(',').map((part) => part.trim()).filter(Boolean)) {
+            const direction = item.startsWith('-') ? -1 : 1;
+            const field = item.replace(/^[-+]/, '');
+            if (!fields.includes(field)) {
+                throw new HttpError(400, `Unknown sort field "${field}"`);
+            }
+            if (!sort.some(([name]) => name === field)) {
+                sort.push([field, direction]);
+            }
+        }
+    }
+
+    if (!sort.some(([name]) => name === '_id')) {
+        sort.push(['_id', 1]);
+    }
+    return sort;
+}
+
+// Build the projection from "?fields=name,email" => 'name email' (or undefined for all fields)
+export function buildProjection(fieldsParam, model) {
+    if (fieldsParam === undefined) {
+        return undefined;
+    }
+    if (typeof fieldsParam !== 'string') {
+        throw new HttpError(400, '"fields" must be a comma separated list of fields');
+    }
+    const fields = getQueryableFields(model);
+    const selected = fieldsParam.split(',').map((part) => part.trim()).filter(Boolean);
+    for (const field of selected) {
+        if (!fields.includes(field)) {
+            throw new HttpError(400, `Unknown field "${field}"`);
+        }
+    }
+    return selected.join(' ');
+}
+
+/*
+Build the list of the references to populate from "?populate=department" => ['department']
+Only the fields with a "ref" in the schema can be populated
+Link: https://mongoosejs.com/docs/populate.html
+*/
+export function buildPopulate(populateParam, model) {
+    if (populateParam === undefined) {
+        return [];
+    }
+    if (typeof populateParam !== 'string') {
+        throw new HttpError(400, '"populate" must be a comma separated list of fields');
+    }
+    const references = Object.keys(model.schema.paths).filter((path) => model.schema.path(path).options.ref);
+    const selected = populateParam.split(',').map((part) => part.trim()).filter(Boolean);
+    for (const field of selected) {
+        if (!references.includes(field)) {
+            throw new HttpError(400, `"${field}" can not be populated, the supported fields are: ${references.join(', ') || 'none'}`);
+        }
+    }
+    return selected;
+}
+
+/*
+Cursor helpers:
+***************
+A cursor is the list of the sort values of the last document in a page (plus its _id),
+encoded with "base64url" so it can safely be used in a URL.
+Link: https://nodejs.org/api/buffer.html#buffers-and-character-encodings
+*/
+export function encodeCursor(doc, sort) {
+    // A populated field holds the whole document, doc.populated(field) returns its original _id
+    const values = sort.map(([field]) => (doc.populated && doc.populated(field)) || (doc.get ? doc.get(field) : doc[field]));
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'Invalid "after" cursor');
+    }
+    if (!Array.isArray(values) || values.length !== sort.length) {
+        throw new HttpError(400, 'Invalid "after" cursor (it does not match the "sort" parameter)');
+    }
+    // "_id" is an ObjectId, the other values are cast by Mongoose when the query runs
+    const idIndex = sort.findIndex(([field]) => field === '_id');
+    if (!mongoose.isValidObjectId(values[idIndex])) {
+        throw new HttpError(400, 'Invalid "after" cursor');
+    }
+    values[idIndex] = new mongoose.Types.ObjectId(String(values[idIndex]));
+    return values;
+}
+
+/*
+Build the condition for "the documents that come after the cursor" (known as "keyset pagination"):
+For sort [['date_hired', -1], ['_id', 1]] and cursor [d, id] we need:
+{ $or: [ { date_hired: { $lt: d } }, { date_hired: d, _id: { $gt: id } } ] }
+*/
+export function buildCursorFilter(cursor, sort) {
+    const values = decodeCursor(cursor, sort);
+    const branches = sort.map(([field, direction], index) => {
+        const branch = {};
+        for (let i = 0; i < index; i++) {
+            branch[sort[i][0]] = values[i];
+        }
+        branch[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+        return branch;
+    });
+    return { $or: branches };
+}
+
+/*
+Parse all the list parameters at once.
+Returns an object that the route can use directly with Model.find()
+*/
+export function parseListQuery(query, model, reserved = RESERVED_PARAMS) {
+    const limit = parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT);
+    if (limit > MAX_LIMIT) {
+        throw new HttpError(400, `"limit" must not be greater than ${MAX_LIMIT}`);
+    }
+    if (query.page !== undefined && query.after !== undefined) {
+        throw new HttpError(400, 'Use either "page" or "after", not both');
+    }
+
+    return {
+        filter: buildFilter(query, model, reserved),
+        sort: buildSort(query.sort, model),
+        projection: buildProjection(query.fields, model),
+        populate: buildPopulate(query.populate, model),
+        page: parsePositiveInt(query.page, 'page', 1),
+        after: query.after,
+        limit,
+    };
+}
+
+/*
+Build an absolute link to the same list with some query parameters replaced,
+for example the "next" and "prev" links in the response:
+buildPageLink(req, { page: 3 }) => http://localhost:3000/api/employees?job_title=HR&page=3
+*/
+export function buildPageLink(req, changes) {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) {
+            url.searchParams.delete(key);
+        } else {
+            url.searchParams.set(key, value);
+        }
+    }
+    return url.toString();
+}
+
+/*
+Run the list query (without the links, they need the request) => { data, meta, next, prev }
+- next, prev => the parameters of the next and previous pages ({ page: 3 } or { after: '<cursor>' }), or null
+Used by findPage() below, and by the GraphQL "employees" query (routes/graphql.js)
+
+Options:
+- filter => extra conditions that the client can't change (like { deleted_at: null })
+- defaultSort => the sort used when there is no "sort" parameter (like '-version')
+- reserved => the query parameters that are not filters (RESERVED_PARAMS by default)
+*/
+export async function queryPage(model, query, options = {}) {
+    const { filter, sort, projection, populate, page, after, limit } = parseListQuery(
+        { sort: options.defaultSort, ...query },
+        model,
+        options.reserved
+    );
+    const baseFilter = { ...filter, ...options.filter };
+
+    // Count all the matching documents (not only the current page)
+    const total = await model.countDocuments(baseFilter);
+
+    if (after !== undefined) {
+        // Cursor based pagination: find the documents after the cursor (an empty cursor means the first page)
+        const cursorFilter = after === '' ? {} : buildCursorFilter(after, sort);
+
+        // The sort fields are always selected, since the next cursor is built from their values
+        const cursorProjection = projection && [...new Set([...projection.split(' '), ...sort.map(([field]) => field)])].join(' ');
+
+        const data = await model
+            .find({ ...baseFilter, ...cursorFilter }, cursorProjection)
+            .sort(sort)
+            .limit(limit + 1) // fetch one more document to know if there is a next page
+            .populate(populate);
+
+        const hasNext = data.length > limit;
+        if (hasNext) {
+            data.pop();
+        }
+
+        return {
+            data,
+            meta: { total, limit },
+            next: hasNext ? { after: encodeCursor(data[data.length - 1], sort) } : null,
+            prev: null,
+        };
+    }
+
+    // Page based pagination: skip the documents of the previous pages
+    const data = await model
+        .find(baseFilter, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate(populate);
+
+    const pages = Math.ceil(total / limit);
+
+    return {
+        data,
+        meta: { total, limit, page, pages },
+        next: page < pages ? { page: page + 1 } : null,
+        prev: page > 1 ? { page: Math.min(page - 1, Math.max(pages, 1)) } : null,
+    };
+}
+
+/*
+Run the list query and return the response "envelope":
+{
+    data: [...employees],
+    meta: { total, limit, page, pages },
+    links: { self, next, prev }
+}
+The options are the same as queryPage() above
+*/
+export async function findPage(model, req, options = {}) {
+    const { data, meta, next, prev } = await queryPage(model, req.query, options);
+
+    return {
+        data,
+        meta,
+        links: {
+            self: buildPageLink(req, {}),
+            next: next && buildPageLink(req, next),
+            prev: prev && buildPageLink(req, prev),
+        },
+    };
+}
@@ -0,0 +1,120 @@
+/*
+The logger of the application: one JSON object per line (easy to search and filter in a log tool)
+{"time":"2024-03-05T10:15:00.000Z","level":"info","msg":"Request completed","request_id":"...","method":"GET",...}
+
+Levels (from the most to the least detailed): debug, info, warn, error
+Only the logs with the configured level or above are written:
+- LOG_LEVEL=info (default) => info, warn and error
+- LOG_LEVEL=silent => nothing (like when running the tests)
+
+Redaction (Personally Identifiable Information):
+The values of the sensitive fields are replaced with "[REDACTED]" before writing the log,
+in any object of the log (even nested), and the email addresses are masked inside any text too.
+- LOG_REDACT_FIELDS=email,age,password => the list of the fields (the default list is below)
+
+Usage:
+logger.info('Server started', { port: 3000 });
+const log = logger.child({ request_id: 'abc' }); // every log of "log" has the request_id
+log.error('Unexpected error', { error });
+
+Link: https://nodejs.org/api/process.html#processstdout
+*/
+
+// The levels and their order
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// The fields that are redacted by default (the personal data of the employees and the credentials)
+export const DEFAULT_REDACT_FIELDS = [
+    'email', 'age', 'password', 'token', 'access_token', 'refresh_token', 'authorization', 'x-api-key', 'key',
+];
+
+const REDACTED = '[REDACTED]';
+
+// An email address inside a text => "Duplicate m.smith@men-demo.com" => "Duplicate [REDACTED_EMAIL]"
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+
+// Read the level and the fields from the environment variables (every time, so a change of .env is used)
+function getLevel() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return LEVELS[level] ?? LEVELS.info;
+}
+
+function getRedactFields() {
+    const fields = process.env.LOG_REDACT_FIELDS
+        ? process.env.LOG_REDACT_FIELDS.split(',')
+        : DEFAULT_REDACT_FIELDS;
+    return new Set(fields.map((field) => field.trim().toLowerCase()).filter(Boolean));
+}
+
+// Convert an Error into a plain object (JSON.stringify() ignores "message" and "stack")
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        stack: error.stack,
+    };
+}
+
+/*
+Return a copy of a value with the sensitive fields redacted:
+redact({ name: 'Martin', email: 'm@x.com', rows: [{ age: 40 }] }, new Set(['email', 'age']))
+=> { name: 'Martin', email: '[REDACTED]', rows: [{ age: '[REDACTED]' }] }
+*/
+export function redact(value, fields = getRedactFields(), seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return value.replace(EMAIL_PATTERN, '[REDACTED_EMAIL]');
+    }
+    if (value instanceof Error) {
+        return redact(serializeError(value), fields, seen);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    // A circular reference (an object that contains itself) is written only once
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, fields, seen));
+    }
+    // A Mongoose document => its plain values
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    const copy = {};
+    for (const [key, item] of Object.entries(source)) {
+        copy[key] = fields.has(key.toLowerCase()) ? REDACTED : redact(item, fields, seen);
+    }
+    return copy;
+}
+
+/*
+Create a logger:
+- fields => the fields that are added to every log of this logger (like the request_id)
+- write => where the lines are written (the standard output by default)
+*/
+export function createLogger({ fields = {}, write = (line) => process.stdout.write(line) } = {}) {
+    function log(level, msg, extra = {}) {
+        if (LEVELS[level] < getLevel()) {
+            return;
+        }
+        const entry = redact({ time: new Date().toISOString(), level, msg, ...fields, ...extra });
+        write(`${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        // A logger with more fields (the fields of this logger are kept)
+        child: (moreFields) => createLogger({ fields: { ...fields, ...moreFields }, write }),
+    };
+}
+
+// The logger of the application (for the logs that don't belong to a request)
+const logger = createLogger();
+
+export default logger;
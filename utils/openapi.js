@@ -0,0 +1,440 @@
+/*
+Helper functions for generating the OpenAPI 3.1 document (the "contract" of the API).
+
+Nothing is written by hand, the document is generated from the code itself:
+- The schemas of the resources come from the Mongoose models (types, enums, min/max, required, ...)
+- The paths and the methods come from the routes that are registered in the Express app
+- The security comes from the "authenticate" middleware (if a route uses it, the route needs a token or an API key)
+
+So when a field or a route is added, the document is updated automatically and can't drift from the code.
+
+Link: https://spec.openapis.org/oas/v3.1.0
+Link: https://json-schema.org/understanding-json-schema/reference/type
+*/
+
+// Import the authentication middleware (to find out which routes are protected)
+import { authenticate } from '../middleware/auth.js';
+
+// Import the list settings (the pagination query parameters)
+import { DEFAULT_LIMIT, MAX_LIMIT } from './listQuery.js';
+
+// Import the helper functions of the API versions (to describe the paths of every version)
+import { versionedPath, getTransforms } from '../middleware/apiVersion.js';
+
+// The fields that are managed by MongoDB/Mongoose
+const INTERNAL_FIELDS = ['_id', '__v'];
+
+// Mongoose validators can be a value or [value, 'custom message'] => we only need the value
+function optionValue(option) {
+    return Array.isArray(option) ? option[0] : option;
+}
+
+// Convert one Mongoose schema path into a JSON Schema
+function schemaTypeToJsonSchema(schemaType) {
+    const { options } = schemaType;
+    let schema;
+
+    switch (schemaType.instance) {
+        case 'String':
+            schema = { type: 'string' };
+            break;
+        case 'Number':
+            schema = { type: 'number' };
+            break;
+        case 'Boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'Date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'ObjectId':
+            schema = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+            break;
+        case 'Array':
+            schema = { type: 'array', items: schemaType.caster ? schemaTypeToJsonSchema(schemaType.caster) : {} };
+            break;
+        default:
+            // Mixed (any value)
+            schema = {};
+    }
+
+    // enum can be a list, or { values: [...], message: '...' }
+    const enumValues = Array.isArray(options.enum) ? options.enum : options.enum?.values;
+    if (enumValues) {
+        schema.enum = enumValues;
+    }
+    if (options.min !== undefined) {
+        schema.minimum = optionValue(options.min);
+    }
+    if (options.max !== undefined) {
+        schema.maximum = optionValue(options.max);
+    }
+    if (options.minlength !== undefined) {
+        schema.minLength = optionValue(options.minlength);
+    }
+    if (options.maxlength !== undefined) {
+        schema.maxLength = optionValue(options.maxlength);
+    }
+    if (options.match !== undefined) {
+        schema.pattern = optionValue(options.match).source;
+    }
+    // Only the plain default values (not the functions like Date.now)
+    if (options.default !== undefined && typeof options.default !== 'function') {
+        schema.default = options.default;
+    }
+    // A field with the default value null can be null
+    if (options.default === null && schema.type) {
+        schema.type = [schema.type, 'null'];
+    }
+
+    return schema;
+}
+
+/*
+Convert a Mongoose model into a JSON Schema:
+- input: false => the resource as returned by the API (with _id and the managed fields as "readOnly")
+- input: true => the request body (without the fields that are managed by the server)
+*/
+export function modelToJsonSchema(model, { managedFields = [], input = false } = {}) {
+    const properties = {};
+    const required = [];
+
+    for (const [field, schemaType] of Object.entries(model.schema.paths)) {
+        const managed = INTERNAL_FIELDS.includes(field) || managedFields.includes(field);
+        if (field === '__v' || (input && managed)) {
+            continue;
+        }
+
+        properties[field] = field === '_id'
+            ? { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+            : schemaTypeToJsonSchema(schemaType);
+
+        if (managed) {
+            properties[field].readOnly = true;
+        }
+        if (schemaType.isRequired) {
+            required.push(field);
+        }
+    }
+
+    return {
+        type: 'object',
+        properties,
+        ...(required.length > 0 && { required }),
+        ...(input && { additionalProperties: false }),
+    };
+}
+
+/*
+Convert the RegExp of a mounted router back into its path:
+app.use('/api/employees', router) => /^\/api\/employees\/?(?=\/|$)/i => '/api/employees'
+*/
+function mountPath(layer) {
+    if (layer.regexp.fast_slash) {
+        return '';
+    }
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\\\//g, '/');
+}
+
+/*
+Return the list of the routes that are registered in the Express app:
+[{ method: 'get', path: '/api/employees/:employee_id', secured: true }, ...]
+
+NOTE:
+Express 4 doesn't have a public API for listing the routes,
+so we read the "stack" of the app (the list of its middleware and routers)
+Link: https://expressjs.com/en/4x/api.html#app.use
+*/
+export function listRoutes(app) {
+    const routes = new Map();
+    // The paths that are protected by app.use(path, authenticate, ...)
+    const securedPaths = [];
+
+    for (const layer of app._router.stack) {
+        if (layer.handle === authenticate) {
+            securedPaths.push(mountPath(layer));
+        }
+
+        const prefix = mountPath(layer);
+        const routeLayers = layer.route
+            ? [{ route: layer.route, prefix: '' }]
+            : (layer.handle.stack || []).filter((child) => child.route).map((child) => ({ route: child.route, prefix }));
+
+        for (const { route, prefix: routePrefix } of routeLayers) {
+            const path = (routePrefix + (route.path === '/' ? '' : route.path)) || '/';
+            const secured = securedPaths.some((securedPath) => path.startsWith(securedPath))
+                || route.stack.some((routeLayer) => routeLayer.handle === authenticate);
+
+            for (const method of Object.keys(route.methods)) {
+                // The same router can be added more than once (like readEmployeeRoute in app.js)
+                routes.set(`${method} ${path}`, { method, path, secured });
+            }
+        }
+    }
+
+    return [...routes.values()];
+}
+
+// The query parameters of the list routes (please review the file "utils/listQuery.js")
+const LIST_PARAMETERS = [
+    { name: 'page', in: 'query', description: 'Page number (page based pagination)', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', description: 'Number of items per page', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+    { name: 'after', in: 'query', description: 'Cursor from the "next" link (cursor based pagination), an empty value starts from the first item', schema: { type: 'string' } },
+    { name: 'sort', in: 'query', description: 'Comma separated fields, a leading "-" means descending (like -date_hired,name)', schema: { type: 'string' } },
+    { name: 'fields', in: 'query', description: 'Comma separated fields to return (like name,email)', schema: { type: 'string' } },
+];
+
+// The error responses use the "Problem Details" format (middleware/errorHandler.js)
+function problemResponse(description) {
+    return { description, content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } } };
+}
+
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+/*
+Describe one route as an OpenAPI "operation".
+The routes of a resource (like /api/employees) follow the REST conventions,
+so the request body and the response of the common routes are known:
+- GET /api/employees => a page of employees
+- POST /api/employees => create an employee
+- GET, PUT, PATCH, DELETE /api/employees/{employee_id} => one employee
+*/
+// The id of an operation => operationIdOf('get', '/api/employees/{id}') => 'getApiEmployeesId'
+function operationIdOf(method, openApiPath) {
+    return `${method}${openApiPath.replace(/[{}]/g, '').split(/[/-]/).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+}
+
+function describeOperation({ method, path, secured }, resources) {
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name, in: 'path', required: true, schema: { type: 'string' },
+    }));
+
+    const tag = path.split('/').filter(Boolean)[1] || 'default';
+    const operation = {
+        tags: [tag],
+        summary: `${method.toUpperCase()} ${openApiPath}`,
+        operationId: operationIdOf(method, openApiPath),
+        parameters,
+        responses: {},
+    };
+
+    const resource = resources.find((item) => path === item.path || path.startsWith(`${item.path}/`));
+    const rest = resource ? path.slice(resource.path.length) : null;
+    const isCollection = rest === '';
+    const isItem = rest !== null && /^\/:\w+$/.test(rest);
+    const ref = resource && { $ref: `#/components/schemas/${resource.name}` };
+    const inputRef = resource && { $ref: `#/components/schemas/${resource.name}Input` };
+
+    if (isCollection && method === 'get') {
+        operation.parameters.push(...LIST_PARAMETERS);
+        if (resource.concurrency) {
+            operation.responses[304] = { description: 'Not modified since the date (If-Modified-Since) or the ETag (If-None-Match)' };
+        }
+        operation.description = 'Any field of the resource can be used as a filter: ?field=value or ?field[operator]=value (eq, ne, gt, gte, lt, lte, in, nin)';
+        operation.responses[200] = jsonResponse('A page of items', {
+            type: 'object',
+            properties: {
+                data: { type: 'array', items: ref },
+                meta: { $ref: '#/components/schemas/PageMeta' },
+                links: { $ref: '#/components/schemas/PageLinks' },
+            },
+        });
+    } else if (isCollection && method === 'post') {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: inputRef } } };
+        operation.responses[201] = jsonResponse('Created', ref);
+        operation.responses[409] = problemResponse('A unique field already exists');
+        operation.responses[422] = problemResponse('Validation failed');
+    } else if (isItem && ['get', 'put', 'patch', 'delete'].includes(method)) {
+        if (method === 'put') {
+            operation.requestBody = { required: true, content: { 'application/json': { schema: inputRef } } };
+        }
+        if (method === 'patch') {
+            operation.requestBody = {
+                required: true,
+                content: {
+                    'application/merge-patch+json': { schema: { type: 'object' } },
+                    'application/json-patch+json': { schema: { type: 'array', items: { type: 'object' } } },
+                },
+            };
+        }
+        operation.responses[200] = method === 'delete'
+            ? jsonResponse('Deleted', { type: 'object', properties: { message: { type: 'string' } } })
+            : jsonResponse('OK', ref);
+        if (method !== 'get' && method !== 'delete') {
+            operation.responses[422] = problemResponse('Validation failed');
+        }
+        // The resources with optimistic concurrency control and conditional reads (utils/concurrency.js)
+        if (resource.concurrency && method === 'get') {
+            operation.responses[304] = { description: 'Not modified since the ETag (If-None-Match) or the date (If-Modified-Since)' };
+        }
+        if (resource.concurrency && method !== 'get') {
+            operation.parameters.push({
+                name: 'If-Match', in: 'header', required: false, schema: { type: 'string' },
+                description: 'The ETag of the last read, the change is refused if the item has been changed since',
+            });
+            operation.responses[412] = problemResponse('The item has been changed by another request');
+            operation.responses[428] = problemResponse('The If-Match header is required (REQUIRE_IF_MATCH=true)');
+        }
+    } else {
+        // The other routes can answer with different success codes (like 200, 201 or 207)
+        operation.responses['2XX'] = jsonResponse('Success', {});
+    }
+
+    operation.responses[400] = problemResponse('Invalid request');
+    if (path.includes(':')) {
+        operation.responses[404] = problemResponse('Not found');
+    }
+    if (secured) {
+        operation.security = [{ bearerAuth: [] }, { apiKey: [] }];
+        operation.responses[401] = problemResponse('Missing or invalid credentials');
+        operation.responses[403] = problemResponse('The role of the caller is not allowed');
+    }
+    if (path.startsWith('/api/')) {
+        operation.responses[429] = problemResponse('Too many requests (see the RateLimit-* and Retry-After headers)');
+    }
+    operation.responses[500] = problemResponse('Unexpected error');
+
+    return { path: openApiPath, method, operation };
+}
+
+// Replace the references to the components (#/components/schemas/Name) with a copy of the schemas
+function resolveRefs(schema, schemas) {
+    if (Array.isArray(schema)) {
+        return schema.map((item) => resolveRefs(item, schemas));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    const name = schema.$ref?.match(/^#\/components\/schemas\/(\w+)$/)?.[1];
+    if (name) {
+        return resolveRefs(schemas[name], schemas);
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, item]) => [key, resolveRefs(item, schemas)]));
+}
+
+/*
+The operations of a versioned resource (please review middleware/apiVersion.js):
+- the unversioned path (the default version) gets the "Accept-Version" header
+- every version gets its own path (/api/v1/employees, /api/v2/employees, ...), with the success responses
+  changed by the transforms of the version (the "schema" function of the transforms),
+  the request bodies and the errors are the same in every version
+- a version with a "deprecated" date is marked as deprecated
+*/
+function describeVersions({ path, method, operation }, versions, schemas) {
+    const names = Object.keys(versions);
+    const describeVersion = (target, version) => {
+        const { deprecated, description } = versions[version];
+        if (deprecated) {
+            target.deprecated = true;
+        }
+        target.description = [target.description, description].filter(Boolean).join('\n\n');
+        return target;
+    };
+
+    const unversioned = describeVersion(structuredClone(operation), names[0]);
+    unversioned.parameters.push({
+        name: 'Accept-Version', in: 'header', required: false, schema: { type: 'string', enum: names },
+        description: `The version of the API (the default is ${names[0]}), the URLs with a version ignore this header`,
+    });
+    const described = [{ path, operation: unversioned }];
+
+    for (const version of names) {
+        const versionPath = versionedPath(path, version);
+        const versioned = describeVersion(structuredClone(operation), version);
+        versioned.summary = `${method.toUpperCase()} ${versionPath}`;
+        versioned.operationId = operationIdOf(method, versionPath);
+
+        const transforms = getTransforms(versions, version);
+        for (const [status, response] of Object.entries(versioned.responses)) {
+            const content = response.content?.['application/json'];
+            if (transforms.length > 0 && content && /^2/.test(status)) {
+                content.schema = transforms.reduce(
+                    (schema, transform) => (transform.schema ? transform.schema(schema) : schema),
+                    resolveRefs(content.schema, schemas)
+                );
+            }
+        }
+        described.push({ path: versionPath, operation: versioned });
+    }
+    return described;
+}
+
+/*
+Generate the whole OpenAPI document:
+- info => { title, version, description }
+- resources => [{ path: '/api/employees', name: 'Employee', model: Employee, managedFields: ['deleted_at', 'created_at', 'updated_at'], concurrency: true }]
+  (and "versions" => the versions of the resource, like EMPLOYEE_API_VERSIONS in middleware/apiVersion.js)
+*/
+export function buildOpenApiDocument(app, { info, resources = [] }) {
+    const schemas = {
+        Problem: {
+            type: 'object',
+            properties: {
+                type: { type: 'string' },
+                title: { type: 'string' },
+                status: { type: 'integer' },
+                detail: { type: 'string' },
+                instance: { type: 'string' },
+                message: { type: 'string' },
+                request_id: { type: 'string', description: 'The id of the request in the logs (the same as the X-Request-Id header)' },
+                errors: { type: 'object', additionalProperties: { type: 'string' } },
+                field: { type: 'string' },
+            },
+        },
+        PageMeta: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer' },
+                limit: { type: 'integer' },
+                page: { type: ['integer', 'null'] },
+                pages: { type: ['integer', 'null'] },
+            },
+        },
+        PageLinks: {
+            type: 'object',
+            properties: {
+                self: { type: 'string' },
+                next: { type: ['string', 'null'] },
+                prev: { type: ['string', 'null'] },
+            },
+        },
+    };
+
+    for (const { name, model, managedFields } of resources) {
+        schemas[name] = modelToJsonSchema(model, { managedFields });
+        schemas[`${name}Input`] = modelToJsonSchema(model, { managedFields, input: true });
+    }
+
+    const paths = {};
+    for (const route of listRoutes(app)) {
+        // Only the API routes (not the health check routes or the documentation itself)
+        if (!route.path.startsWith('/api/') || /^\/api\/(openapi\.json|docs)$/.test(route.path)) {
+            continue;
+        }
+        const described = describeOperation(route, resources);
+        const resource = resources.find((item) => route.path === item.path || route.path.startsWith(`${item.path}/`));
+        const operations = resource?.versions ? describeVersions(described, resource.versions, schemas) : [described];
+        for (const { path, operation } of operations) {
+            paths[path] = { ...paths[path], [described.method]: operation };
+        }
+    }
+
+    return {
+        openapi: '3.1.0',
+        info,
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            },
+        },
+    };
+}
@@ -0,0 +1,101 @@
+/*
+The stores of the rate limiter (middleware/rateLimit.js): where the number of requests of every client is kept.
+
+The store interface:
+********************
+A store is any object with this method:
+- increment(key, windowMs) => Promise<{ count, resetAt }>
+    > adds one request to the counter of "key" in the current time window
+    > count => the number of requests in the current window (including this one)
+    > resetAt => the date when the window ends (and the counter starts from 0 again)
+
+So another store (like Redis) can be used without changing the middleware:
+rateLimit({ ..., store: new RedisStore(redisClient) })
+
+The time windows are "fixed": they start at multiples of windowMs (10:15:00, 10:16:00, ...),
+so all the instances of the API use the same windows.
+*/
+
+// Import the model of the counters (only used by the MongoStore)
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+// The start and the end of the current time window
+function getWindow(windowMs, now = Date.now()) {
+    const start = Math.floor(now / windowMs) * windowMs;
+    return { start, end: start + windowMs };
+}
+
+/*
+MemoryStore (the default):
+The counters are kept in a Map in the memory of the process.
+Fast and simple, but every instance of the API has its own counters
+(with 3 instances behind a load balancer, a client can send 3 times more requests)
+*/
+export class MemoryStore {
+    constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+        // key => { count, resetAt }
+        this.counters = new Map();
+
+        // Remove the counters of the old windows from time to time (so the Map doesn't grow forever)
+        // unref() => this timer doesn't keep the process running
+        this.timer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.timer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const { end } = getWindow(windowMs);
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt.getTime() !== end) {
+            counter = { count: 0, resetAt: new Date(end) };
+            this.counters.set(key, counter);
+        }
+        counter.count += 1;
+        return { count: counter.count, resetAt: counter.resetAt };
+    }
+
+    cleanup(now = Date.now()) {
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt.getTime() <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+/*
+MongoStore (for running more than one instance of the API):
+The counters are kept in the "ratelimitcounters" collection, so all the instances share them.
+Every request is one atomic update ($inc with "upsert"), the old counters are removed by a TTL index.
+Link: https://www.mongodb.com/docs/manual/reference/method/db.collection.findOneAndUpdate/#upsert-document
+*/
+export class MongoStore {
+    async increment(key, windowMs, retry = true) {
+        const { start, end } = getWindow(windowMs);
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { key, window_start: new Date(start) },
+                { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(end) } },
+                { upsert: true, new: true }
+            );
+            return { count: counter.count, resetAt: new Date(end) };
+        } catch (error) {
+            // Two first requests at the same time can both try to insert the counter (duplicate key),
+            // the second one only has to try again (the counter exists now)
+            if (error.code === 11000 && retry) {
+                return this.increment(key, windowMs, false);
+            }
+            throw error;
+        }
+    }
+}
+
+// Create the store from the RATE_LIMIT_STORE environment variable ("memory" by default, or "mongo")
+export function createStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+    if (type === 'mongo') {
+        return new MongoStore();
+    }
+    if (type !== 'memory') {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${type}", the supported stores are: memory, mongo`);
+    }
+    return new MemoryStore();
+}
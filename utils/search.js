@@ -0,0 +1,143 @@
+/*
+Helper functions for the employee search (routes/searchEmployees.js):
+matching the words of the query with the words of the fields, ranking, and highlighting.
+
+Every word of the query must match a word of one of the searched fields, in one of these ways:
+- exact => "martin" matches "Martin"
+- prefix => "mart" matches "Martin" (useful while the user is still typing)
+- fuzzy => "matrin" matches "Martin" (a typo: 1 change for words of 4-7 letters, 2 changes for longer words)
+*/
+
+// The score of a word by the type of match (an exact match ranks higher than a typo)
+const MATCH_SCORES = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+
+// Split a text into lowercase words: "m.smith@men-demo.com" => ['m', 'smith', 'men', 'demo', 'com']
+export function tokenize(text) {
+    return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// The maximum number of typos for a word of the query (short words must match exactly or as a prefix)
+function allowedTypos(term) {
+    if (term.length >= 8) {
+        return 2;
+    }
+    return term.length >= 4 ? 1 : 0;
+}
+
+/*
+The parts of a word of the query that a matching word must contain (for filtering the candidates in MongoDB):
+every typo breaks at most one part (a swap of two neighbour letters at most two),
+so with 2 * typos + 1 parts, at least one of them is left as it is in the matching word
+termFragments('mar') => ['mar'] (no typos), termFragments('matrin') => ['ma', 'tr', 'in'] (1 typo)
+Link: https://en.wikipedia.org/wiki/Pigeonhole_principle
+*/
+export function termFragments(term) {
+    const count = 2 * allowedTypos(term) + 1;
+    return Array.from({ length: count }, (_, index) => term.slice(
+        Math.floor((index * term.length) / count),
+        Math.floor(((index + 1) * term.length) / count)
+    ));
+}
+
+/*
+The edit distance: the number of single letter changes (insert, delete, replace, or swap two neighbour letters)
+to turn one word into the other => editDistance('matrin', 'martin') = 1 (a swap)
+"max" stops early when the distance is already too big
+Link: https://en.wikipedia.org/wiki/Damerau%E2%80%93Levenshtein_distance
+*/
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    // rows[i][j] = the distance between the first i letters of "a" and the first j letters of "b"
+    const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        rows.push(row);
+    }
+    return rows[a.length][b.length];
+}
+
+/*
+Find how a word of the query matches a word of a field:
+returns 'exact', 'prefix', 'fuzzy' or null
+*/
+function matchWord(term, word) {
+    if (word === term) {
+        return 'exact';
+    }
+    if (word.startsWith(term)) {
+        return 'prefix';
+    }
+    const typos = allowedTypos(term);
+    if (typos > 0) {
+        // A typo in the part that is typed so far => compare with the start of the word too ("matri" => "marti")
+        const distance = Math.min(editDistance(term, word, typos), editDistance(term, word.slice(0, term.length), typos));
+        if (distance <= typos) {
+            return 'fuzzy';
+        }
+    }
+    return null;
+}
+
+/*
+Match all the words of the query with a document:
+- fields => { name: 10, email: 5, job_title: 2 } (the weight of every field)
+Returns null when a word of the query doesn't match, otherwise:
+{ score, matches: { name: Set(['martin']), ... } } (the matched words of every field, for highlighting)
+*/
+export function matchDocument(terms, doc, fields) {
+    let score = 0;
+    const matches = {};
+
+    for (const term of terms) {
+        let best = null;
+        for (const [field, weight] of Object.entries(fields)) {
+            for (const word of tokenize(doc[field])) {
+                const type = matchWord(term, word);
+                if (!type) {
+                    continue;
+                }
+                (matches[field] ||= new Set()).add(word);
+                const wordScore = MATCH_SCORES[type] * weight;
+                if (best === null || wordScore > best) {
+                    best = wordScore;
+                }
+            }
+        }
+        if (best === null) {
+            return null;
+        }
+        score += best;
+    }
+
+    return { score, matches };
+}
+
+// Escape the HTML special characters (the highlights are meant to be shown as HTML)
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/*
+Highlight the matched words of a field with <mark>:
+highlight('Martin Smith', Set(['martin'])) => '<mark>Martin</mark> Smith'
+*/
+export function highlight(text, words) {
+    return String(text).split(/([^\p{L}\p{N}]+)/u).map((part) => {
+        const escaped = escapeHtml(part);
+        return words.has(part.toLowerCase()) ? `<mark>${escaped}</mark>` : escaped;
+    }).join('');
+}
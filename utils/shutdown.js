@@ -0,0 +1,92 @@
+/*
+Graceful shutdown:
+When the app is stopped (like a new deployment, or Ctrl+C), the platform sends a signal (SIGTERM or SIGINT).
+Instead of stopping right away (and breaking the requests that are still running), we:
+
+1. Report "not ready" (/health/ready => 503), so the load balancer stops sending new requests
+2. Stop accepting new connections, and let the requests in progress finish ("drain")
+3. Close the connections that are idle (keep-alive), and ask the clients to close the others ("Connection: close")
+4. Close the database connection, then exit
+If the requests don't finish in time (SHUTDOWN_TIMEOUT_MS, default 10 seconds), the connections are closed anyway.
+A second signal stops the app right away.
+
+Link: https://expressjs.com/en/advanced/healthcheck-graceful-shutdown.html
+Link: https://nodejs.org/api/http.html#serverclosecallback
+Link: https://nodejs.org/api/process.html#signal-events
+*/
+
+// Import the logger of the application
+import logger from './logger.js';
+
+let shuttingDown = false;
+
+// Is the app shutting down? (used by the readiness probe and the retries of the database connection)
+export function isShuttingDown() {
+    return shuttingDown;
+}
+
+// Middleware: during the shutdown, ask the clients to close their (keep-alive) connection after the response
+export function closeConnectionsOnShutdown(req, res, next) {
+    if (shuttingDown) {
+        res.set('Connection', 'close');
+    }
+    next();
+}
+
+/*
+Listen to the signals and shut down the server:
+- server => the HTTP server (returned by app.listen())
+- onShutdown => a function that runs when the shutdown starts (like ending the long-lived responses, the event streams)
+- onClose => an async function that runs after the last request (like closing the database connection)
+*/
+export function setupGracefulShutdown(server, { onShutdown = () => {}, onClose = async () => {}, timeoutMs } = {}) {
+    const timeout = timeoutMs ?? (Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000);
+
+    async function shutdown(signal) {
+        if (shuttingDown) {
+            logger.warn('Second shutdown signal, stopping now', { signal });
+            process.exit(1);
+        }
+        shuttingDown = true;
+        logger.info('Shutting down, waiting for the requests in progress', { signal, timeout_ms: timeout });
+
+        // The responses that never end by themselves would keep their connection open until the timeout
+        try {
+            await onShutdown();
+        } catch (error) {
+            logger.error('Shutdown error', { error });
+        }
+
+        // If the requests take too long, close all the connections (the requests are interrupted)
+        const timer = setTimeout(() => {
+            logger.warn('Shutdown timeout, closing the remaining connections');
+            server.closeAllConnections();
+        }, timeout);
+        timer.unref();
+
+        /*
+        The connections of the requests in progress stay open after their response (keep-alive),
+        so we close the idle connections again and again until the last one is closed
+        */
+        const idleTimer = setInterval(() => server.closeIdleConnections(), 250);
+        idleTimer.unref();
+
+        // Stop accepting new connections, the callback runs when all the connections are closed
+        server.close(async () => {
+            clearTimeout(timer);
+            clearInterval(idleTimer);
+            try {
+                await onClose();
+                logger.info('Shutdown complete');
+                process.exit(0);
+            } catch (error) {
+                logger.error('Shutdown error', { error });
+                process.exit(1);
+            }
+        });
+        server.closeIdleConnections();
+    }
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
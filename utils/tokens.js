@@ -0,0 +1,62 @@
+/*
+Helper functions for creating and verifying JWTs (JSON Web Tokens).
+
+We use two types of tokens:
+- Access token (short life, 15 minutes by default):
+    > Sent with every request in the header => Authorization: Bearer <access token>
+- Refresh token (long life, 7 days by default):
+    > Only sent to POST /api/auth/refresh to get a new access token (without logging in again)
+
+Environment variables (.env):
+- JWT_SECRET => the secret for signing the tokens (required, use a long random value)
+- JWT_EXPIRES_IN => the life of an access token (default: 15m)
+- JWT_REFRESH_EXPIRES_IN => the life of a refresh token (default: 7d)
+
+Link: https://www.npmjs.com/package/jsonwebtoken
+Link: https://jwt.io/introduction
+*/
+
+// Import the jsonwebtoken package
+import jwt from 'jsonwebtoken';
+
+// Read the secret when it's needed (the .env file is loaded in server.js)
+function getSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not defined in environment variables!');
+    }
+    return process.env.JWT_SECRET;
+}
+
+// Create an access token for a user
+export function signAccessToken(user) {
+    return jwt.sign(
+        { username: user.username, role: user.role, typ: 'access' },
+        getSecret(),
+        { subject: String(user._id), expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+}
+
+/*
+Create a refresh token for a user
+The "token_version" of the user is added, so all the refresh tokens can be revoked by increasing it
+(on logout, on a password change, or by an admin, please review routes/auth.js)
+*/
+export function signRefreshToken(user) {
+    return jwt.sign(
+        { ver: user.token_version, typ: 'refresh' },
+        getSecret(),
+        { subject: String(user._id), expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    );
+}
+
+/*
+Verify a token and check its type ("access" or "refresh")
+Returns the payload of the token, or throws an error if the token is invalid or expired
+*/
+export function verifyToken(token, type) {
+    const payload = jwt.verify(token, getSecret(), { algorithms: ['HS256'] });
+    if (payload.typ !== type) {
+        throw new jwt.JsonWebTokenError(`Invalid token type, expected an ${type} token`);
+    }
+    return payload;
+}
@@ -0,0 +1,153 @@
+/*
+Request validation built from a Mongoose schema.
+
+The validator is created once from the model (the schema is the only place where the fields are defined),
+and it's shared by the routes that receive an employee (POST, PUT and PATCH):
+    const values = validateEmployee(req.body);
+
+What it does:
+1. Rejects the unknown properties (Mongoose would silently ignore them) and the fields managed by the server
+2. Converts the values into the types of the schema (type coercion):
+    > Number => "30" becomes 30
+    > Date => "2024-03-01" (ISO 8601 format) becomes a Date
+    > String => 123 becomes "123"
+    > Boolean => "true"/"false" become true/false
+3. Runs the validators of the schema (required, minlength, enum, min, max, match, ...)
+   with the custom messages defined in the model
+4. Reports ALL the invalid fields at once (not only the first one):
+    422 { "errors": { "age": "Employees age must be at least 18 or above", "nickname": "Unknown field" } }
+
+NOTE:
+A missing value is "undefined", "null" or an empty string "",
+so valid "falsy" values like age: 0 are checked by the schema validators (min) instead of being treated as missing
+
+Link: https://mongoosejs.com/docs/validation.html
+Link: https://mongoosejs.com/docs/api/document.html#Document.prototype.validateSync()
+*/
+
+// Import mongoose to check the ObjectId values
+import mongoose from 'mongoose';
+
+// Import the custom error class (for responding with a specific status code)
+import HttpError from './httpError.js';
+
+// The fields that are managed by MongoDB/Mongoose (never sent by the client)
+const INTERNAL_FIELDS = ['_id', '__v'];
+
+// Dates must use the ISO 8601 format: 2024-03-01 or 2024-03-01T09:30:00Z
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Numbers can be sent as strings: "30", "-1.5"
+const NUMERIC = /^\s*-?\d+(\.\d+)?\s*$/;
+
+// Check if a value is "missing" (the "required" validator decides if that's allowed)
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/*
+Convert a value into the type of a schema path:
+returns { value } when the value is valid, or { error } with a message when it can't be converted
+*/
+function coerce(value, schemaType) {
+    switch (schemaType.instance) {
+        case 'String':
+            if (typeof value === 'string') {
+                return { value };
+            }
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return { value: String(value) };
+            }
+            return { error: 'Must be a string' };
+
+        case 'Number':
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return { value };
+            }
+            if (typeof value === 'string' && NUMERIC.test(value)) {
+                return { value: Number(value) };
+            }
+            return { error: 'Must be a number' };
+
+        case 'Date': {
+            if (typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value))) {
+                return { value: new Date(value) };
+            }
+            return { error: 'Must be a date in the ISO 8601 format (like 2024-03-01)' };
+        }
+
+        case 'Boolean':
+            if (typeof value === 'boolean') {
+                return { value };
+            }
+            if (value === 'true' || value === 'false') {
+                return { value: value === 'true' };
+            }
+            return { error: 'Must be true or false' };
+
+        case 'ObjectId':
+            if (typeof value === 'string' && mongoose.isObjectIdOrHexString(value)) {
+                return { value };
+            }
+            return { error: 'Must be a valid id' };
+
+        default:
+            // Other types (like Mixed) are validated by Mongoose only
+            return { value };
+    }
+}
+
+/*
+Create the validator function of a model:
+- managedFields => the fields that are set by the server only (like "deleted_at")
+
+The validator returns the converted values (only the fields of the schema),
+or throws an HttpError 422 with all the invalid fields => { errors: { field: message } }
+*/
+export function createValidator(model, { managedFields = [] } = {}) {
+    const hidden = [...INTERNAL_FIELDS, ...managedFields];
+
+    // The fields that the client can send (top-level paths of the schema)
+    const fields = Object.keys(model.schema.paths).filter((path) => !hidden.includes(path));
+
+    return function validate(body) {
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, 'The request body must be a JSON object');
+        }
+
+        const errors = {};
+        const values = {};
+
+        for (const [field, value] of Object.entries(body)) {
+            if (hidden.includes(field)) {
+                errors[field] = 'This field is managed by the server and can not be set';
+            } else if (!fields.includes(field)) {
+                errors[field] = 'Unknown field';
+            } else if (isMissing(value)) {
+                // Leave it out, the "required" validator reports it (if the field is required)
+            } else {
+                const result = coerce(value, model.schema.path(field));
+                if (result.error) {
+                    errors[field] = result.error;
+                } else {
+                    values[field] = result.value;
+                }
+            }
+        }
+
+        /*
+        Run the schema validators on a new (unsaved) document with the converted values,
+        validateSync() collects the errors of all the fields (it doesn't stop at the first one)
+        */
+        const fieldsToValidate = fields.filter((field) => !(field in errors));
+        const validationError = new model(values).validateSync(fieldsToValidate);
+        for (const [field, fieldError] of Object.entries(validationError?.errors || {})) {
+            errors[field] = fieldError.message;
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new HttpError(422, 'Validation failed', { errors });
+        }
+        return values;
+    };
+}
@@ -0,0 +1,85 @@
+/*
+Check the URL of a webhook subscription before calling it (protection against "server-side request forgery", SSRF).
+
+Without this check, an admin (or a stolen admin token) could subscribe a URL like "http://127.0.0.1:27017/"
+or "http://169.254.169.254/latest/meta-data/" (the cloud metadata service), and our server would send requests
+to the systems of our own network, that are not reachable from the internet.
+
+1. The host of the URL is resolved (all its addresses, IPv4 and IPv6)
+2. The URL is refused if one of the addresses is private or reserved:
+   loopback, private networks, link-local, shared (CGNAT), multicast, documentation, "this network"...
+3. The check is done when the subscription is saved (models/Webhook.js) and before every delivery (utils/webhooks.js),
+   since the addresses of a host can change after the subscription was saved
+
+Environment variables (.env):
+- WEBHOOK_ALLOWED_HOSTS => the hosts that are allowed even with a private address, separated by commas
+  (like "payroll.internal,10.0.0.15" for the systems of our own network, empty by default)
+
+Link: https://owasp.org/www-community/attacks/Server_Side_Request_Forgery
+Link: https://www.iana.org/assignments/iana-ipv4-special-registry/iana-ipv4-special-registry.xhtml
+Link: https://www.iana.org/assignments/iana-ipv6-special-registry/iana-ipv6-special-registry.xhtml
+Link: https://nodejs.org/api/net.html#class-netblocklist
+*/
+
+// Using the built-in "dns" module to resolve the host, and "net" for the address ranges
+import { lookup } from 'node:dns/promises';
+import { BlockList } from 'node:net';
+
+/*
+The private and reserved address ranges
+NOTE: the IPv4 ranges also match the same addresses written as IPv6 (like "::ffff:127.0.0.1")
+*/
+const blockedAddresses = new BlockList();
+[
+    ['0.0.0.0', 8], // "this network"
+    ['10.0.0.0', 8], // private network
+    ['100.64.0.0', 10], // shared address space (CGNAT)
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local (and the cloud metadata services)
+    ['172.16.0.0', 12], // private network
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.0.2.0', 24], // documentation
+    ['192.168.0.0', 16], // private network
+    ['198.18.0.0', 15], // benchmarking
+    ['198.51.100.0', 24], // documentation
+    ['203.0.113.0', 24], // documentation
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4], // reserved (and the broadcast address)
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], // unspecified
+    ['::1', 128], // loopback
+    ['64:ff9b::', 96], // IPv4/IPv6 translation (it can reach the IPv4 addresses above)
+    ['100::', 64], // discard
+    ['2001:db8::', 32], // documentation
+    ['fc00::', 7], // unique local addresses (private network)
+    ['fe80::', 10], // link-local
+    ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function getAllowedHosts() {
+    const hosts = process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',') : [];
+    return new Set(hosts.map((host) => host.trim().toLowerCase()).filter(Boolean));
+}
+
+/*
+Check the URL of a webhook => null when it can be called, or the reason why it's refused
+checkWebhookUrl('http://127.0.0.1:8080/hooks') => 'Webhook URL must not point to a private or reserved address (127.0.0.1)'
+*/
+export async function checkWebhookUrl(url) {
+    // The host without the brackets of an IPv6 address ("[::1]" => "::1")
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (getAllowedHosts().has(host)) {
+        return null;
+    }
+
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true, verbatim: true });
+    } catch {
+        return `Webhook URL host can't be resolved (${host})`;
+    }
+
+    const blocked = addresses.find(({ address, family }) => blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    return blocked ? `Webhook URL must not point to a private or reserved address (${blocked.address})` : null;
+}
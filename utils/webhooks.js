@@ -0,0 +1,366 @@
+/*
+Outbound webhooks: tell other systems (like payroll or IT provisioning) when an employee changes.
+
+1. A route changes an employee, then calls emitEmployeeEvent() (like it calls recordHistory())
+2. One delivery is saved for every active subscription of the event (models/WebhookDelivery.js)
+3. The deliveries are sent right away, and the failed ones are retried by the delivery job (jobs/webhookDelivery.js)
+   with a growing delay (exponential backoff), until WEBHOOK_MAX_ATTEMPTS attempts => "dead" (the dead-letter list)
+
+The events:
+- employee.created => POST /api/employees, POST /api/employees/bulk
+- employee.updated => PUT and PATCH /api/employees/:employee_id, restore, revert
+- employee.deleted => DELETE /api/employees/:employee_id (the employee goes to the trash)
+  and the rename of a job title (PUT /api/job-titles/:id, one event for every active employee that has it)
+
+The same events are published to the live stream of the employees (please review utils/employeeStream.js)
+
+The request sent to the URL of the subscription:
+POST https://payroll.example.com/hooks/employees
+Content-Type: application/json
+X-Webhook-Id: 66f1...                          (the id of the delivery)
+X-Webhook-Event: employee.updated
+X-Webhook-Signature: t=1709633700,v1=5d41...    (see below)
+{
+    "id": "4f7c...",                            (the id of the event, the same in every retry)
+    "type": "employee.updated",
+    "created_at": "2024-03-05T10:15:00.000Z",
+    "actor": "admin",
+    "request_id": "0b6f...",
+    "data": {
+        "employee": { "employee_id": "emp001", "name": "Martin Smith", ... },
+        "changes": [{ "field": "age", "before": 40, "after": 41 }]   (only for employee.updated)
+    }
+}
+
+Signature (HMAC-SHA256 with the secret of the subscription):
+v1 = HMAC-SHA256(secret, "<t>.<the raw body>") in hex
+The receiver computes the same value and compares it, and rejects the old timestamps (replayed requests).
+
+NOTE:
+A delivery can arrive more than once (like when the app stops during an attempt),
+so the receivers should skip the events they already received (using the "id" of the event)
+
+Environment variables (.env):
+- WEBHOOK_MAX_ATTEMPTS => the number of attempts before the dead-letter list (default: 8)
+- WEBHOOK_RETRY_DELAY_MS => the delay after the first failed attempt (default: 10000)
+- WEBHOOK_RETRY_MAX_DELAY_MS => the longest delay between two attempts (default: 3600000 => 1 hour)
+- WEBHOOK_TIMEOUT_MS => how long we wait for the answer of the receiver (default: 10000)
+- WEBHOOK_ALLOWED_HOSTS => the hosts that may have a private address (please review utils/webhookUrl.js)
+
+NOTE:
+The URL is checked again before every attempt (its host may now resolve to a private address),
+a refused URL is a failed attempt (it's never called)
+
+Link: https://nodejs.org/api/crypto.html#cryptocreatehmacalgorithm-key-options
+Link: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
+*/
+
+// Using the built-in "crypto" module for the signatures and the event ids
+import { createHmac, randomUUID } from 'node:crypto';
+
+// Import the models of the subscriptions and the deliveries
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+// Import the helpers of the history (the same snapshots, diff and actor)
+import { toSnapshot, diffSnapshots, getActor } from './history.js';
+
+// Import the id of the request (the same id as in the logs, please review middleware/requestLogger.js)
+import { getRequestId } from '../middleware/requestLogger.js';
+
+// Import the delay of the retries (the same exponential backoff as the database connection)
+import { getRetryDelay } from './database.js';
+
+// Import the check of the webhook URLs (no private or reserved addresses)
+import { checkWebhookUrl } from './webhookUrl.js';
+
+// Import the live stream of the employees (it receives the same events)
+import { publishEmployeeEvent } from './employeeStream.js';
+
+// Import the logger of the application
+import logger from './logger.js';
+
+// The number of attempts that are kept in the log of a delivery
+const MAX_ATTEMPT_LOG = 20;
+
+// The maximum number of deliveries of one subscription sent by one run (the others are sent by the next run)
+const BATCH_SIZE = 50;
+
+// Read a whole number (0 or more) from an environment variable
+function readNumber(name, defaultValue) {
+    const number = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isInteger(number) && number >= 0 ? number : defaultValue;
+}
+
+function getSettings() {
+    return {
+        maxAttempts: Math.max(readNumber('WEBHOOK_MAX_ATTEMPTS', 8), 1),
+        timeoutMs: readNumber('WEBHOOK_TIMEOUT_MS', 10000),
+        backoff: {
+            initialDelayMs: readNumber('WEBHOOK_RETRY_DELAY_MS', 10000),
+            maxDelayMs: readNumber('WEBHOOK_RETRY_MAX_DELAY_MS', 60 * 60 * 1000),
+        },
+    };
+}
+
+// The signature of a body => "t=1709633700,v1=5d41..."
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// The JSON body of an event (the same for every subscription)
+function buildPayload(req, event, { before, after }) {
+    const employee = after || before;
+    return {
+        id: randomUUID(),
+        type: event,
+        created_at: new Date().toISOString(),
+        actor: getActor(req),
+        request_id: getRequestId(req),
+        data: {
+            // The same values as the responses of the API
+            employee: JSON.parse(JSON.stringify(employee)),
+            ...(event === 'employee.updated' && { changes: diffSnapshots(toSnapshot(before), toSnapshot(after)) }),
+        },
+    };
+}
+
+// Save the deliveries of some events (one per event and subscription), then send them
+async function queueEvents(req, event, changes) {
+    const webhooks = await Webhook.find({ active: true, events: event }, '_id');
+    if (webhooks.length === 0 || changes.length === 0) {
+        return;
+    }
+
+    const deliveries = [];
+    for (const change of changes) {
+        const payload = buildPayload(req, event, change);
+        for (const webhook of webhooks) {
+            deliveries.push({ webhook: webhook._id, event, event_id: payload.id, payload });
+        }
+    }
+    await WebhookDelivery.insertMany(deliveries);
+
+    // Send them now (without waiting, the response of the route doesn't depend on the receivers)
+    processDueDeliveries();
+}
+
+/*
+Send an event for one employee:
+- before: the employee before the change (null for "employee.created")
+- after: the employee after the change
+
+NOTE:
+Like the history, the change itself is already saved in the database when this function is called,
+so if saving the deliveries fails, we only log the error (the request is not failed)
+*/
+export async function emitEmployeeEvent(req, event, { before = null, after = null }) {
+    // The changed fields tell the live stream if an employee may have left the filters of a client
+    const changedFields = before && after ? diffSnapshots(toSnapshot(before), toSnapshot(after)).map(({ field }) => field) : undefined;
+    publishEmployeeEvent(event, after || before, changedFields);
+    try {
+        await queueEvents(req, event, [{ before, after }]);
+    } catch (err) {
+        req.log.error('Failed to queue the webhook deliveries', { event, error: err });
+    }
+}
+
+// Send the "employee.created" event of many employees at once (used by the bulk import route)
+export async function emitCreatedMany(req, employees) {
+    for (const employee of employees) {
+        publishEmployeeEvent('employee.created', employee);
+    }
+    try {
+        await queueEvents(req, 'employee.created', employees.map((employee) => ({ after: employee })));
+    } catch (err) {
+        req.log.error('Failed to queue the webhook deliveries of the imported employees', { error: err });
+    }
+}
+
+/*
+Send the "employee.updated" event of many employees at once (used by the rename of a job title)
+- changes => [{ before, after }]
+*/
+export async function emitUpdatedMany(req, changes) {
+    for (const { before, after } of changes) {
+        const changedFields = diffSnapshots(toSnapshot(before), toSnapshot(after)).map(({ field }) => field);
+        publishEmployeeEvent('employee.updated', after, changedFields);
+    }
+    try {
+        await queueEvents(req, 'employee.updated', changes);
+    } catch (err) {
+        req.log.error('Failed to queue the webhook deliveries of the updated employees', { error: err });
+    }
+}
+
+// Send one request to the URL of the subscription => { response_status, error, duration_ms }
+async function send(webhook, delivery, timeoutMs) {
+    const body = JSON.stringify(delivery.payload);
+    const start = process.hrtime.bigint();
+    let response_status = null;
+    let error = null;
+
+    try {
+        const refused = await checkWebhookUrl(webhook.url);
+        if (refused) {
+            return { response_status, error: refused, duration_ms: 0 };
+        }
+
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'men-crud-guide-webhooks',
+                'X-Webhook-Id': String(delivery._id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': signPayload(webhook.secret, body),
+            },
+            body,
+            // A redirect is a failed attempt (the signed request is never sent to another URL)
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        response_status = response.status;
+        // We don't need the body of the answer (cancel it, so the connection can be reused)
+        await response.body?.cancel();
+        if (response_status < 200 || response_status >= 300) {
+            error = `HTTP ${response_status}`;
+        }
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `No answer after ${timeoutMs} ms` : (err.cause?.message || err.message);
+    }
+
+    const duration_ms = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+    return { response_status, error, duration_ms };
+}
+
+// Try one delivery and save the result (succeeded, failed with a new attempt date, or dead)
+async function attemptDelivery(delivery, settings) {
+    const webhook = await Webhook.findById(delivery.webhook);
+    const now = new Date();
+
+    // An inactive subscription: try again later, without counting an attempt (reactivating it sends them right away)
+    if (webhook && !webhook.active) {
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { $set: { locked_until: null, next_attempt_at: new Date(now.getTime() + settings.backoff.maxDelayMs) } }
+        );
+        return;
+    }
+
+    const result = webhook
+        ? await send(webhook, delivery, settings.timeoutMs)
+        : { response_status: null, error: 'The webhook subscription was deleted', duration_ms: 0 };
+
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    if (result.error) {
+        status = webhook && attempts < settings.maxAttempts ? 'failed' : 'dead';
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        $set: {
+            status,
+            attempts,
+            response_status: result.response_status,
+            last_error: result.error,
+            locked_until: null,
+            next_attempt_at: status === 'failed' ? new Date(now.getTime() + getRetryDelay(attempts, settings.backoff)) : null,
+            completed_at: status === 'failed' ? null : new Date(),
+        },
+        $push: { attempt_log: { $each: [{ at: now, ...result }], $slice: -MAX_ATTEMPT_LOG } },
+    });
+
+    if (status === 'dead') {
+        logger.warn('Webhook delivery moved to the dead-letter list', {
+            delivery_id: String(delivery._id), event: delivery.event, attempts, error: result.error,
+        });
+    }
+}
+
+/*
+Only one run at a time per subscription in this process (the deliveries are "locked", so other instances skip them),
+an event saved during a run starts another run at the end (so it's not left for the job)
+*/
+const runningWebhooks = new Set();
+const runAgainWebhooks = new Set();
+
+// The filter of the deliveries that are due (the new ones and the retries that are not locked by another run)
+function dueFilter(now) {
+    return {
+        status: { $in: ['pending', 'failed'] },
+        next_attempt_at: { $lte: now },
+        $or: [{ locked_until: null }, { locked_until: { $lte: now } }],
+    };
+}
+
+// Send the due deliveries of one subscription, one by one (in the order of the events)
+async function processWebhookDeliveries(webhookId, settings) {
+    const key = String(webhookId);
+    if (runningWebhooks.has(key)) {
+        runAgainWebhooks.add(key);
+        return 0;
+    }
+    runningWebhooks.add(key);
+    let sent = 0;
+
+    try {
+        while (sent < BATCH_SIZE) {
+            const now = new Date();
+            /*
+            Take the next due delivery and lock it in the same atomic operation,
+            the lock expires by itself if the app stops during the attempt (the delivery is tried again)
+            */
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                { ...dueFilter(now), webhook: webhookId },
+                { $set: { locked_until: new Date(now.getTime() + settings.timeoutMs + 30 * 1000) } },
+                { sort: { next_attempt_at: 1 }, new: true }
+            );
+            if (!delivery) {
+                break;
+            }
+            await attemptDelivery(delivery, settings);
+            sent++;
+        }
+    } catch (err) {
+        logger.error('Webhook delivery error', { webhook_id: key, error: err });
+    } finally {
+        runningWebhooks.delete(key);
+    }
+    if (runAgainWebhooks.delete(key)) {
+        processWebhookDeliveries(webhookId, settings);
+    }
+    return sent;
+}
+
+/*
+Send the deliveries that are due (the new ones and the retries).
+Used by the delivery job (jobs/webhookDelivery.js) and right after an event is saved
+
+NOTE:
+The subscriptions are served at the same time, and the deliveries of one subscription one by one,
+so a receiver that doesn't answer (up to WEBHOOK_TIMEOUT_MS for every delivery) only delays its own deliveries
+*/
+export async function processDueDeliveries() {
+    const settings = getSettings();
+    try {
+        const webhookIds = await WebhookDelivery.distinct('webhook', dueFilter(new Date()));
+        const sent = await Promise.all(webhookIds.map((webhookId) => processWebhookDeliveries(webhookId, settings)));
+        return sent.reduce((total, count) => total + count, 0);
+    } catch (err) {
+        logger.error('Webhook delivery error', { error: err });
+        return 0;
+    }
+}
+
+/*
+Send a delivery again (like a dead letter after the receiver is fixed):
+the attempts start from 0 again, the log of the previous attempts is kept
+*/
+export async function retryDelivery(delivery) {
+    delivery.set({ status: 'pending', attempts: 0, next_attempt_at: new Date(), completed_at: null, locked_until: null });
+    await delivery.save();
+    processDueDeliveries();
+    return delivery;
+}